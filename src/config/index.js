@@ -31,6 +31,25 @@ const config = {
     expiresMinutes: parseInt(process.env.OTP_EXPIRES_MINUTES, 10) || 15,
     // Channel for sending OTP: 'email' | 'sms' | 'both'
     channel: process.env.OTP_CHANNEL || 'email',
+    // Wrong codes allowed before an OTP is burned
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+    // How long an email/phone can't get a new OTP after running out of attempts
+    lockoutMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES, 10) || 15,
+    // Minimum wait before another OTP can be sent to the same email/phone
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60,
+    // Added to phone numbers entered without a country code
+    defaultCountryCode: process.env.OTP_DEFAULT_COUNTRY_CODE || '+91',
+  },
+  
+  // Social Sign-in (Google / Apple ID tokens)
+  social: {
+    // Accepted token audiences: OAuth client IDs / app bundle IDs (comma-separated)
+    googleClientIds: (process.env.GOOGLE_CLIENT_IDS || '').split(',').map((id) => id.trim()).filter(Boolean),
+    appleClientIds: (process.env.APPLE_CLIENT_IDS || '').split(',').map((id) => id.trim()).filter(Boolean),
+    // Local JWKS file used instead of the providers' key endpoints (tests)
+    jwksFile: process.env.SOCIAL_JWKS_FILE || '',
+    // Fallback cache time for keys when the provider sends no max-age
+    jwksCacheSeconds: parseInt(process.env.SOCIAL_JWKS_CACHE_SECONDS, 10) || 60 * 60,
   },
   
   // Email Settings (SMTP)
@@ -83,6 +102,70 @@ const config = {
     enabled: process.env.SMS_ENABLED === 'true',
   },
   
+  // Push Notifications (Expo)
+  // Point the URLs at a local stub in tests
+  push: {
+    sendUrl: process.env.EXPO_PUSH_URL || 'https://exp.host/--/api/v2/push/send',
+    receiptsUrl: process.env.EXPO_RECEIPTS_URL || 'https://exp.host/--/api/v2/push/getReceipts',
+    // Expo recommends waiting ~15 minutes before fetching receipts
+    receiptDelayMinutes: parseInt(process.env.PUSH_RECEIPT_DELAY_MINUTES, 10) || 15,
+  },
+  
+  // Payments
+  // Gateways: 'fake' (local, dev/tests). Real gateways register an adapter
+  // with the payment service and are selected with PAYMENT_GATEWAY.
+  payment: {
+    gateway: process.env.PAYMENT_GATEWAY || 'fake',
+    // Shared secret used to sign/verify gateway callbacks
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'your-payment-webhook-secret-change-in-production',
+    currency: process.env.PAYMENT_CURRENCY || 'INR',
+  },
+  
+  // Scheduled Jobs (booking reminders, review requests)
+  jobs: {
+    // Set to 'false' to stop this instance from running jobs
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS, 10) || 30 * 1000,
+    // Minutes before the appointment to send reminders (comma-separated)
+    reminderOffsetsMinutes: (process.env.BOOKING_REMINDER_OFFSETS || '1440,60')
+      .split(',')
+      .map((offset) => parseInt(offset, 10))
+      .filter((offset) => offset > 0),
+    // Minutes after completion to ask for a review
+    reviewRequestDelayMinutes: parseInt(process.env.REVIEW_REQUEST_DELAY_MINUTES, 10) || 120,
+  },
+
+  // Notification Outbox (email, SMS and push delivery with retries)
+  outbox: {
+    pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 10 * 1000,
+    // Attempts before a message is moved to the dead-letter list
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5,
+    // Delay before the first retry; doubles on every further attempt
+    retryBaseSeconds: parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS, 10) || 30,
+  },
+
+  // Promo Campaigns (batched broadcasts)
+  campaigns: {
+    // Customers messaged per batch, and the pause between batches
+    batchSize: parseInt(process.env.CAMPAIGN_BATCH_SIZE, 10) || 500,
+    batchIntervalSeconds: parseInt(process.env.CAMPAIGN_BATCH_INTERVAL_SECONDS, 10) || 60,
+    // Public URL of this API, used for the email open-tracking pixel
+    // (emails are sent without one when it is not set)
+    publicApiUrl: process.env.PUBLIC_API_URL || '',
+  },
+
+  // Content Moderation
+  moderation: {
+    // Shorts and comments are hidden automatically after this many reports
+    reportHideThreshold: parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 5,
+  },
+
+  // Privacy (account deletion)
+  privacy: {
+    // Days between a deletion request and the account being erased
+    deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+  },
+
   // File Upload
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024, // 5MB
@@ -0,0 +1,548 @@
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import { Short, ShortComment } from '../models/Short.js';
+import { SalonReview, ProviderReview } from '../models/Review.js';
+import Report from '../models/Report.js';
+import OutboxMessage from '../models/OutboxMessage.js';
+import Campaign from '../models/Campaign.js';
+import { outboxService, templateService, campaignService } from '../services/index.js';
+import { buildPaginationResponse } from '../utils/searchHelpers.js';
+
+const REVIEW_MODELS = {
+  salon: SalonReview,
+  provider: ProviderReview,
+};
+
+/**
+ * Copy the moderation flags that were sent onto a query or document
+ */
+function applyFlags(target, source, fields) {
+  fields.forEach((field) => {
+    if (source[field] !== undefined) {
+      target[field] = source[field];
+    }
+  });
+  return target;
+}
+
+/**
+ * Restrict a list query to reported items (flagged=true) or unreported ones
+ * (items created before reports existed have no reportCount)
+ */
+function applyFlaggedFilter(query, flagged) {
+  if (flagged !== undefined) {
+    query.reportCount = flagged ? { $gt: 0 } : { $in: [0, null] };
+  }
+  return query;
+}
+
+// Most reported first when listing flagged items
+const listSort = (flagged) => (flagged ? '-reportCount -createdAt' : '-createdAt');
+
+// =====================
+// SHORTS
+// =====================
+
+/**
+ * @desc    List shorts for moderation (including hidden)
+ * @route   GET /api/admin/shorts
+ * @access  Private (Admin)
+ */
+export const getShortsForModeration = asyncHandler(async (req, res) => {
+  const { page, limit, q, flagged } = req.query;
+
+  const query = applyFlags({}, req.query, ['isActive', 'isFeatured', 'isVerified']);
+  applyFlaggedFilter(query, flagged);
+  if (q) {
+    query.title = { $regex: q, $options: 'i' };
+  }
+
+  const [shorts, total] = await Promise.all([
+    Short.find(query)
+      .populate('salon', 'name')
+      .populate('createdBy', 'firstName lastName username')
+      .sort(listSort(flagged))
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Short.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      shorts,
+      pagination: buildPaginationResponse(page, limit, total),
+    },
+  });
+});
+
+/**
+ * @desc    Hide/restore, feature or verify a short
+ * @route   PATCH /api/admin/shorts/:id
+ * @access  Private (Admin)
+ *
+ * @body    {boolean} isActive - Show (true) or hide (false)
+ * @body    {boolean} isFeatured - Feature on discovery
+ * @body    {boolean} isVerified - Mark creator content as verified
+ */
+export const moderateShort = asyncHandler(async (req, res) => {
+  const short = await Short.findById(req.params.id);
+
+  if (!short) {
+    throw new ApiError(404, 'Short not found');
+  }
+
+  applyFlags(short, req.body, ['isActive', 'isFeatured', 'isVerified']);
+  await short.save();
+
+  res.json({
+    success: true,
+    message: 'Short updated successfully',
+    data: {
+      short: {
+        id: short._id,
+        isActive: short.isActive,
+        isFeatured: short.isFeatured,
+        isVerified: short.isVerified,
+      },
+    },
+  });
+});
+
+// =====================
+// COMMENTS
+// =====================
+
+/**
+ * @desc    List short comments for moderation (including hidden)
+ * @route   GET /api/admin/comments
+ * @access  Private (Admin)
+ */
+export const getCommentsForModeration = asyncHandler(async (req, res) => {
+  const { page, limit, short, user, flagged } = req.query;
+
+  const query = applyFlags({}, req.query, ['isActive']);
+  applyFlaggedFilter(query, flagged);
+  if (short) query.short = short;
+  if (user) query.user = user;
+
+  const [comments, total] = await Promise.all([
+    ShortComment.find(query)
+      .populate('user', 'firstName lastName username email')
+      .populate('short', 'title')
+      .sort(listSort(flagged))
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ShortComment.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      comments,
+      pagination: buildPaginationResponse(page, limit, total),
+    },
+  });
+});
+
+/**
+ * @desc    Hide or restore a short comment
+ * @route   PATCH /api/admin/comments/:id
+ * @access  Private (Admin)
+ *
+ * @body    {boolean} isActive - Show (true) or hide (false)
+ */
+export const moderateComment = asyncHandler(async (req, res) => {
+  const { isActive } = req.body;
+
+  const comment = await ShortComment.findById(req.params.id);
+
+  if (!comment) {
+    throw new ApiError(404, 'Comment not found');
+  }
+
+  await comment.setActive(isActive);
+
+  res.json({
+    success: true,
+    message: isActive ? 'Comment restored' : 'Comment hidden',
+    data: { comment },
+  });
+});
+
+// =====================
+// REVIEWS
+// =====================
+
+/**
+ * @desc    List salon or provider reviews for moderation (including hidden)
+ * @route   GET /api/admin/reviews
+ * @access  Private (Admin)
+ *
+ * @query   {string} type - salon | provider (default salon)
+ * @query   {number} maxRating - Only reviews rated at or below this
+ */
+export const getReviewsForModeration = asyncHandler(async (req, res) => {
+  const { page, limit, type, salon, provider, maxRating, flagged } = req.query;
+  const Review = REVIEW_MODELS[type];
+
+  const query = applyFlaggedFilter({}, flagged);
+  // Reviews written before they could be hidden have no isActive
+  if (req.query.isActive !== undefined) query.isActive = req.query.isActive ? { $ne: false } : false;
+  if (type === 'salon' && salon) query.salon = salon;
+  if (type === 'provider' && provider) query.provider = provider;
+  if (maxRating) query.rating = { $lte: maxRating };
+
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .populate('customer', 'firstName lastName username email')
+      .populate(type, 'name')
+      .sort(listSort(flagged))
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      type,
+      reviews,
+      pagination: buildPaginationResponse(page, limit, total),
+    },
+  });
+});
+
+/**
+ * @desc    Hide or restore a review and recalculate the salon/provider rating
+ * @route   PATCH /api/admin/reviews/:type/:id
+ * @access  Private (Admin)
+ *
+ * @body    {boolean} isActive - Show (true) or hide (false)
+ */
+export const moderateReview = asyncHandler(async (req, res) => {
+  const Review = REVIEW_MODELS[req.params.type];
+  const { isActive } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+
+  // Rating is recalculated by the review's save hook
+  if (review.isActive !== isActive) {
+    review.isActive = isActive;
+    await review.save();
+  }
+
+  res.json({
+    success: true,
+    message: isActive ? 'Review restored' : 'Review hidden',
+    data: { review },
+  });
+});
+
+/**
+ * @desc    Delete a review and recalculate the salon/provider rating
+ * @route   DELETE /api/admin/reviews/:type/:id
+ * @access  Private (Admin)
+ */
+export const deleteReview = asyncHandler(async (req, res) => {
+  const Review = REVIEW_MODELS[req.params.type];
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+
+  // Rating is recalculated by the review's deleteOne hook
+  await review.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully',
+  });
+});
+
+// =====================
+// REPORTS
+// =====================
+
+/**
+ * @desc    List user reports
+ * @route   GET /api/admin/reports
+ * @access  Private (Admin)
+ *
+ * @query   {string} status - open | resolved | dismissed (default open)
+ * @query   {string} targetType - short | comment | salon_review | provider_review
+ * @query   {string} target - Reported item ID
+ */
+export const getReports = asyncHandler(async (req, res) => {
+  const { page, limit, status, targetType, target } = req.query;
+
+  const query = { status };
+  if (targetType) query.targetType = targetType;
+  if (target) query.target = target;
+
+  const [reports, total] = await Promise.all([
+    Report.find(query)
+      .populate('reporter', 'firstName lastName username email')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Report.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      reports,
+      pagination: buildPaginationResponse(page, limit, total),
+    },
+  });
+});
+
+/**
+ * @desc    Resolve or dismiss a report
+ * @route   PATCH /api/admin/reports/:id
+ * @access  Private (Admin)
+ *
+ * @body    {string} status - resolved | dismissed
+ */
+export const updateReport = asyncHandler(async (req, res) => {
+  const report = await Report.findByIdAndUpdate(
+    req.params.id,
+    { status: req.body.status },
+    { new: true }
+  );
+
+  if (!report) {
+    throw new ApiError(404, 'Report not found');
+  }
+
+  res.json({
+    success: true,
+    message: `Report ${report.status}`,
+    data: { report },
+  });
+});
+
+// =====================
+// NOTIFICATION OUTBOX
+// =====================
+
+/**
+ * @desc    List outbox messages (dead letters by default)
+ * @route   GET /api/admin/outbox
+ * @access  Private (Admin)
+ *
+ * @query   {string} status - pending | sending | sent | skipped | failed (default failed)
+ * @query   {string} channel - email | sms | push
+ * @query   {string} purpose - e.g. booking_confirmation
+ * @query   {string} user - Recipient user ID
+ */
+export const getOutboxMessages = asyncHandler(async (req, res) => {
+  const { page, limit, status, channel, purpose, user } = req.query;
+
+  const query = { status };
+  if (channel) query.channel = channel;
+  if (purpose) query.purpose = purpose;
+  if (user) query.user = user;
+
+  const [messages, total] = await Promise.all([
+    OutboxMessage.find(query)
+      .populate('user', 'firstName lastName username email')
+      .sort('-updatedAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    OutboxMessage.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      messages,
+      pagination: buildPaginationResponse(page, limit, total),
+    },
+  });
+});
+
+/**
+ * @desc    Queue a failed (dead-lettered) message for delivery again
+ * @route   POST /api/admin/outbox/:id/retry
+ * @access  Private (Admin)
+ */
+export const retryOutboxMessage = asyncHandler(async (req, res) => {
+  const message = await outboxService.retry(req.params.id);
+
+  if (!message) {
+    const exists = await OutboxMessage.exists({ _id: req.params.id });
+    throw exists
+      ? new ApiError(409, 'Only failed messages can be retried')
+      : new ApiError(404, 'Message not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Message queued for delivery',
+    data: { message },
+  });
+});
+
+// =====================
+// MESSAGE TEMPLATES
+// =====================
+
+/**
+ * @desc    List email and SMS templates with their languages
+ * @route   GET /api/admin/templates
+ * @access  Private (Admin)
+ */
+export const getTemplates = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { templates: templateService.list() },
+  });
+});
+
+/**
+ * @desc    Render a template with sample booking data
+ * @route   GET /api/admin/templates/:name/preview
+ * @access  Private (Admin)
+ *
+ * @query   {string} channel - email | sms (default email)
+ * @query   {string} locale - en | te | hi (default en; falls back to en if missing)
+ */
+export const previewTemplate = asyncHandler(async (req, res) => {
+  const { channel, locale } = req.query;
+
+  if (!templateService.has(req.params.name, channel)) {
+    throw new ApiError(404, 'Template not found');
+  }
+
+  res.json({
+    success: true,
+    data: { preview: templateService.preview(req.params.name, channel, locale) },
+  });
+});
+
+// =====================
+// PROMO CAMPAIGNS
+// =====================
+
+/**
+ * @desc    List promo campaigns
+ * @route   GET /api/admin/campaigns
+ * @access  Private (Admin)
+ *
+ * @query   {string} status - scheduled | sending | sent | cancelled
+ */
+export const getCampaigns = asyncHandler(async (req, res) => {
+  const { page, limit, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const [campaigns, total] = await Promise.all([
+    Campaign.find(query)
+      .populate('promoCode', 'code')
+      .sort('-scheduledFor')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Campaign.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      campaigns,
+      pagination: buildPaginationResponse(page, limit, total),
+    },
+  });
+});
+
+/**
+ * @desc    Get a campaign with its delivery and open counts
+ * @route   GET /api/admin/campaigns/:id
+ * @access  Private (Admin)
+ */
+export const getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id)
+    .populate('promoCode', 'code description validUntil isActive')
+    .populate('createdBy', 'firstName lastName username');
+
+  if (!campaign) {
+    throw new ApiError(404, 'Campaign not found');
+  }
+
+  res.json({
+    success: true,
+    data: { campaign },
+  });
+});
+
+/**
+ * @desc    Create a campaign (sent at scheduledFor, or right away)
+ * @route   POST /api/admin/campaigns
+ * @access  Private (Admin)
+ *
+ * @body    {string} name - Internal name
+ * @body    {string} title - Push title / email subject
+ * @body    {string} message - Offer text
+ * @body    {string} promoCode - Promo code ID to advertise
+ * @body    {string[]} channels - push | email | sms (default push)
+ * @body    {Object} audience - cities, areas, genders, bookedAtSalons, favoritedSalons, inactiveDays
+ * @body    {string} scheduledFor - Start time (ISO date)
+ */
+export const createCampaign = asyncHandler(async (req, res) => {
+  const campaign = await campaignService.create(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Campaign scheduled',
+    data: { campaign },
+  });
+});
+
+/**
+ * @desc    Change a campaign that hasn't started sending
+ * @route   PATCH /api/admin/campaigns/:id
+ * @access  Private (Admin)
+ */
+export const updateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await campaignService.update(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Campaign updated',
+    data: { campaign },
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled or sending campaign
+ * @route   POST /api/admin/campaigns/:id/cancel
+ * @access  Private (Admin)
+ */
+export const cancelCampaign = asyncHandler(async (req, res) => {
+  const campaign = await campaignService.cancel(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Campaign cancelled',
+    data: { campaign },
+  });
+});
+
+/**
+ * @desc    Count the customers an audience matches right now
+ * @route   POST /api/admin/campaigns/audience
+ * @access  Private (Admin)
+ */
+export const countCampaignAudience = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { count: await campaignService.countAudience(req.body) },
+  });
+});
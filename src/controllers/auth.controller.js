@@ -1,10 +1,73 @@
+import crypto from 'crypto';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
-import { generateTokens, verifyRefreshToken } from '../middleware/auth.js';
+import { generateResetToken, verifyResetToken } from '../middleware/auth.js';
 import User from '../models/User.js';
 import OTP from '../models/OTP.js';
+import DeviceToken from '../models/DeviceToken.js';
+import AuditLog from '../models/AuditLog.js';
 import notificationService from '../services/notification.service.js';
+import sessionService from '../services/session.service.js';
+import socialAuthService from '../services/socialAuth.service.js';
+import accountService from '../services/account.service.js';
 import config from '../config/index.js';
 
+/**
+ * Check that a user may sign in
+ * Signing in during the deletion grace period cancels the deletion.
+ * @returns {Promise<boolean>} true if a pending deletion was cancelled
+ */
+async function prepareSignIn(user, req) {
+  if (user.deletionScheduledFor) {
+    await accountService.cancelDeletion(user, req);
+    return true;
+  }
+
+  if (!user.isActive) {
+    throw new ApiError(401, 'Account is deactivated');
+  }
+
+  return false;
+}
+
+/**
+ * Reject a request with 429 and a Retry-After header
+ */
+function tooManyRequests(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  throw new ApiError(429, message);
+}
+
+/**
+ * Verify an OTP, auditing failures
+ * Throws with the attempts left, or 429 once the code is burned.
+ * @returns {Promise<Object|null>} User the OTP was issued to (if any)
+ */
+async function consumeOtp(req, res, { purpose, email, phone, otp }) {
+  const result = await OTP.verifyOTP({ purpose, email, phone, otp });
+
+  if (result.isValid) {
+    return result.user;
+  }
+
+  const { reason, attemptsLeft, lockedOut } = result;
+
+  await AuditLog.record(lockedOut ? 'otp_lockout' : 'otp_verify_failed', {
+    user: req.user,
+    identifier: phone || email,
+    purpose,
+    reason,
+    req,
+  });
+
+  if (lockedOut) {
+    tooManyRequests(res, config.otp.lockoutMinutes * 60, reason);
+  }
+
+  throw new ApiError(400, attemptsLeft
+    ? `${reason}. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left`
+    : reason);
+}
+
 /**
  * @desc    Register new user
  * @route   POST /api/auth/register
@@ -34,21 +97,17 @@ export const register = asyncHandler(async (req, res) => {
   });
 
   // Generate OTP for email verification
-  const otpRecord = await OTP.generateOTP(user, email);
+  const { code } = await OTP.generateOTP({ purpose: 'email_verification', user, email });
   
   // Send OTP via email
   try {
-    await notificationService.sendOtp(user, otpRecord.otp, 'email');
+    await notificationService.sendOtp(user, code, 'email');
   } catch (error) {
     console.error('Failed to send registration OTP:', error.message);
   }
 
-  // Generate tokens
-  const tokens = generateTokens(user._id);
-
-  // Save refresh token
-  user.refreshToken = tokens.refreshToken;
-  await user.save();
+  // Start a session for this device
+  const { session, tokens } = await sessionService.createSession(user, req);
 
   res.status(201).json({
     success: true,
@@ -56,6 +115,7 @@ export const register = asyncHandler(async (req, res) => {
     data: {
       user,
       tokens,
+      sessionId: session._id,
       requiresVerification: true,
     },
   });
@@ -82,36 +142,156 @@ export const login = asyncHandler(async (req, res) => {
     throw new ApiError(401, 'Invalid credentials');
   }
 
-  if (!user.isActive) {
+  const deletionCancelled = await prepareSignIn(user, req);
+
+  // Start a session for this device
+  const { session, tokens } = await sessionService.createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user,
+      tokens,
+      sessionId: session._id,
+      deletionCancelled,
+    },
+  });
+});
+
+/**
+ * @desc    Send a login OTP to a phone number
+ * @route   POST /api/auth/otp/request
+ * @access  Public
+ *
+ * @body    {string} phone - Phone number (normalized to E.164)
+ */
+export const requestPhoneOtp = asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+
+  const user = await User.findOne({ phone, isPhoneVerified: true });
+
+  if (user && !user.isActive && !user.deletionScheduledFor) {
     throw new ApiError(401, 'Account is deactivated');
   }
 
-  // Generate tokens
-  const tokens = generateTokens(user._id);
+  const { code, retryAfterSeconds } = await OTP.generateOTP({ purpose: 'phone_login', user, phone });
 
-  // Save refresh token
-  user.refreshToken = tokens.refreshToken;
-  await user.save();
+  if (retryAfterSeconds) {
+    tooManyRequests(res, retryAfterSeconds, `Please wait ${retryAfterSeconds} seconds before requesting another OTP`);
+  }
+
+  // New numbers get the OTP in English
+  const [result] = await notificationService.sendOtp({ phone, language: user?.language }, code, 'sms');
+
+  if (!result?.success) {
+    throw new ApiError(502, 'Could not send OTP, please try again');
+  }
 
   res.json({
     success: true,
-    message: 'Login successful',
+    message: 'OTP sent successfully',
+    data: {
+      phone,
+      expiresInMinutes: config.otp.expiresMinutes,
+      resendAfterSeconds: config.otp.resendCooldownSeconds,
+    },
+  });
+});
+
+/**
+ * @desc    Verify a phone OTP and sign in (creating the account if needed)
+ * @route   POST /api/auth/otp/verify
+ * @access  Public
+ *
+ * @body    {string} phone - Phone number the OTP was sent to
+ * @body    {string} otp - 6-digit code
+ * @body    {string} firstName - For new accounts (optional)
+ * @body    {string} lastName - For new accounts (optional)
+ */
+export const verifyPhoneOtp = asyncHandler(async (req, res) => {
+  const { phone, otp, firstName, lastName } = req.body;
+
+  await consumeOtp(req, res, { purpose: 'phone_login', phone, otp });
+
+  let user = await User.findOne({ phone, isPhoneVerified: true });
+  const isNewUser = !user;
+  const deletionCancelled = !isNewUser && await prepareSignIn(user, req);
+
+  if (isNewUser) {
+    user = await User.create({
+      username: `user_${crypto.randomBytes(5).toString('hex')}`,
+      phone,
+      isPhoneVerified: true,
+      firstName,
+      lastName,
+    });
+  }
+
+  // Start a session for this device
+  const { session, tokens } = await sessionService.createSession(user, req);
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    message: isNewUser ? 'Account created successfully' : 'Login successful',
+    data: {
+      user,
+      tokens,
+      sessionId: session._id,
+      isNewUser,
+      deletionCancelled,
+    },
+  });
+});
+
+/**
+ * @desc    Sign in with a Google / Apple ID token (creating or linking the account)
+ * @route   POST /api/auth/social
+ * @access  Public
+ *
+ * @body    {string} provider - google | apple
+ * @body    {string} idToken - ID token from the provider's SDK
+ * @body    {string} nonce - Nonce sent with the sign-in request (optional)
+ * @body    {string} firstName - For new accounts (optional)
+ * @body    {string} lastName - For new accounts (optional)
+ */
+export const socialSignIn = asyncHandler(async (req, res) => {
+  const { provider, idToken, nonce, firstName, lastName } = req.body;
+
+  const profile = await socialAuthService.verifyIdToken(provider, idToken, { nonce });
+  const { user, isNewUser, linked } = await socialAuthService.findOrCreateUser(profile, {
+    firstName,
+    lastName,
+  });
+
+  const deletionCancelled = await prepareSignIn(user, req);
+
+  // Start a session for this device
+  const { session, tokens } = await sessionService.createSession(user, req);
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    message: isNewUser ? 'Account created successfully' : 'Login successful',
     data: {
       user,
       tokens,
+      sessionId: session._id,
+      isNewUser,
+      linked,
+      deletionCancelled,
     },
   });
 });
 
 /**
- * @desc    Logout user
+ * @desc    Logout user (current device only)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 export const logout = asyncHandler(async (req, res) => {
-  // Clear refresh token
-  req.user.refreshToken = undefined;
-  await req.user.save();
+  if (req.sessionId) {
+    await sessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+  }
 
   res.json({
     success: true,
@@ -131,26 +311,12 @@ export const refreshToken = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Refresh token is required');
   }
 
-  // Verify refresh token
-  const decoded = verifyRefreshToken(refreshToken);
-
-  // Find user
-  const user = await User.findById(decoded.id).select('+refreshToken');
-
-  if (!user || user.refreshToken !== refreshToken) {
-    throw new ApiError(401, 'Invalid refresh token');
-  }
-
-  // Generate new tokens
-  const tokens = generateTokens(user._id);
-
-  // Save new refresh token
-  user.refreshToken = tokens.refreshToken;
-  await user.save();
+  // Rotate: the old refresh token stops working
+  const { session, tokens } = await sessionService.rotate(refreshToken, req);
 
   res.json({
     success: true,
-    data: { tokens },
+    data: { tokens, sessionId: session._id },
   });
 });
 
@@ -178,9 +344,17 @@ export const verifyOtp = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'OTP is required');
   }
 
-  const { isValid, user } = await OTP.verifyOTP(req.user.email, otp);
+  if (!req.user.email) {
+    throw new ApiError(400, 'No email address on this account');
+  }
+
+  const user = await consumeOtp(req, res, {
+    purpose: 'email_verification',
+    email: req.user.email,
+    otp,
+  });
 
-  if (!isValid || !user || user._id.toString() !== req.user._id.toString()) {
+  if (!user || user._id.toString() !== req.user._id.toString()) {
     throw new ApiError(400, 'Invalid or expired OTP');
   }
 
@@ -200,13 +374,25 @@ export const verifyOtp = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const resendOtp = asyncHandler(async (req, res) => {
-  const otpRecord = await OTP.generateOTP(req.user, req.user.email);
+  if (!req.user.email) {
+    throw new ApiError(400, 'No email address on this account');
+  }
+
+  const { code, retryAfterSeconds } = await OTP.generateOTP({
+    purpose: 'email_verification',
+    user: req.user,
+    email: req.user.email,
+  });
+
+  if (retryAfterSeconds) {
+    tooManyRequests(res, retryAfterSeconds, `Please wait ${retryAfterSeconds} seconds before requesting another OTP`);
+  }
 
   // Send OTP via email/SMS using notification service
   try {
     const results = await notificationService.sendOtp(
       req.user, 
-      otpRecord.otp, 
+      code, 
       config.otp.channel
     );
     
@@ -253,13 +439,16 @@ export const forgotPassword = asyncHandler(async (req, res) => {
   }
 
   // Generate OTP for password reset
-  const otpRecord = await OTP.generateOTP(user, email, 'password_reset');
+  // (a cooldown is not reported, as that would reveal the account exists)
+  const { code } = await OTP.generateOTP({ purpose: 'password_reset', user, email });
   
   // Send OTP via email
-  try {
-    await notificationService.sendOtp(user, otpRecord.otp, 'email');
-  } catch (error) {
-    console.error('Failed to send password reset OTP:', error.message);
+  if (code) {
+    try {
+      await notificationService.sendOtp(user, code, 'email');
+    } catch (error) {
+      console.error('Failed to send password reset OTP:', error.message);
+    }
   }
 
   res.json({
@@ -280,14 +469,14 @@ export const verifyResetOtp = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Email and OTP are required');
   }
 
-  const { isValid, user } = await OTP.verifyOTP(email, otp);
+  const user = await consumeOtp(req, res, { purpose: 'password_reset', email, otp });
 
-  if (!isValid || !user) {
+  if (!user) {
     throw new ApiError(400, 'Invalid or expired OTP');
   }
 
   // Generate a temporary reset token (valid for 10 minutes)
-  const resetToken = generateTokens(user._id, '10m').accessToken;
+  const resetToken = generateResetToken(user._id);
 
   res.json({
     success: true,
@@ -315,12 +504,7 @@ export const resetPassword = asyncHandler(async (req, res) => {
   }
 
   // Verify reset token
-  let decoded;
-  try {
-    decoded = verifyRefreshToken(resetToken); // Using same JWT verification
-  } catch (error) {
-    throw new ApiError(400, 'Invalid or expired reset token');
-  }
+  const decoded = verifyResetToken(resetToken);
 
   // Find user
   const user = await User.findById(decoded.id);
@@ -333,6 +517,9 @@ export const resetPassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every device
+  await sessionService.revokeAll(user._id, { reason: 'password_reset' });
+
   res.json({
     success: true,
     message: 'Password reset successfully. You can now login with your new password.',
@@ -340,37 +527,64 @@ export const resetPassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Save push notification token
+ * @desc    Register this device's push notification token
  * @route   POST /api/auth/push-token
  * @access  Private
+ *
+ * @body    {string} pushToken - Expo push token (ExponentPushToken[xxx])
+ * @body    {string} platform - ios | android | web (default: android)
+ * @body    {string} appVersion - App version on the device
+ * @body    {string} deviceId - Same ID as the login session (optional)
  */
 export const savePushToken = asyncHandler(async (req, res) => {
-  const { pushToken, platform } = req.body;
-
-  if (!pushToken) {
-    throw new ApiError(400, 'Push token is required');
+  const { pushToken, platform, appVersion, deviceId } = req.body;
+
+  // A token belongs to one device: re-registering moves it to this user
+  const device = await DeviceToken.findOneAndUpdate(
+    { token: pushToken },
+    {
+      user: req.user._id,
+      platform: platform || 'android',
+      appVersion,
+      deviceId: deviceId || req.get('X-Device-Id'),
+      lastSeenAt: new Date(),
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  // The single token from before devices were supported is now a device
+  if (req.user.pushToken) {
+    req.user.pushToken = undefined;
+    req.user.pushPlatform = undefined;
+    await req.user.save();
   }
 
-  // Update user's push token
-  req.user.pushToken = pushToken;
-  req.user.pushPlatform = platform || 'android';
-  await req.user.save();
-
   res.json({
     success: true,
     message: 'Push token saved successfully',
+    data: { device },
   });
 });
 
 /**
- * @desc    Remove push notification token
+ * @desc    Remove a push notification token (or all of the user's)
  * @route   DELETE /api/auth/push-token
  * @access  Private
+ *
+ * @body    {string} pushToken - Token to remove (omit to remove every device)
  */
 export const removePushToken = asyncHandler(async (req, res) => {
-  req.user.pushToken = undefined;
-  req.user.pushPlatform = undefined;
-  await req.user.save();
+  const { pushToken } = req.body;
+
+  await DeviceToken.deleteMany(
+    pushToken ? { user: req.user._id, token: pushToken } : { user: req.user._id }
+  );
+
+  if (!pushToken || req.user.pushToken === pushToken) {
+    req.user.pushToken = undefined;
+    req.user.pushPlatform = undefined;
+    await req.user.save();
+  }
 
   res.json({
     success: true,
@@ -378,3 +592,54 @@ export const removePushToken = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    List active sessions (devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        isCurrent: session._id.toString() === req.sessionId,
+      })),
+    },
+  });
+});
+
+/**
+ * @desc    Revoke a session (sign out a device)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await sessionService.revokeSession(req.user._id, req.params.id);
+
+  if (!session) {
+    throw new ApiError(404, 'Session not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully',
+  });
+});
+
+/**
+ * @desc    Revoke all other sessions (sign out other devices)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAll(req.user._id, { except: req.sessionId });
+
+  res.json({
+    success: true,
+    message: `Signed out of ${count} other device${count === 1 ? '' : 's'}`,
+    data: { count },
+  });
+});
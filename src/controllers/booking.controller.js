@@ -1,10 +1,18 @@
+import mongoose from 'mongoose';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import Booking from '../models/Booking.js';
 import Salon from '../models/Salon.js';
 import { Service } from '../models/Service.js';
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
-import { notificationService } from '../services/index.js';
+import ServiceProvider from '../models/Provider.js';
+import PromoCode from '../models/PromoCode.js';
+import {
+  notificationService,
+  availabilityService,
+  bookingJobsService,
+  bookingPolicyService,
+} from '../services/index.js';
 
 /**
  * @desc    Get user's bookings
@@ -86,6 +94,7 @@ export const createBooking = asyncHandler(async (req, res) => {
     services: serviceIds,
     homeAddress,
     customerNotes,
+    promoCode,
   } = req.body;
 
   // Validate salon
@@ -107,6 +116,7 @@ export const createBooking = asyncHandler(async (req, res) => {
 
   // Calculate totals
   const totalAmount = services.reduce((sum, s) => sum + (s.discountedPrice || s.price), 0);
+  const durationMinutes = availabilityService.getServicesDuration(services);
 
   // Create booking services
   const bookingServices = services.map((service) => ({
@@ -115,22 +125,91 @@ export const createBooking = asyncHandler(async (req, res) => {
     price: service.discountedPrice || service.price,
   }));
 
-  // Create booking
-  const booking = await Booking.create({
-    customer: req.user._id,
-    salon: salonId,
-    provider,
-    bookingType,
-    bookingDate: new Date(bookingDate),
-    bookingTime,
-    services: bookingServices,
-    totalAmount,
-    discountAmount: 0,
-    finalAmount: totalAmount,
-    homeAddress: bookingType === 'home' ? homeAddress : undefined,
-    customerNotes,
-    status: 'pending',
-  });
+  // Pre-generate the booking ID so a promo code use can be reserved against it
+  const bookingId = new mongoose.Types.ObjectId();
+
+  // Revalidate and reserve the promo code
+  let promo = null;
+  let discountAmount = 0;
+
+  if (promoCode) {
+    promo = await PromoCode.findOne({
+      code: promoCode.toUpperCase(),
+      isActive: true,
+    });
+
+    if (!promo) {
+      throw new ApiError(404, 'Invalid promo code');
+    }
+
+    const { valid, reason, discount } = await promo.checkEligibility(totalAmount, req.user._id);
+    if (!valid) {
+      throw new ApiError(400, reason);
+    }
+
+    const reservation = await PromoCode.reserveUsage(promo, req.user._id, bookingId);
+    if (!reservation.success) {
+      throw new ApiError(400, reservation.reason);
+    }
+
+    discountAmount = Math.min(discount, totalAmount);
+  }
+
+  // Create booking. The slot check and insert run under the salon/day
+  // lock so concurrent requests cannot double book the same time.
+  let booking;
+  try {
+    booking = await availabilityService.withSlotLock(salonId, bookingDate, async () => {
+      const { available, reason } = await availabilityService.checkAvailability({
+        salon,
+        date: bookingDate,
+        time: bookingTime,
+        durationMinutes,
+        providerId: provider,
+      });
+
+      if (!available) {
+        throw new ApiError(409, `Selected time is not available: ${reason}`);
+      }
+
+      return Booking.create({
+        _id: bookingId,
+        customer: req.user._id,
+        salon: salonId,
+        provider,
+        bookingType,
+        bookingDate: new Date(bookingDate),
+        bookingTime,
+        durationMinutes,
+        services: bookingServices,
+        totalAmount,
+        discountAmount,
+        finalAmount: Math.round((totalAmount - discountAmount) * 100) / 100,
+        promoCode: promo?._id,
+        homeAddress: bookingType === 'home' ? homeAddress : undefined,
+        customerNotes,
+        status: 'pending',
+        statusHistory: [{
+          to: 'pending',
+          changedBy: req.user._id,
+          actorRole: 'customer',
+        }],
+      });
+    });
+  } catch (error) {
+    // Give the promo code use back if the booking could not be saved
+    if (promo) {
+      await PromoCode.releaseUsage(promo._id, req.user._id, bookingId);
+    }
+    throw error;
+  }
+
+  // Schedule appointment reminders
+  try {
+    await bookingJobsService.scheduleReminders(booking);
+  } catch (error) {
+    console.error('Failed to schedule booking reminders:', error.message);
+  }
 
   // Populate for response
   const populatedBooking = await Booking.findById(booking._id)
@@ -169,53 +248,63 @@ export const createBooking = asyncHandler(async (req, res) => {
 /**
  * @desc    Cancel booking
  * @route   POST /api/bookings/:id/cancel
- * @access  Private
+ * @access  Private (Customer/Salon Owner/Admin)
+ *
+ * @body    {string} reason - Optional reason
+ * @body    {boolean} acceptFee - Required when a late cancellation fee applies
  */
 export const cancelBooking = asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
-  const booking = await Booking.findOne({
-    _id: req.params.id,
-    customer: req.user._id,
+  const { booking, refundAmount } = await transitionBooking(req, 'cancelled', reason);
+
+  res.json({
+    success: true,
+    message: 'Booking cancelled successfully',
+    data: {
+      booking,
+      cancellationFee: booking.cancellationFee?.amount || 0,
+      refundAmount,
+    },
   });
+});
+
+/**
+ * @desc    Preview the fee and refund for cancelling a booking now
+ * @route   GET /api/bookings/:id/cancellation-quote
+ * @access  Private (Customer/Salon Owner/Admin)
+ */
+export const getCancellationQuote = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate('salon', 'name owner bookingPolicy');
 
   if (!booking) {
     throw new ApiError(404, 'Booking not found');
   }
 
-  if (['completed', 'cancelled'].includes(booking.status)) {
-    throw new ApiError(400, 'Cannot cancel a completed or already cancelled booking');
-  }
-
-  booking.status = 'cancelled';
-  booking.cancelledBy = req.user._id;
-  booking.cancellationReason = reason || '';
-  booking.cancelledAt = new Date();
+  const roles = await getBookingActorRoles(booking, req.user);
 
-  await booking.save();
+  if (roles.length === 0) {
+    throw new ApiError(404, 'Booking not found');
+  }
 
-  // Create notification
-  await Notification.create({
-    user: req.user._id,
-    title: 'Booking Cancelled',
-    message: `Your booking #${booking.bookingNumber} has been cancelled.`,
-    notificationType: 'booking_cancelled',
-    relatedBooking: booking._id,
-  });
+  const actorRole = roles.find((role) => Booking.getAllowedActors('cancelled').includes(role));
+  if (!actorRole) {
+    throw new ApiError(403, 'Not authorized to cancel this booking');
+  }
 
-  // Send email/SMS cancellation notification
-  try {
-    const user = await User.findById(req.user._id);
-    const populatedBooking = await Booking.findById(booking._id).populate('salon', 'name');
-    await notificationService.sendBookingCancellation(user, populatedBooking, reason);
-  } catch (error) {
-    console.error('Failed to send cancellation notification:', error.message);
+  if (!booking.canTransitionTo('cancelled')) {
+    throw new ApiError(400, `Cannot cancel a booking that is '${booking.status}'`);
   }
 
+  const quote = await bookingPolicyService.getCancellationQuote(booking, booking.salon, actorRole);
+
   res.json({
     success: true,
-    message: 'Booking cancelled successfully',
-    data: { booking },
+    data: {
+      bookingNumber: booking.bookingNumber,
+      ...quote,
+    },
   });
 });
 
@@ -269,98 +358,183 @@ export const getPastBookings = asyncHandler(async (req, res) => {
   });
 });
 
+// =====================
+// STATUS TRANSITIONS
+// =====================
+
+// In-app notification sent to the customer for each status
+const STATUS_NOTIFICATIONS = {
+  confirmed: (booking) => ({
+    title: 'Booking Confirmed',
+    message: `Your booking #${booking.bookingNumber} at ${booking.salon.name} has been confirmed.`,
+    type: 'booking_confirmed',
+  }),
+  in_progress: (booking) => ({
+    title: 'Service Started',
+    message: `Your service at ${booking.salon.name} has started.`,
+    type: 'booking_started',
+  }),
+  completed: (booking) => ({
+    title: 'Service Completed',
+    message: `Your booking #${booking.bookingNumber} has been completed. Thank you for visiting ${booking.salon.name}!`,
+    type: 'booking_completed',
+  }),
+  no_show: (booking) => ({
+    title: 'Missed Appointment',
+    message: `You missed your appointment #${booking.bookingNumber} at ${booking.salon.name}.${booking.cancellationFee?.amount ? ` A no-show fee of ₹${booking.cancellationFee.amount} applies.` : ''}`,
+    type: 'booking_no_show',
+  }),
+};
+
 /**
- * @desc    Update booking status
- * @route   PATCH /api/bookings/:id/status
- * @access  Private (Admin/Salon Owner)
+ * Resolve how a user relates to a booking
+ * Roles are returned most specific first.
+ * @returns {Promise<string[]>} Subset of salon_owner, provider, customer, admin
  */
-export const updateBookingStatus = asyncHandler(async (req, res) => {
-  const { status: newStatus } = req.body;
+async function getBookingActorRoles(booking, user) {
+  const roles = [];
+  const userId = user._id.toString();
 
-  const validStatuses = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show'];
-  
-  if (!newStatus || !validStatuses.includes(newStatus)) {
-    throw new ApiError(400, `Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+  if (booking.salon?.owner?.toString() === userId) {
+    roles.push('salon_owner');
   }
 
-  const booking = await Booking.findById(req.params.id)
-    .populate('salon', 'name');
+  if (booking.provider) {
+    const isProvider = await ServiceProvider.exists({ _id: booking.provider, user: user._id });
+    if (isProvider) roles.push('provider');
+  }
+
+  if (booking.customer.toString() === userId) {
+    roles.push('customer');
+  }
+
+  if (user.role === 'admin') {
+    roles.push('admin');
+  }
+
+  return roles;
+}
+
+/**
+ * Load a booking and move it to a new status on behalf of req.user
+ * Enforces the transition table and the actor allowed for the target status,
+ * charges late cancellation / no-show fees under the salon's policy,
+ * records the change in the booking's status history and notifies the customer.
+ * The change is only written if the status is still the one that was checked
+ * (409 otherwise), so two concurrent actors can't both move the booking.
+ */
+async function transitionBooking(req, newStatus, reason) {
+  let booking = await Booking.findById(req.params.id)
+    .populate('salon', 'name owner bookingPolicy');
 
   if (!booking) {
     throw new ApiError(404, 'Booking not found');
   }
 
-  // Status transition validation
-  const allowedTransitions = {
-    'pending': ['confirmed', 'cancelled'],
-    'confirmed': ['in_progress', 'cancelled', 'no_show'],
-    'in_progress': ['completed', 'cancelled'],
-    'completed': [], // Terminal state
-    'cancelled': [], // Terminal state
-    'no_show': [], // Terminal state
-  };
+  const roles = await getBookingActorRoles(booking, req.user);
 
-  if (!allowedTransitions[booking.status]?.includes(newStatus)) {
+  if (roles.length === 0) {
+    throw new ApiError(404, 'Booking not found');
+  }
+
+  const allowedActors = Booking.getAllowedActors(newStatus);
+  const actorRole = roles.find((role) => allowedActors.includes(role));
+
+  if (!actorRole) {
+    throw new ApiError(403, `Not authorized to change this booking to '${newStatus}'`);
+  }
+
+  if (!booking.canTransitionTo(newStatus)) {
     throw new ApiError(400, `Cannot transition from '${booking.status}' to '${newStatus}'`);
   }
 
-  const oldStatus = booking.status;
-  booking.status = newStatus;
+  // Late cancellations must be confirmed by the customer (see cancellation-quote)
+  if (newStatus === 'cancelled') {
+    const fee = bookingPolicyService.getCancellationFee(booking, booking.salon, actorRole);
+
+    if (fee.fee > 0 && req.body.acceptFee !== true) {
+      throw new ApiError(
+        400,
+        `A late cancellation fee of ₹${fee.fee} applies. Send acceptFee: true to cancel anyway`
+      );
+    }
+    bookingPolicyService.applyFee(booking, 'late_cancellation', fee);
+  }
+
+  if (newStatus === 'no_show') {
+    bookingPolicyService.applyFee(booking, 'no_show', bookingPolicyService.getNoShowFee(booking, booking.salon));
+  }
+
+  const previousStatus = booking.status;
+
+  booking.transitionTo(newStatus, {
+    changedBy: req.user._id,
+    actorRole,
+    reason,
+  });
+
+  // Another request may have changed the status since it was checked
+  booking = await booking.saveTransition(previousStatus)
+    .populate('salon', 'name owner bookingPolicy');
+
+  if (!booking) {
+    throw new ApiError(409, 'The booking status was changed by someone else, please reload it');
+  }
 
-  // Set additional fields for specific status changes
+  // Promo release, refund (less any fee), reminders and notifications
+  let refundAmount = 0;
   if (newStatus === 'cancelled') {
-    booking.cancelledBy = req.user._id;
-    booking.cancelledAt = new Date();
-    booking.cancellationReason = req.body.reason || '';
+    refundAmount = await bookingPolicyService.completeCancellation(booking, {
+      cancelledBy: req.user._id,
+      reason,
+    });
   }
 
-  await booking.save();
+  // Reminders only make sense for upcoming appointments
+  if (['no_show', 'completed'].includes(newStatus)) {
+    await bookingJobsService.cancelReminders(booking._id);
+  }
 
-  // Create notification based on status change
-  const notificationMessages = {
-    'confirmed': {
-      title: 'Booking Confirmed',
-      message: `Your booking #${booking.bookingNumber} at ${booking.salon.name} has been confirmed.`,
-      type: 'booking_confirmed',
-    },
-    'in_progress': {
-      title: 'Service Started',
-      message: `Your service at ${booking.salon.name} has started.`,
-      type: 'booking_started',
-    },
-    'completed': {
-      title: 'Service Completed',
-      message: `Your booking #${booking.bookingNumber} has been completed. Thank you for visiting ${booking.salon.name}!`,
-      type: 'booking_completed',
-    },
-    'cancelled': {
-      title: 'Booking Cancelled',
-      message: `Your booking #${booking.bookingNumber} has been cancelled.`,
-      type: 'booking_cancelled',
-    },
-    'no_show': {
-      title: 'Missed Appointment',
-      message: `You missed your appointment #${booking.bookingNumber} at ${booking.salon.name}.`,
-      type: 'booking_no_show',
-    },
-  };
+  if (newStatus === 'completed') {
+    await bookingJobsService.scheduleReviewRequest(booking);
+  }
 
-  if (notificationMessages[newStatus]) {
+  const notification = STATUS_NOTIFICATIONS[newStatus]?.(booking);
+  if (notification) {
     await Notification.create({
       user: booking.customer,
-      title: notificationMessages[newStatus].title,
-      message: notificationMessages[newStatus].message,
-      notificationType: notificationMessages[newStatus].type,
+      title: notification.title,
+      message: notification.message,
+      notificationType: notification.type,
       relatedBooking: booking._id,
     });
   }
 
+  return { booking, previousStatus, refundAmount };
+}
+
+/**
+ * @desc    Update booking status
+ * @route   PATCH /api/bookings/:id/status
+ * @access  Private (Admin/Salon Owner/Provider; customers may only cancel)
+ */
+export const updateBookingStatus = asyncHandler(async (req, res) => {
+  const { status: newStatus, reason } = req.body;
+
+  const validStatuses = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show'];
+  
+  if (!newStatus || !validStatuses.includes(newStatus)) {
+    throw new ApiError(400, `Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+  }
+
+  const { booking, previousStatus } = await transitionBooking(req, newStatus, reason);
+
   res.json({
     success: true,
     message: `Booking status updated to '${newStatus}'`,
     data: { 
       booking,
-      previousStatus: oldStatus,
+      previousStatus,
       newStatus,
     },
   });
@@ -369,35 +543,29 @@ export const updateBookingStatus = asyncHandler(async (req, res) => {
 /**
  * @desc    Confirm a pending booking
  * @route   POST /api/bookings/:id/confirm
- * @access  Private (Salon Owner/Admin)
+ * @access  Private (Salon Owner/Provider/Admin)
  */
 export const confirmBooking = asyncHandler(async (req, res) => {
-  const booking = await Booking.findById(req.params.id)
-    .populate('salon', 'name');
-
-  if (!booking) {
-    throw new ApiError(404, 'Booking not found');
-  }
-
-  if (booking.status !== 'pending') {
-    throw new ApiError(400, `Cannot confirm booking with status '${booking.status}'`);
-  }
-
-  booking.status = 'confirmed';
-  await booking.save();
+  const { booking } = await transitionBooking(req, 'confirmed', req.body.reason);
 
-  // Create notification
-  await Notification.create({
-    user: booking.customer,
-    title: 'Booking Confirmed',
-    message: `Your booking #${booking.bookingNumber} at ${booking.salon.name} has been confirmed.`,
-    notificationType: 'booking_confirmed',
-    relatedBooking: booking._id,
+  res.json({
+    success: true,
+    message: 'Booking confirmed successfully',
+    data: { booking },
   });
+});
+
+/**
+ * @desc    Start a confirmed booking
+ * @route   POST /api/bookings/:id/start
+ * @access  Private (Salon Owner/Provider/Admin)
+ */
+export const startBooking = asyncHandler(async (req, res) => {
+  const { booking } = await transitionBooking(req, 'in_progress', req.body.reason);
 
   res.json({
     success: true,
-    message: 'Booking confirmed successfully',
+    message: 'Booking started successfully',
     data: { booking },
   });
 });
@@ -405,72 +573,205 @@ export const confirmBooking = asyncHandler(async (req, res) => {
 /**
  * @desc    Mark booking as completed
  * @route   POST /api/bookings/:id/complete
- * @access  Private (Salon Owner/Admin)
+ * @access  Private (Salon Owner/Provider/Admin)
  */
 export const completeBooking = asyncHandler(async (req, res) => {
+  const { booking } = await transitionBooking(req, 'completed', req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Booking completed successfully',
+    data: { booking },
+  });
+});
+
+/**
+ * @desc    Mark booking as no-show
+ * @route   POST /api/bookings/:id/no-show
+ * @access  Private (Salon Owner/Provider/Admin)
+ */
+export const markNoShow = asyncHandler(async (req, res) => {
+  const { booking } = await transitionBooking(req, 'no_show', req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Booking marked as no-show',
+    data: { booking },
+  });
+});
+
+// Bookings that can still be moved, and who can move them
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+const RESCHEDULE_ACTORS = ['salon_owner', 'admin', 'customer'];
+
+/**
+ * @desc    Move a booking to a new date, time or provider
+ * @route   POST /api/bookings/:id/reschedule
+ * @access  Private (Customer/Salon Owner/Admin)
+ *
+ * @body    {Date} bookingDate - New date (default: unchanged)
+ * @body    {string} bookingTime - New time HH:MM (default: unchanged)
+ * @body    {string} provider - New provider ID (default: unchanged)
+ * @body    {string} reason - Optional note
+ *
+ * Customers are held to the salon's booking policy (cutoff before the
+ * appointment and number of reschedules); the salon is not.
+ */
+export const rescheduleBooking = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
   const booking = await Booking.findById(req.params.id)
-    .populate('salon', 'name');
+    .populate('salon')
+    .populate('services.service', 'name durationMinutes');
 
   if (!booking) {
     throw new ApiError(404, 'Booking not found');
   }
 
-  if (!['confirmed', 'in_progress'].includes(booking.status)) {
-    throw new ApiError(400, `Cannot complete booking with status '${booking.status}'`);
+  const roles = await getBookingActorRoles(booking, req.user);
+
+  if (roles.length === 0) {
+    throw new ApiError(404, 'Booking not found');
   }
 
-  booking.status = 'completed';
-  await booking.save();
+  const actorRole = roles.find((role) => RESCHEDULE_ACTORS.includes(role));
+  if (!actorRole) {
+    throw new ApiError(403, 'Not authorized to reschedule this booking');
+  }
 
-  // Create notification
-  await Notification.create({
-    user: booking.customer,
-    title: 'Service Completed',
-    message: `Your booking #${booking.bookingNumber} has been completed. Thank you for visiting ${booking.salon.name}!`,
-    notificationType: 'booking_completed',
-    relatedBooking: booking._id,
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    throw new ApiError(400, `Cannot reschedule a booking that is '${booking.status}'`);
+  }
+
+  const salon = booking.salon;
+
+  if (actorRole === 'customer') {
+    const { rescheduleCutoffHours, maxReschedules } = salon.bookingPolicy;
+
+    const hoursUntilStart = (booking.getStartsAt() - Date.now()) / (60 * 60 * 1000);
+    if (hoursUntilStart < rescheduleCutoffHours) {
+      throw new ApiError(
+        400,
+        `Bookings can only be rescheduled up to ${rescheduleCutoffHours} hours before the appointment`
+      );
+    }
+
+    if (booking.rescheduleCount >= maxReschedules) {
+      throw new ApiError(400, `This booking has already been rescheduled ${maxReschedules} times`);
+    }
+  }
+
+  const target = {
+    bookingDate: req.body.bookingDate || booking.bookingDate,
+    bookingTime: req.body.bookingTime || booking.bookingTime,
+    provider: req.body.provider || booking.provider,
+  };
+
+  const isUnchanged = target.bookingDate.getTime() === booking.bookingDate.getTime()
+    && target.bookingTime === booking.bookingTime
+    && target.provider?.toString() === booking.provider?.toString();
+
+  if (isUnchanged) {
+    throw new ApiError(400, 'The booking is already at this time');
+  }
+
+  const previous = {
+    bookingDate: booking.bookingDate,
+    bookingTime: booking.bookingTime,
+  };
+
+  // Same check as a new booking, ignoring the booking's own current slot
+  await availabilityService.withSlotLock(salon._id, target.bookingDate, async () => {
+    const { available, reason: unavailableReason } = await availabilityService.checkAvailability({
+      salon,
+      date: target.bookingDate,
+      time: target.bookingTime,
+      durationMinutes: availabilityService.getBookingDuration(booking),
+      providerId: target.provider,
+      excludeBookingId: booking._id,
+    });
+
+    if (!available) {
+      throw new ApiError(409, `Selected time is not available: ${unavailableReason}`);
+    }
+
+    booking.rescheduleTo(target, {
+      changedBy: req.user._id,
+      actorRole,
+      reason,
+    });
+
+    await booking.save();
   });
 
+  // Reminders for the old time skip themselves when they come due
+  try {
+    await bookingJobsService.scheduleReminders(booking);
+  } catch (error) {
+    console.error('Failed to schedule booking reminders:', error.message);
+  }
+
+  // Tell the customer and the salon
+  const recipients = await User.find({
+    _id: { $in: [booking.customer, salon.owner].filter(Boolean) },
+  });
+
+  for (const recipient of recipients) {
+    await Notification.create({
+      user: recipient._id,
+      title: 'Booking Rescheduled',
+      message: `Booking #${booking.bookingNumber} at ${salon.name} is now on ${booking.bookingDate.toDateString()} at ${booking.bookingTime}.`,
+      notificationType: 'booking_rescheduled',
+      relatedBooking: booking._id,
+    });
+
+    try {
+      await notificationService.sendBookingRescheduled(recipient, booking, previous);
+    } catch (error) {
+      console.error('Failed to send reschedule notification:', error.message);
+    }
+  }
+
   res.json({
     success: true,
-    message: 'Booking completed successfully',
-    data: { booking },
+    message: 'Booking rescheduled successfully',
+    data: {
+      booking,
+      reschedulesLeft: actorRole === 'customer'
+        ? Math.max(salon.bookingPolicy.maxReschedules - booking.rescheduleCount, 0)
+        : undefined,
+    },
   });
 });
 
 /**
- * @desc    Mark booking as no-show
- * @route   POST /api/bookings/:id/no-show
- * @access  Private (Salon Owner/Admin)
+ * @desc    Get booking status history
+ * @route   GET /api/bookings/:id/history
+ * @access  Private (Customer/Salon Owner/Provider/Admin)
  */
-export const markNoShow = asyncHandler(async (req, res) => {
+export const getBookingHistory = asyncHandler(async (req, res) => {
   const booking = await Booking.findById(req.params.id)
-    .populate('salon', 'name');
+    .populate('salon', 'name owner')
+    .populate('statusHistory.changedBy', 'firstName lastName username')
+    .populate('rescheduleHistory.changedBy', 'firstName lastName username');
 
   if (!booking) {
     throw new ApiError(404, 'Booking not found');
   }
 
-  if (booking.status !== 'confirmed') {
-    throw new ApiError(400, `Cannot mark as no-show for booking with status '${booking.status}'`);
+  const roles = await getBookingActorRoles(booking, req.user);
+  if (roles.length === 0) {
+    throw new ApiError(404, 'Booking not found');
   }
 
-  booking.status = 'no_show';
-  await booking.save();
-
-  // Create notification
-  await Notification.create({
-    user: booking.customer,
-    title: 'Missed Appointment',
-    message: `You missed your appointment #${booking.bookingNumber} at ${booking.salon.name}.`,
-    notificationType: 'booking_no_show',
-    relatedBooking: booking._id,
-  });
-
   res.json({
     success: true,
-    message: 'Booking marked as no-show',
-    data: { booking },
+    data: {
+      bookingNumber: booking.bookingNumber,
+      status: booking.status,
+      history: booking.statusHistory,
+      rescheduleHistory: booking.rescheduleHistory,
+    },
   });
 });
 
@@ -478,61 +779,55 @@ export const markNoShow = asyncHandler(async (req, res) => {
  * @desc    Get available slots
  * @route   GET /api/bookings/available-slots
  * @access  Public
+ *
+ * @query   {string} salon - Salon ID (required)
+ * @query   {string} date - Date (required)
+ * @query   {string} services - Comma-separated service IDs (sets slot length)
+ * @query   {number} duration - Slot length in minutes when services are not given
+ * @query   {string} provider - Provider ID to check the provider's schedule and bookings
  */
 export const getAvailableSlots = asyncHandler(async (req, res) => {
-  const { salon: salonId, date } = req.query;
+  const { salon: salonId, date, services, duration, provider } = req.query;
 
   if (!salonId || !date) {
     throw new ApiError(400, 'Salon and date are required');
   }
 
+  if (Number.isNaN(new Date(date).getTime())) {
+    throw new ApiError(400, 'Invalid date');
+  }
+
   const salon = await Salon.findById(salonId);
   if (!salon) {
     throw new ApiError(404, 'Salon not found');
   }
 
-  const bookingDate = new Date(date);
-  bookingDate.setHours(0, 0, 0, 0);
+  let durationMinutes = duration ? parseInt(duration) : undefined;
 
-  // Get existing bookings for that day
-  const existingBookings = await Booking.find({
-    salon: salonId,
-    bookingDate,
-    status: { $in: ['pending', 'confirmed'] },
-  }).select('bookingTime');
-
-  const bookedTimes = existingBookings.map((b) => b.bookingTime);
-
-  // Generate slots based on opening/closing time
-  const slots = [];
-  const [openHour, openMin] = salon.openingTime.split(':').map(Number);
-  const [closeHour, closeMin] = salon.closingTime.split(':').map(Number);
-
-  let currentHour = openHour;
-  let currentMin = openMin;
-
-  while (
-    currentHour < closeHour ||
-    (currentHour === closeHour && currentMin < closeMin)
-  ) {
-    const timeStr = `${String(currentHour).padStart(2, '0')}:${String(currentMin).padStart(2, '0')}`;
-    
-    slots.push({
-      time: timeStr,
-      available: !bookedTimes.includes(timeStr),
-    });
+  if (services) {
+    const serviceIds = services.split(',').map((id) => id.trim()).filter(Boolean);
+    const selectedServices = await Service.find({
+      _id: { $in: serviceIds },
+      salon: salon._id,
+      isActive: true,
+    }).select('durationMinutes');
 
-    // Increment by 30 minutes
-    currentMin += 30;
-    if (currentMin >= 60) {
-      currentMin = 0;
-      currentHour += 1;
+    if (selectedServices.length !== serviceIds.length) {
+      throw new ApiError(400, 'One or more services are invalid');
     }
+
+    durationMinutes = availabilityService.getServicesDuration(selectedServices);
   }
 
+  const { isOpen, slots } = await availabilityService.getAvailableSlots({
+    salon,
+    date,
+    providerId: provider,
+    durationMinutes,
+  });
+
   res.json({
     success: true,
-    data: { slots },
+    data: { isOpen, durationMinutes, slots },
   });
 });
-
@@ -1,5 +1,10 @@
+import mongoose from 'mongoose';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import Notification from '../models/Notification.js';
+import { campaignService } from '../services/index.js';
+
+// 1x1 transparent GIF returned by the email open-tracking pixel
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
 
 /**
  * @desc    Get user's notifications
@@ -114,3 +119,34 @@ export const deleteNotification = asyncHandler(async (req, res) => {
   });
 });
 
+
+/**
+ * @desc    Record that the user opened a promo campaign push
+ * @route   POST /api/notifications/campaigns/:id/open
+ * @access  Private
+ */
+export const recordCampaignOpen = asyncHandler(async (req, res) => {
+  await campaignService.recordOpen({ campaign: req.params.id, user: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Campaign open recorded',
+  });
+});
+
+/**
+ * @desc    Email open-tracking pixel for a campaign recipient
+ * @route   GET /api/notifications/campaigns/open/:recipientId.gif
+ * @access  Public
+ */
+export const campaignOpenPixel = asyncHandler(async (req, res) => {
+  if (mongoose.isValidObjectId(req.params.recipientId)) {
+    await campaignService.recordOpen({ _id: req.params.recipientId });
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+  });
+  res.send(TRACKING_PIXEL);
+});
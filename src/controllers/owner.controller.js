@@ -0,0 +1,499 @@
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import Salon from '../models/Salon.js';
+import { Area } from '../models/Location.js';
+import ServiceProvider from '../models/Provider.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { SalonReview, ProviderReview } from '../models/Review.js';
+import { notificationService, availabilityService } from '../services/index.js';
+
+const REVIEW_MODELS = {
+  salon: SalonReview,
+  provider: ProviderReview,
+};
+
+/**
+ * Apply editable profile fields from the request body to a salon document
+ */
+async function applySalonProfile(salon, body) {
+  const {
+    lat,
+    lng,
+    area,
+    features,
+    ...fields
+  } = body;
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) salon[key] = value;
+  });
+
+  // Keep the denormalized city in sync with the area
+  if (area) {
+    const areaDoc = await Area.findById(area).select('city');
+    if (!areaDoc) {
+      throw new ApiError(400, 'Area not found');
+    }
+    salon.area = areaDoc._id;
+    salon.city = areaDoc.city;
+  }
+
+  if (lat !== undefined && lng !== undefined) {
+    salon.location = { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  if (features) {
+    Object.entries(features).forEach(([key, value]) => {
+      salon.features[key] = value;
+    });
+  }
+
+  return salon;
+}
+
+/**
+ * Load a salon or provider review and check the user owns its salon
+ * Provider reviews belong to the salon the provider works at.
+ * @returns {Promise<Object>} { review, salon }
+ */
+async function findOwnedReview(req) {
+  const { type, id } = req.params;
+
+  const review = await REVIEW_MODELS[type].findById(id);
+  if (!review) {
+    throw new ApiError(404, 'Review not found');
+  }
+
+  let salonId = review.salon;
+  if (type === 'provider') {
+    const provider = await ServiceProvider.findById(review.provider).select('salon');
+    salonId = provider?.salon;
+  }
+
+  const salon = salonId ? await Salon.findById(salonId).select('name owner') : null;
+
+  const isOwner = salon?.owner?.toString() === req.user._id.toString();
+  if (!isOwner && req.user.role !== 'admin') {
+    throw new ApiError(403, 'Not authorized to reply to this review');
+  }
+
+  return { review, salon };
+}
+
+/**
+ * @desc    Get salons owned by current user
+ * @route   GET /api/owner/salons
+ * @access  Private (Salon Owner/Admin)
+ */
+export const getMySalons = asyncHandler(async (req, res) => {
+  const salons = await Salon.find({ owner: req.user._id })
+    .populate('area', 'name')
+    .populate('city', 'name')
+    .sort('-createdAt');
+
+  res.json({
+    success: true,
+    data: { salons, count: salons.length },
+  });
+});
+
+/**
+ * @desc    Create a salon owned by current user
+ * @route   POST /api/owner/salons
+ * @access  Private (Salon Owner/Admin)
+ */
+export const createSalon = asyncHandler(async (req, res) => {
+  const salon = new Salon({ owner: req.user._id });
+
+  await applySalonProfile(salon, req.body);
+  await salon.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Salon created successfully',
+    data: { salon },
+  });
+});
+
+/**
+ * @desc    Get owned salon
+ * @route   GET /api/owner/salons/:id
+ * @access  Private (Salon Owner/Admin)
+ */
+export const getMySalon = asyncHandler(async (req, res) => {
+  const salon = await req.salon.populate([
+    { path: 'area', select: 'name' },
+    { path: 'city', select: 'name' },
+  ]);
+
+  res.json({
+    success: true,
+    data: { salon },
+  });
+});
+
+/**
+ * @desc    Update salon profile
+ * @route   PATCH /api/owner/salons/:id
+ * @access  Private (Salon Owner/Admin)
+ */
+export const updateSalon = asyncHandler(async (req, res) => {
+  const { salon } = req;
+
+  await applySalonProfile(salon, req.body);
+  await salon.save();
+
+  res.json({
+    success: true,
+    message: 'Salon updated successfully',
+    data: { salon },
+  });
+});
+
+/**
+ * @desc    Update salon opening hours
+ * @route   PATCH /api/owner/salons/:id/hours
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @body    {string} openingTime - Default opening time (HH:MM)
+ * @body    {string} closingTime - Default closing time (HH:MM)
+ * @body    {boolean} isOpenSunday - Open on Sundays (default hours only)
+ * @body    {Object[]} weeklyHours - { dayOfWeek, isClosed, openingTime, closingTime, breaks }
+ *                                   per weekday; [] goes back to the default hours
+ */
+export const updateSalonHours = asyncHandler(async (req, res) => {
+  const { salon } = req;
+  const { openingTime, closingTime, isOpenSunday, weeklyHours } = req.body;
+
+  const nextOpening = openingTime ?? salon.openingTime;
+  const nextClosing = closingTime ?? salon.closingTime;
+
+  if (nextOpening >= nextClosing) {
+    throw new ApiError(400, 'Opening time must be before closing time');
+  }
+
+  salon.openingTime = nextOpening;
+  salon.closingTime = nextClosing;
+  if (isOpenSunday !== undefined) salon.isOpenSunday = isOpenSunday;
+  if (weeklyHours !== undefined) salon.weeklyHours = weeklyHours;
+
+  await salon.save();
+
+  // Existing bookings are not cancelled; list them so they can be handled
+  const clashingBookings = await availabilityService.findClashingBookings({ salon });
+
+  res.json({
+    success: true,
+    message: 'Opening hours updated successfully',
+    data: {
+      openingTime: salon.openingTime,
+      closingTime: salon.closingTime,
+      isOpenSunday: salon.isOpenSunday,
+      weeklyHours: availabilityService.getSalonWeeklyHours(salon),
+      clashingBookings,
+    },
+  });
+});
+
+/**
+ * @desc    Update the salon's booking policy
+ * @route   PATCH /api/owner/salons/:id/booking-policy
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @body    {number} rescheduleCutoffHours - Latest customers can reschedule (hours before)
+ * @body    {number} maxReschedules - Reschedules allowed per booking
+ * @body    {number} freeCancellationHours - Free cancellation up to this many hours before
+ * @body    {number} cancellationFeePercent - Fee for later cancellations (% of the booking)
+ * @body    {number} noShowFeePercent - Fee for no-shows (% of the booking)
+ */
+export const updateBookingPolicy = asyncHandler(async (req, res) => {
+  const { salon } = req;
+
+  Object.entries(req.body).forEach(([key, value]) => {
+    salon.bookingPolicy[key] = value;
+  });
+  await salon.save();
+
+  res.json({
+    success: true,
+    message: 'Booking policy updated successfully',
+    data: { bookingPolicy: salon.bookingPolicy },
+  });
+});
+
+/**
+ * @desc    List upcoming closures and special hours
+ * @route   GET /api/owner/salons/:id/overrides
+ * @access  Private (Salon Owner/Admin)
+ */
+export const getSalonOverrides = asyncHandler(async (req, res) => {
+  const { start: today } = availabilityService.getDayRange(new Date());
+
+  const overrides = req.salon.availabilityOverrides
+    .filter((o) => o.endDate >= today)
+    .sort((a, b) => a.startDate - b.startDate);
+
+  res.json({
+    success: true,
+    data: { overrides },
+  });
+});
+
+/**
+ * @desc    Add a closure or special hours for a range of days
+ * @route   POST /api/owner/salons/:id/overrides
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @body    {string} startDate - First day (YYYY-MM-DD)
+ * @body    {string} endDate - Last day, inclusive (YYYY-MM-DD)
+ * @body    {string} type - closed | custom_hours
+ * @body    {Object[]} windows - { startTime, endTime } (custom_hours only)
+ * @body    {string} reason - Optional note (e.g. "Diwali")
+ */
+export const addSalonOverride = asyncHandler(async (req, res) => {
+  const { salon } = req;
+  const { startDate, endDate, type, windows, reason } = req.body;
+
+  // Drop overrides that are over so the list doesn't grow forever
+  const { start: today } = availabilityService.getDayRange(new Date());
+  salon.availabilityOverrides = salon.availabilityOverrides.filter((o) => o.endDate >= today);
+
+  if (availabilityService.findOverlappingOverride(salon.availabilityOverrides, startDate, endDate)) {
+    throw new ApiError(409, 'An override already exists for some of these days');
+  }
+
+  salon.availabilityOverrides.push({ startDate, endDate, type, windows, reason });
+  await salon.save();
+
+  const override = salon.availabilityOverrides[salon.availabilityOverrides.length - 1];
+
+  // Existing bookings are not cancelled; list them so they can be handled
+  const clashingBookings = await availabilityService.findClashingBookings({
+    salon,
+    from: startDate,
+    to: endDate,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Override added successfully',
+    data: { override, clashingBookings },
+  });
+});
+
+/**
+ * @desc    Remove a closure or special hours
+ * @route   DELETE /api/owner/salons/:id/overrides/:overrideId
+ * @access  Private (Salon Owner/Admin)
+ */
+export const removeSalonOverride = asyncHandler(async (req, res) => {
+  const { salon } = req;
+
+  if (!salon.availabilityOverrides.id(req.params.overrideId)) {
+    throw new ApiError(404, 'Override not found');
+  }
+
+  salon.availabilityOverrides.pull(req.params.overrideId);
+  await salon.save();
+
+  res.json({
+    success: true,
+    message: 'Override removed successfully',
+  });
+});
+
+/**
+ * @desc    List upcoming bookings that fall outside salon or provider hours
+ * @route   GET /api/owner/salons/:id/clashing-bookings
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @query   {Date} from - First day to check (default today)
+ * @query   {Date} to - Last day to check (default 90 days ahead)
+ */
+export const getClashingBookings = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const clashingBookings = await availabilityService.findClashingBookings({
+    salon: req.salon,
+    from,
+    to,
+  });
+
+  res.json({
+    success: true,
+    data: { clashingBookings },
+  });
+});
+
+/**
+ * @desc    Add gallery image
+ * @route   POST /api/owner/salons/:id/gallery
+ * @access  Private (Salon Owner/Admin)
+ */
+export const addGalleryImage = asyncHandler(async (req, res) => {
+  const { salon } = req;
+  const { image, caption, order } = req.body;
+
+  salon.galleryImages.push({
+    image,
+    caption,
+    order: order ?? salon.galleryImages.length,
+  });
+
+  await salon.save();
+
+  const newImage = salon.galleryImages[salon.galleryImages.length - 1];
+
+  res.status(201).json({
+    success: true,
+    message: 'Gallery image added successfully',
+    data: { image: newImage },
+  });
+});
+
+/**
+ * @desc    Update gallery image
+ * @route   PATCH /api/owner/salons/:id/gallery/:imageId
+ * @access  Private (Salon Owner/Admin)
+ */
+export const updateGalleryImage = asyncHandler(async (req, res) => {
+  const { salon } = req;
+  const { image, caption, order } = req.body;
+
+  const galleryImage = salon.galleryImages.id(req.params.imageId);
+  if (!galleryImage) {
+    throw new ApiError(404, 'Gallery image not found');
+  }
+
+  if (image !== undefined) galleryImage.image = image;
+  if (caption !== undefined) galleryImage.caption = caption;
+  if (order !== undefined) galleryImage.order = order;
+
+  await salon.save();
+
+  res.json({
+    success: true,
+    message: 'Gallery image updated successfully',
+    data: { image: galleryImage },
+  });
+});
+
+/**
+ * @desc    Remove gallery image
+ * @route   DELETE /api/owner/salons/:id/gallery/:imageId
+ * @access  Private (Salon Owner/Admin)
+ */
+export const removeGalleryImage = asyncHandler(async (req, res) => {
+  const { salon } = req;
+
+  const galleryImage = salon.galleryImages.id(req.params.imageId);
+  if (!galleryImage) {
+    throw new ApiError(404, 'Gallery image not found');
+  }
+
+  salon.galleryImages.pull(req.params.imageId);
+  await salon.save();
+
+  res.json({
+    success: true,
+    message: 'Gallery image removed successfully',
+  });
+});
+
+/**
+ * @desc    Reply to a review
+ * @route   POST /api/owner/reviews/:type/:id/reply
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @body    {string} message - Reply text
+ */
+export const replyToReview = asyncHandler(async (req, res) => {
+  const { type } = req.params;
+  const { review, salon } = await findOwnedReview(req);
+
+  if (review.ownerReply) {
+    throw new ApiError(400, 'This review already has a reply');
+  }
+
+  review.ownerReply = {
+    message: req.body.message,
+    repliedBy: req.user._id,
+  };
+  await review.save();
+
+  const salonName = salon?.name || 'The salon';
+
+  // Anonymized reviews have no customer left to notify
+  if (review.customer) {
+    await Notification.create({
+      user: review.customer,
+      title: `${salonName} replied to your review`,
+      message: review.ownerReply.message,
+      notificationType: 'general',
+      data: { reviewId: review._id, reviewType: type },
+    });
+
+    const customer = await User.findById(review.customer).select('notificationPreferences timezone');
+
+    if (customer) {
+      await notificationService.sendReviewReplyNotification(customer, {
+        reviewId: review._id,
+        reviewType: type,
+        salonName,
+        message: review.ownerReply.message,
+      });
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Reply posted successfully',
+    data: { review },
+  });
+});
+
+/**
+ * @desc    Edit a review reply
+ * @route   PATCH /api/owner/reviews/:type/:id/reply
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @body    {string} message - Reply text
+ */
+export const updateReviewReply = asyncHandler(async (req, res) => {
+  const { review } = await findOwnedReview(req);
+
+  if (!review.ownerReply) {
+    throw new ApiError(404, 'Reply not found');
+  }
+
+  review.ownerReply.message = req.body.message;
+  review.ownerReply.repliedBy = req.user._id;
+  await review.save();
+
+  res.json({
+    success: true,
+    message: 'Reply updated successfully',
+    data: { review },
+  });
+});
+
+/**
+ * @desc    Delete a review reply
+ * @route   DELETE /api/owner/reviews/:type/:id/reply
+ * @access  Private (Salon Owner/Admin)
+ */
+export const deleteReviewReply = asyncHandler(async (req, res) => {
+  const { review } = await findOwnedReview(req);
+
+  if (!review.ownerReply) {
+    throw new ApiError(404, 'Reply not found');
+  }
+
+  review.ownerReply = undefined;
+  await review.save();
+
+  res.json({
+    success: true,
+    message: 'Reply deleted successfully',
+  });
+});
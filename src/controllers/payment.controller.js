@@ -0,0 +1,178 @@
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import Payment, { PAYMENT_METHODS } from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import { paymentService, bookingPolicyService } from '../services/index.js';
+
+/**
+ * Check if the user can manage payments for a booking (salon owner or admin)
+ * Expects booking.salon to be populated with owner.
+ */
+function canManageBookingPayment(booking, user) {
+  if (user.role === 'admin') return true;
+  return booking.salon?.owner?.toString() === user._id.toString();
+}
+
+/**
+ * Load a payment with its booking and salon owner
+ */
+async function findPaymentWithBooking(paymentId) {
+  const payment = await Payment.findById(paymentId)
+    .populate({
+      path: 'booking',
+      select: 'bookingNumber customer salon finalAmount status paymentStatus cancellationFee',
+      populate: { path: 'salon', select: 'name owner' },
+    });
+
+  if (!payment) {
+    throw new ApiError(404, 'Payment not found');
+  }
+
+  return payment;
+}
+
+/**
+ * @desc    Start a payment for a booking
+ * @route   POST /api/payments
+ * @access  Private (Customer)
+ */
+export const startPayment = asyncHandler(async (req, res) => {
+  const { booking: bookingId, paymentMethod } = req.body;
+
+  if (!bookingId || !paymentMethod) {
+    throw new ApiError(400, 'Booking and payment method are required');
+  }
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new ApiError(400, `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const booking = await Booking.findOne({
+    _id: bookingId,
+    customer: req.user._id,
+  });
+
+  if (!booking) {
+    throw new ApiError(404, 'Booking not found');
+  }
+
+  const { payment, checkout } = await paymentService.startPayment(booking, paymentMethod);
+
+  res.status(201).json({
+    success: true,
+    message: paymentMethod === 'cash'
+      ? 'Pay at the salon when you arrive'
+      : 'Payment started',
+    data: { payment, checkout },
+  });
+});
+
+/**
+ * @desc    Get payment for a booking
+ * @route   GET /api/payments/booking/:bookingId
+ * @access  Private (Customer/Salon Owner/Admin)
+ */
+export const getBookingPayment = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId)
+    .populate('salon', 'name owner');
+
+  if (!booking) {
+    throw new ApiError(404, 'Booking not found');
+  }
+
+  const isCustomer = booking.customer.toString() === req.user._id.toString();
+  if (!isCustomer && !canManageBookingPayment(booking, req.user)) {
+    throw new ApiError(404, 'Booking not found');
+  }
+
+  const payment = await Payment.findOne({ booking: booking._id });
+
+  res.json({
+    success: true,
+    data: {
+      payment,
+      paymentStatus: booking.paymentStatus,
+      finalAmount: booking.finalAmount,
+    },
+  });
+});
+
+/**
+ * @desc    Gateway payment callback
+ * @route   POST /api/payments/callback/:gateway
+ * @access  Public (verified by gateway signature)
+ */
+export const paymentCallback = asyncHandler(async (req, res) => {
+  const payment = await paymentService.handleCallback(
+    req.params.gateway,
+    req.headers,
+    req.body,
+    req.rawBody
+  );
+
+  res.json({
+    success: true,
+    data: {
+      paymentId: payment._id,
+      status: payment.status,
+    },
+  });
+});
+
+/**
+ * @desc    Mark cash payment as collected at the salon
+ * @route   POST /api/payments/:id/collect
+ * @access  Private (Salon Owner/Admin)
+ */
+export const collectCashPayment = asyncHandler(async (req, res) => {
+  const payment = await findPaymentWithBooking(req.params.id);
+
+  if (!canManageBookingPayment(payment.booking, req.user)) {
+    throw new ApiError(403, 'Not authorized to manage this payment');
+  }
+
+  await paymentService.collectCash(payment, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Cash payment marked as collected',
+    data: { payment },
+  });
+});
+
+/**
+ * @desc    Refund a payment (full or partial)
+ * @route   POST /api/payments/:id/refund
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @body    {number} amount - Amount to refund (optional, defaults to the refundable
+ *                          amount less any cancellation/no-show fee on the booking)
+ * @body    {string} reason - Refund reason
+ */
+export const refundPayment = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+    throw new ApiError(400, 'Refund amount must be a positive number');
+  }
+
+  const payment = await findPaymentWithBooking(req.params.id);
+
+  if (!canManageBookingPayment(payment.booking, req.user)) {
+    throw new ApiError(403, 'Not authorized to manage this payment');
+  }
+
+  await paymentService.refund(payment, {
+    amount: amount ?? bookingPolicyService.getRefundableAfterFee(
+      payment,
+      payment.booking.cancellationFee?.amount
+    ),
+    reason,
+    refundedBy: req.user._id,
+  });
+
+  res.json({
+    success: true,
+    message: payment.status === 'refunded' ? 'Payment fully refunded' : 'Payment partially refunded',
+    data: { payment },
+  });
+});
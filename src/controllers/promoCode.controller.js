@@ -44,7 +44,7 @@ export const getPromoCode = asyncHandler(async (req, res) => {
 /**
  * @desc    Validate promo code
  * @route   POST /api/promo-codes/validate
- * @access  Public
+ * @access  Public (per-user usage is checked when authenticated)
  */
 export const validatePromoCode = asyncHandler(async (req, res) => {
   const { code, bookingAmount } = req.body;
@@ -62,17 +62,13 @@ export const validatePromoCode = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Invalid promo code');
   }
 
-  if (!promoCode.isValid()) {
-    throw new ApiError(400, 'Promo code is expired or not valid');
-  }
-
   const amount = parseFloat(bookingAmount) || 0;
 
-  if (amount < promoCode.minBookingAmount) {
-    throw new ApiError(400, `Minimum booking amount is ₹${promoCode.minBookingAmount}`);
-  }
+  const { valid, reason, discount } = await promoCode.checkEligibility(amount, req.user?._id);
 
-  const discount = promoCode.calculateDiscount(amount);
+  if (!valid) {
+    throw new ApiError(400, reason);
+  }
 
   res.json({
     success: true,
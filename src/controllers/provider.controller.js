@@ -1,6 +1,8 @@
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import ServiceProvider from '../models/Provider.js';
+import Salon from '../models/Salon.js';
 import { ProviderReview } from '../models/Review.js';
+import { availabilityService } from '../services/index.js';
 
 /**
  * @desc    Get all providers
@@ -364,13 +366,16 @@ export const getProviderReviews = asyncHandler(async (req, res) => {
   const skip = (parseInt(page) - 1) * parseInt(limit);
   const limitNum = Math.min(parseInt(limit), 50);
 
+  // Reviews hidden by an admin aren't shown
+  const query = { provider: req.params.id, isActive: { $ne: false } };
+
   const [reviews, total] = await Promise.all([
-    ProviderReview.find({ provider: req.params.id })
+    ProviderReview.find(query)
       .populate('customer', 'firstName lastName username avatar')
       .sort('-createdAt')
       .skip(skip)
       .limit(limitNum),
-    ProviderReview.countDocuments({ provider: req.params.id }),
+    ProviderReview.countDocuments(query),
   ]);
 
   res.json({
@@ -393,10 +398,14 @@ export const getProviderReviews = asyncHandler(async (req, res) => {
  * @desc    Get provider availability
  * @route   GET /api/providers/:id/availability
  * @access  Public
+ *
+ * @query   {string} date - Day to list free slots for (optional)
+ * @query   {number} duration - Slot length in minutes (optional, defaults to 30)
  */
 export const getProviderAvailability = asyncHandler(async (req, res) => {
-  const { date } = req.query;
-  const provider = await ServiceProvider.findById(req.params.id).select('availability');
+  const { date, duration } = req.query;
+  const provider = await ServiceProvider.findById(req.params.id)
+    .select('availability availabilityOverrides salon isActive');
 
   if (!provider) {
     throw new ApiError(404, 'Provider not found');
@@ -408,22 +417,45 @@ export const getProviderAvailability = asyncHandler(async (req, res) => {
   if (date) {
     const requestedDate = new Date(date);
     const dayOfWeek = requestedDate.getDay();
-    const dayAvailability = provider.availability.find(a => a.dayOfWeek === dayOfWeek);
 
-    if (!dayAvailability || !dayAvailability.isAvailable) {
+    // A date-specific override replaces the weekly hours
+    const override = availabilityService.getOverride(provider.availabilityOverrides, requestedDate);
+    const hours = (override
+      ? override.windows
+      : provider.availability.filter(a => a.dayOfWeek === dayOfWeek && a.isAvailable))
+      .slice()
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+    if (!hours.length) {
       return res.json({
         success: true,
         data: {
           date,
           day: dayNames[dayOfWeek],
           isAvailable: false,
+          reason: override?.reason,
           slots: [],
         },
       });
     }
 
-    // Generate time slots
-    const slots = generateTimeSlots(dayAvailability.startTime, dayAvailability.endTime);
+    // Salon providers only get slots that fit salon hours and existing bookings
+    const salon = provider.salon && provider.isActive
+      ? await Salon.findById(provider.salon)
+      : null;
+
+    let slots;
+    if (salon) {
+      const result = await availabilityService.getAvailableSlots({
+        salon,
+        date,
+        providerId: provider._id,
+        durationMinutes: duration ? parseInt(duration) : undefined,
+      });
+      slots = result.slots.filter((s) => s.available).map((s) => s.time);
+    } else {
+      slots = hours.flatMap((h) => generateTimeSlots(h.startTime, h.endTime));
+    }
 
     return res.json({
       success: true,
@@ -431,8 +463,8 @@ export const getProviderAvailability = asyncHandler(async (req, res) => {
         date,
         day: dayNames[dayOfWeek],
         isAvailable: true,
-        startTime: dayAvailability.startTime,
-        endTime: dayAvailability.endTime,
+        startTime: hours[0].startTime,
+        endTime: hours[hours.length - 1].endTime,
         slots,
       },
     });
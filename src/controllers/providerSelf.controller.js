@@ -0,0 +1,410 @@
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import Booking from '../models/Booking.js';
+import Salon from '../models/Salon.js';
+import { availabilityService } from '../services/index.js';
+import { buildPaginationResponse } from '../utils/searchHelpers.js';
+
+const UPCOMING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+const MAX_GALLERY_IMAGES = 30;
+
+// =====================
+// PROFILE
+// =====================
+
+/**
+ * @desc    Get the current provider's profile
+ * @route   GET /api/provider/me
+ * @access  Private (Provider)
+ */
+export const getMyProfile = asyncHandler(async (req, res) => {
+  await req.provider.populate([
+    { path: 'salon', select: 'name address' },
+    { path: 'homeServiceAreas', select: 'name' },
+  ]);
+
+  res.json({
+    success: true,
+    data: { provider: req.provider },
+  });
+});
+
+/**
+ * @desc    Update bio, availability toggle and home service settings
+ * @route   PATCH /api/provider/me
+ * @access  Private (Provider)
+ *
+ * @body    {string} bio - Short introduction
+ * @body    {boolean} isAvailable - Taking bookings (false pauses all slots)
+ * @body    {boolean} providesHomeService - Offers home visits
+ * @body    {string[]} homeServiceAreas - Area IDs covered by home visits
+ * @body    {number} homeServiceFee - Extra fee for home visits
+ */
+export const updateMyProfile = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  Object.assign(provider, req.body);
+  await provider.save();
+
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: { provider },
+  });
+});
+
+// =====================
+// AVAILABILITY
+// =====================
+
+/**
+ * @desc    Replace the weekly availability
+ * @route   PUT /api/provider/me/availability
+ * @access  Private (Provider)
+ *
+ * @body    {Object[]} availability - { dayOfWeek (0 = Sunday), startTime, endTime, isAvailable }
+ */
+export const updateMyAvailability = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  provider.availability = req.body.availability;
+  await provider.save();
+
+  res.json({
+    success: true,
+    message: 'Availability updated successfully',
+    data: { availability: provider.availability },
+  });
+});
+
+/**
+ * @desc    List upcoming time off
+ * @route   GET /api/provider/me/time-off
+ * @access  Private (Provider)
+ */
+export const getMyTimeOff = asyncHandler(async (req, res) => {
+  const now = new Date();
+
+  const timeOff = req.provider.timeOff
+    .filter((t) => t.endsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  res.json({
+    success: true,
+    data: { timeOff },
+  });
+});
+
+/**
+ * @desc    Add time off (no new bookings can be made during it)
+ * @route   POST /api/provider/me/time-off
+ * @access  Private (Provider)
+ *
+ * @body    {Date} startsAt - Start of the time off
+ * @body    {Date} endsAt - End of the time off
+ * @body    {string} reason - Optional note
+ */
+export const addMyTimeOff = asyncHandler(async (req, res) => {
+  const { provider } = req;
+  const { startsAt, endsAt, reason } = req.body;
+
+  // Drop entries that are over so the list doesn't grow forever
+  const now = new Date();
+  provider.timeOff = provider.timeOff.filter((t) => t.endsAt > now);
+
+  provider.timeOff.push({ startsAt, endsAt, reason });
+  await provider.save();
+
+  const timeOff = provider.timeOff[provider.timeOff.length - 1];
+
+  // Existing bookings are not cancelled; list them so they can be handled
+  const { start: fromDay } = availabilityService.getDayRange(startsAt);
+  const candidates = await Booking.find({
+    provider: provider._id,
+    status: { $in: UPCOMING_STATUSES },
+    bookingDate: { $gte: fromDay, $lt: endsAt },
+  })
+    .select('bookingNumber bookingDate bookingTime durationMinutes status services')
+    .populate('services.service', 'durationMinutes');
+
+  const conflictingBookings = candidates.filter((booking) => {
+    const bookingStart = booking.getStartsAt();
+    const durationMs = availabilityService.getBookingDuration(booking) * 60 * 1000;
+    return bookingStart < endsAt && bookingStart.getTime() + durationMs > startsAt.getTime();
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Time off added successfully',
+    data: { timeOff, conflictingBookings },
+  });
+});
+
+/**
+ * @desc    Remove time off
+ * @route   DELETE /api/provider/me/time-off/:timeOffId
+ * @access  Private (Provider)
+ */
+export const removeMyTimeOff = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  if (!provider.timeOff.id(req.params.timeOffId)) {
+    throw new ApiError(404, 'Time off not found');
+  }
+
+  provider.timeOff.pull(req.params.timeOffId);
+  await provider.save();
+
+  res.json({
+    success: true,
+    message: 'Time off removed successfully',
+  });
+});
+
+/**
+ * @desc    List upcoming date-specific overrides (leave days, custom hours)
+ * @route   GET /api/provider/me/overrides
+ * @access  Private (Provider)
+ */
+export const getMyOverrides = asyncHandler(async (req, res) => {
+  const { start: today } = availabilityService.getDayRange(new Date());
+
+  const overrides = req.provider.availabilityOverrides
+    .filter((o) => o.endDate >= today)
+    .sort((a, b) => a.startDate - b.startDate);
+
+  res.json({
+    success: true,
+    data: { overrides },
+  });
+});
+
+/**
+ * @desc    Add leave days or custom hours for a range of days
+ * @route   POST /api/provider/me/overrides
+ * @access  Private (Provider)
+ *
+ * @body    {string} startDate - First day (YYYY-MM-DD)
+ * @body    {string} endDate - Last day, inclusive (YYYY-MM-DD)
+ * @body    {string} type - closed | custom_hours
+ * @body    {Object[]} windows - { startTime, endTime } (custom_hours only)
+ * @body    {string} reason - Optional note
+ */
+export const addMyOverride = asyncHandler(async (req, res) => {
+  const { provider } = req;
+  const { startDate, endDate, type, windows, reason } = req.body;
+
+  // Drop overrides that are over so the list doesn't grow forever
+  const { start: today } = availabilityService.getDayRange(new Date());
+  provider.availabilityOverrides = provider.availabilityOverrides.filter((o) => o.endDate >= today);
+
+  if (availabilityService.findOverlappingOverride(provider.availabilityOverrides, startDate, endDate)) {
+    throw new ApiError(409, 'An override already exists for some of these days');
+  }
+
+  provider.availabilityOverrides.push({ startDate, endDate, type, windows, reason });
+  await provider.save();
+
+  const override = provider.availabilityOverrides[provider.availabilityOverrides.length - 1];
+
+  // Existing bookings are not cancelled; list them so they can be handled
+  const salon = provider.salon
+    ? await Salon.findById(provider.salon).select('openingTime closingTime isOpenSunday weeklyHours availabilityOverrides')
+    : null;
+  const conflictingBookings = salon
+    ? (await availabilityService.findClashingBookings({
+      salon,
+      providerId: provider._id,
+      from: startDate,
+      to: endDate,
+    })).map(({ booking }) => booking)
+    : [];
+
+  res.status(201).json({
+    success: true,
+    message: 'Override added successfully',
+    data: { override, conflictingBookings },
+  });
+});
+
+/**
+ * @desc    Remove a date-specific override
+ * @route   DELETE /api/provider/me/overrides/:overrideId
+ * @access  Private (Provider)
+ */
+export const removeMyOverride = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  if (!provider.availabilityOverrides.id(req.params.overrideId)) {
+    throw new ApiError(404, 'Override not found');
+  }
+
+  provider.availabilityOverrides.pull(req.params.overrideId);
+  await provider.save();
+
+  res.json({
+    success: true,
+    message: 'Override removed successfully',
+  });
+});
+
+// =====================
+// GALLERY
+// =====================
+
+/**
+ * @desc    Add a portfolio image
+ * @route   POST /api/provider/me/gallery
+ * @access  Private (Provider)
+ */
+export const addMyGalleryImage = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  if (provider.gallery.length >= MAX_GALLERY_IMAGES) {
+    throw new ApiError(400, `Gallery cannot have more than ${MAX_GALLERY_IMAGES} images`);
+  }
+
+  provider.gallery.push(req.body.image);
+  await provider.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Gallery image added successfully',
+    data: { gallery: provider.gallery },
+  });
+});
+
+/**
+ * @desc    Replace the portfolio (reorder or remove images)
+ * @route   PUT /api/provider/me/gallery
+ * @access  Private (Provider)
+ *
+ * @body    {string[]} images - Full ordered list of image URLs
+ */
+export const replaceMyGallery = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  provider.gallery = req.body.images;
+  await provider.save();
+
+  res.json({
+    success: true,
+    message: 'Gallery updated successfully',
+    data: { gallery: provider.gallery },
+  });
+});
+
+// =====================
+// SERVICES
+// =====================
+
+/**
+ * @desc    Add an offered service
+ * @route   POST /api/provider/me/services
+ * @access  Private (Provider)
+ *
+ * @body    {string} name - Service name
+ * @body    {number} price - Price
+ * @body    {number} duration - Duration in minutes
+ */
+export const addMyService = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  provider.services.push(req.body);
+  await provider.save();
+
+  const service = provider.services[provider.services.length - 1];
+
+  res.status(201).json({
+    success: true,
+    message: 'Service added successfully',
+    data: { service },
+  });
+});
+
+/**
+ * @desc    Update an offered service
+ * @route   PATCH /api/provider/me/services/:serviceId
+ * @access  Private (Provider)
+ */
+export const updateMyService = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  const service = provider.services.id(req.params.serviceId);
+  if (!service) {
+    throw new ApiError(404, 'Service not found');
+  }
+
+  service.set(req.body);
+  await provider.save();
+
+  res.json({
+    success: true,
+    message: 'Service updated successfully',
+    data: { service },
+  });
+});
+
+/**
+ * @desc    Remove an offered service
+ * @route   DELETE /api/provider/me/services/:serviceId
+ * @access  Private (Provider)
+ */
+export const removeMyService = asyncHandler(async (req, res) => {
+  const { provider } = req;
+
+  if (!provider.services.id(req.params.serviceId)) {
+    throw new ApiError(404, 'Service not found');
+  }
+
+  provider.services.pull(req.params.serviceId);
+  await provider.save();
+
+  res.json({
+    success: true,
+    message: 'Service removed successfully',
+  });
+});
+
+// =====================
+// BOOKINGS
+// =====================
+
+/**
+ * @desc    List the provider's upcoming bookings (with customer notes)
+ * @route   GET /api/provider/me/bookings
+ * @access  Private (Provider)
+ *
+ * @query   {string} status - pending | confirmed | in_progress (default: all three)
+ */
+export const getMyUpcomingBookings = asyncHandler(async (req, res) => {
+  const { status, page, limit } = req.query;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const query = {
+    provider: req.provider._id,
+    bookingDate: { $gte: today },
+    status: status || { $in: UPCOMING_STATUSES },
+  };
+
+  const [bookings, total] = await Promise.all([
+    Booking.find(query)
+      .populate('customer', 'firstName lastName phone avatar')
+      .populate('salon', 'name address')
+      .populate('services.service', 'name durationMinutes')
+      .select('-statusHistory')
+      .sort('bookingDate bookingTime')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Booking.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      bookings,
+      pagination: buildPaginationResponse(page, limit, total),
+    },
+  });
+});
@@ -1,5 +1,64 @@
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { SalonReview, ProviderReview } from '../models/Review.js';
+import Booking from '../models/Booking.js';
+import { reportService } from '../services/index.js';
+
+const REVIEWABLE_BOOKINGS_LIMIT = 50;
+
+/**
+ * Load a completed booking owned by the reviewer
+ */
+async function findCompletedBooking(bookingId, customerId) {
+  if (!bookingId) {
+    throw new ApiError(400, 'A completed booking is required to leave a review');
+  }
+
+  const booking = await Booking.findOne({
+    _id: bookingId,
+    customer: customerId,
+  }).select('salon provider status');
+
+  if (!booking) {
+    throw new ApiError(404, 'Booking not found');
+  }
+
+  if (booking.status !== 'completed') {
+    throw new ApiError(400, 'You can only review a completed booking');
+  }
+
+  return booking;
+}
+
+/**
+ * Get the customer's completed bookings that still have a review to write
+ * @returns {Promise<Object[]>} [{ booking, canReviewSalon, canReviewProvider }]
+ */
+async function findReviewableBookings(customerId) {
+  const bookings = await Booking.find({ customer: customerId, status: 'completed' })
+    .select('bookingNumber salon provider bookingDate bookingTime')
+    .populate('salon', 'name coverImage')
+    .populate('provider', 'name avatar')
+    .sort('-bookingDate')
+    .limit(REVIEWABLE_BOOKINGS_LIMIT);
+
+  const bookingIds = bookings.map((b) => b._id);
+
+  const [salonReviewed, providerReviewed] = await Promise.all([
+    SalonReview.distinct('booking', { booking: { $in: bookingIds } }),
+    ProviderReview.distinct('booking', { booking: { $in: bookingIds } }),
+  ]);
+
+  const salonReviewedIds = new Set(salonReviewed.map(String));
+  const providerReviewedIds = new Set(providerReviewed.map(String));
+
+  return bookings
+    .map((booking) => ({
+      booking,
+      canReviewSalon: !salonReviewedIds.has(booking._id.toString()),
+      canReviewProvider: !!booking.provider && !providerReviewedIds.has(booking._id.toString()),
+    }))
+    .filter((b) => b.canReviewSalon || b.canReviewProvider);
+}
 
 /**
  * @desc    Get salon reviews
@@ -9,7 +68,8 @@ import { SalonReview, ProviderReview } from '../models/Review.js';
 export const getSalonReviews = asyncHandler(async (req, res) => {
   const { salon, page = 1, limit = 20 } = req.query;
 
-  const query = {};
+  // Reviews hidden by an admin aren't shown
+  const query = { isActive: { $ne: false } };
   if (salon) {
     query.salon = salon;
   }
@@ -40,15 +100,35 @@ export const getSalonReviews = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get the user's completed bookings that can still be reviewed
+ * @route   GET /api/reviews/reviewable
+ * @access  Private
+ */
+export const getReviewableBookings = asyncHandler(async (req, res) => {
+  const reviewableBookings = await findReviewableBookings(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      reviewableBookings,
+      count: reviewableBookings.length,
+    },
+  });
+});
+
 /**
  * @desc    Create salon review
  * @route   POST /api/reviews/salon
  * @access  Private
+ *
+ * @body    {string} booking - Completed booking being reviewed (required)
+ * @body    {string} salon - Salon ID (optional, taken from the booking)
  */
 export const createSalonReview = asyncHandler(async (req, res) => {
   const {
-    salon,
-    booking,
+    salon: salonId,
+    booking: bookingId,
     rating,
     title,
     comment,
@@ -57,37 +137,49 @@ export const createSalonReview = asyncHandler(async (req, res) => {
     valueRating,
   } = req.body;
 
-  // Check if user already reviewed this salon for this booking
-  const existing = await SalonReview.findOne({
-    salon,
-    customer: req.user._id,
-    ...(booking && { booking }),
-  });
+  const booking = await findCompletedBooking(bookingId, req.user._id);
+
+  if (salonId && booking.salon.toString() !== salonId) {
+    throw new ApiError(400, 'This booking is not for this salon');
+  }
 
+  // One review per booking
+  const existing = await SalonReview.exists({ booking: booking._id });
   if (existing) {
-    throw new ApiError(400, 'You have already reviewed this salon');
+    throw new ApiError(400, 'You have already reviewed this booking');
   }
 
-  const review = await SalonReview.create({
-    salon,
-    customer: req.user._id,
-    booking,
-    rating,
-    title,
-    comment,
-    cleanlinessRating,
-    serviceRating,
-    valueRating,
-    isVerified: !!booking,
-  });
+  let review;
+  try {
+    review = await SalonReview.create({
+      salon: booking.salon,
+      customer: req.user._id,
+      booking: booking._id,
+      rating,
+      title,
+      comment,
+      cleanlinessRating,
+      serviceRating,
+      valueRating,
+      isVerified: true,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(400, 'You have already reviewed this booking');
+    }
+    throw error;
+  }
 
-  const populatedReview = await SalonReview.findById(review._id)
-    .populate('customer', 'firstName lastName username avatar');
+  const [populatedReview, reviewableBookings] = await Promise.all([
+    SalonReview.findById(review._id)
+      .populate('customer', 'firstName lastName username avatar'),
+    findReviewableBookings(req.user._id),
+  ]);
 
   res.status(201).json({
     success: true,
     message: 'Review created successfully',
-    data: { review: populatedReview },
+    data: { review: populatedReview, reviewableBookings },
   });
 });
 
@@ -99,7 +191,8 @@ export const createSalonReview = asyncHandler(async (req, res) => {
 export const getProviderReviews = asyncHandler(async (req, res) => {
   const { provider, page = 1, limit = 20 } = req.query;
 
-  const query = {};
+  // Reviews hidden by an admin aren't shown
+  const query = { isActive: { $ne: false } };
   if (provider) {
     query.provider = provider;
   }
@@ -137,38 +230,57 @@ export const getProviderReviews = asyncHandler(async (req, res) => {
  * @desc    Create provider review
  * @route   POST /api/reviews/provider
  * @access  Private
+ *
+ * @body    {string} booking - Completed booking being reviewed (required)
+ * @body    {string} provider - Provider ID (optional, taken from the booking)
  */
 export const createProviderReview = asyncHandler(async (req, res) => {
-  const { provider, booking, rating, title, comment } = req.body;
+  const { provider: providerId, booking: bookingId, rating, title, comment } = req.body;
 
-  // Check if user already reviewed this provider for this booking
-  const existing = await ProviderReview.findOne({
-    provider,
-    customer: req.user._id,
-    ...(booking && { booking }),
-  });
+  const booking = await findCompletedBooking(bookingId, req.user._id);
 
+  if (!booking.provider) {
+    throw new ApiError(400, 'This booking has no provider to review');
+  }
+
+  if (providerId && booking.provider.toString() !== providerId) {
+    throw new ApiError(400, 'This booking is not with this provider');
+  }
+
+  // One review per booking
+  const existing = await ProviderReview.exists({ booking: booking._id });
   if (existing) {
-    throw new ApiError(400, 'You have already reviewed this provider');
+    throw new ApiError(400, 'You have already reviewed this booking');
   }
 
-  const review = await ProviderReview.create({
-    provider,
-    customer: req.user._id,
-    booking,
-    rating,
-    title,
-    comment,
-    isVerified: !!booking,
-  });
+  let review;
+  try {
+    review = await ProviderReview.create({
+      provider: booking.provider,
+      customer: req.user._id,
+      booking: booking._id,
+      rating,
+      title,
+      comment,
+      isVerified: true,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(400, 'You have already reviewed this booking');
+    }
+    throw error;
+  }
 
-  const populatedReview = await ProviderReview.findById(review._id)
-    .populate('customer', 'firstName lastName username avatar');
+  const [populatedReview, reviewableBookings] = await Promise.all([
+    ProviderReview.findById(review._id)
+      .populate('customer', 'firstName lastName username avatar'),
+    findReviewableBookings(req.user._id),
+  ]);
 
   res.status(201).json({
     success: true,
     message: 'Review created successfully',
-    data: { review: populatedReview },
+    data: { review: populatedReview, reviewableBookings },
   });
 });
 
@@ -197,3 +309,32 @@ export const deleteReview = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Report a review
+ * @route   POST /api/reviews/:type/:id/report
+ * @access  Private
+ *
+ * @body    {string} reason - spam | offensive | harassment | misleading | inappropriate | other
+ * @body    {string} details - Optional details
+ */
+export const reportReview = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+  const { reason, details } = req.body;
+
+  if (!['salon', 'provider'].includes(type)) {
+    throw new ApiError(400, 'Review type must be salon or provider');
+  }
+
+  await reportService.submit({
+    reporter: req.user._id,
+    targetType: `${type}_review`,
+    targetId: id,
+    reason,
+    details,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for letting us know. Our team will take a look.',
+  });
+});
@@ -4,6 +4,7 @@ import { Service, ServiceType, ServiceCategory } from '../models/Service.js';
 import ServiceProvider from '../models/Provider.js';
 import { SalonReview } from '../models/Review.js';
 import { Area } from '../models/Location.js';
+import { availabilityService } from '../services/index.js';
 import {
   buildPaginationResponse,
   calculateSkip,
@@ -30,6 +31,9 @@ import {
  * 
  * @example Pagination:
  *   GET /api/salons?page=2&limit=20&sortBy=popular
+ * 
+ * @example Salons open right now:
+ *   GET /api/salons?cityId=...&openNow=true
  */
 export const getSalons = asyncHandler(async (req, res) => {
   const {
@@ -66,6 +70,9 @@ export const getSalons = asyncHandler(async (req, res) => {
     hasAc,
     serviceType,
     
+    // Opening hours filter
+    openNow,
+    
     // Pagination
     page = 1,
     limit = 20,
@@ -100,6 +107,7 @@ export const getSalons = asyncHandler(async (req, res) => {
       hasParking: hasParking === 'true',
       hasWifi: hasWifi === 'true',
       hasAc: hasAc === 'true',
+      openNow: openNow === 'true',
       page: parseInt(page),
       limit: parseInt(limit),
       sortBy,
@@ -133,6 +141,7 @@ export const getSalons = asyncHandler(async (req, res) => {
     hasParking: hasParking === 'true',
     hasWifi: hasWifi === 'true',
     hasAc: hasAc === 'true',
+    openNow: openNow === 'true',
   });
 
   // Handle cityId -> areaId lookup if only cityId provided (legacy behavior)
@@ -252,6 +261,12 @@ export const getSalon = asyncHandler(async (req, res) => {
     maxPrice: null,
   };
 
+  // Only closures and special hours that haven't passed yet
+  const { start: today } = availabilityService.getDayRange(new Date());
+  const upcomingOverrides = salon.availabilityOverrides
+    .filter((o) => o.endDate >= today)
+    .sort((a, b) => a.startDate - b.startDate);
+
   res.json({
     success: true,
     data: {
@@ -267,6 +282,9 @@ export const getSalon = asyncHandler(async (req, res) => {
           min: stats.minPrice,
           max: stats.maxPrice,
         },
+        weeklyHours: availabilityService.getSalonWeeklyHours(salon),
+        availabilityOverrides: upcomingOverrides,
+        isOpenNow: availabilityService.isSalonOpenAt(salon),
       },
     },
   });
@@ -372,18 +390,21 @@ export const getSalonReviews = asyncHandler(async (req, res) => {
   
   const skip = calculateSkip(parseInt(page), parseInt(limit));
   
+  // Reviews hidden by an admin aren't shown
+  const query = { salon: req.params.id, isActive: { $ne: false } };
+
   const [reviews, total] = await Promise.all([
-    SalonReview.find({ salon: req.params.id })
+    SalonReview.find(query)
       .populate('customer', 'firstName lastName username avatar')
       .sort(sortBy)
       .skip(skip)
       .limit(parseInt(limit)),
-    SalonReview.countDocuments({ salon: req.params.id }),
+    SalonReview.countDocuments(query),
   ]);
 
   // Calculate rating distribution
   const ratingDistribution = await SalonReview.aggregate([
-    { $match: { salon: req.params.id } },
+    { $match: { salon: req.params.id, isActive: { $ne: false } } },
     {
       $group: {
         _id: '$rating',
@@ -434,20 +455,18 @@ export const getSalonGallery = asyncHandler(async (req, res) => {
  *   GET /api/salons/nearby?lat=12.9716&lng=77.5946&radius=3000&limit=10
  */
 export const getNearbySalons = asyncHandler(async (req, res) => {
-  const { lat, lng, radius = 5000, limit = 10, mode, audience } = req.query;
+  const { lat, lng, radius = 5000, limit = 10, mode, audience, openNow } = req.query;
 
   if (!lat || !lng) {
     throw new ApiError(400, 'Latitude and longitude are required');
   }
 
-  const filter = { isActive: true };
-  
+  const filter = buildSalonFilter({ audience, openNow: openNow === 'true' });
+
+  // Quick search keeps its own mode matching ("both" means both-mode salons)
   if (mode) {
     filter.mode = { $in: [mode, 'both'] };
   }
-  if (audience) {
-    filter.audience = { $in: [audience, 'unisex'] };
-  }
 
   const salons = await Salon.aggregate([
     {
@@ -1,6 +1,7 @@
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { Short, ShortLike, ShortComment, ShortBookmark, ShortCommentLike, CreatorFollow } from '../models/Short.js';
 import { buildPaginationResponse } from '../utils/searchHelpers.js';
+import { reportService } from '../services/index.js';
 
 /**
  * Format a short for V1 API response
@@ -692,3 +693,53 @@ export const getCommentReplies = asyncHandler(async (req, res) => {
     },
   });
 });
+
+/**
+ * @desc    Report a short
+ * @route   POST /api/shorts/:id/report
+ * @access  Private
+ *
+ * @body    {string} reason - spam | offensive | harassment | misleading | inappropriate | other
+ * @body    {string} details - Optional details
+ */
+export const reportShort = asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  await reportService.submit({
+    reporter: req.user._id,
+    targetType: 'short',
+    targetId: req.params.id,
+    reason,
+    details,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for letting us know. We will review this short.',
+  });
+});
+
+/**
+ * @desc    Report a comment
+ * @route   POST /api/shorts/comments/:commentId/report
+ * @access  Private
+ *
+ * @body    {string} reason - spam | offensive | harassment | misleading | inappropriate | other
+ * @body    {string} details - Optional details
+ */
+export const reportComment = asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  await reportService.submit({
+    reporter: req.user._id,
+    targetType: 'comment',
+    targetId: req.params.commentId,
+    reason,
+    details,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for letting us know. We will review this comment.',
+  });
+});
@@ -1,7 +1,7 @@
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import User from '../models/User.js';
-import Booking from '../models/Booking.js';
-import Favorite from '../models/Favorite.js';
+import accountService from '../services/account.service.js';
+import config from '../config/index.js';
 import mongoose from 'mongoose';
 
 /**
@@ -312,33 +312,106 @@ export const deleteAddress = asyncHandler(async (req, res) => {
   });
 });
 
+// =====================
+// NOTIFICATION PREFERENCES
+// =====================
+
+// Shape returned by the notification preference endpoints
+const formatNotificationPreferences = (user) => ({
+  ...user.toObject().notificationPreferences,
+  timezone: user.timezone,
+  language: user.language,
+});
+
+/**
+ * @desc    Get notification preferences
+ * @route   GET /api/users/me/notification-preferences
+ * @access  Private
+ */
+export const getNotificationPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('notificationPreferences timezone language');
+
+  res.json({
+    success: true,
+    data: { preferences: formatNotificationPreferences(user) },
+  });
+});
+
+/**
+ * @desc    Update notification preferences
+ * @route   PATCH /api/users/me/notification-preferences
+ * @access  Private
+ *
+ * @body    {Object} bookingUpdates - { email, sms, push } for booking changes
+ * @body    {Object} reminders - { email, sms, push } for appointment reminders
+ * @body    {Object} promos - { email, sms, push } for offers
+ * @body    {Object} social - { email, sms, push } for replies and other activity
+ * @body    {Object} quietHours - { enabled, start, end } (HH:MM, local time)
+ * @body    {string} timezone - IANA time zone, e.g. Asia/Kolkata
+ * @body    {string} language - en | te | hi (emails and SMS)
+ */
+export const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const { timezone, language, ...preferences } = req.body;
+
+  const user = await User.findById(req.user._id).select('notificationPreferences timezone language');
+
+  Object.entries(preferences).forEach(([group, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      user.notificationPreferences[group][key] = value;
+    });
+  });
+  if (timezone) user.timezone = timezone;
+  if (language) user.language = language;
+
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated successfully',
+    data: { preferences: formatNotificationPreferences(user) },
+  });
+});
+
 // =====================
 // ACCOUNT MANAGEMENT
 // =====================
 
 /**
- * @desc    Delete user account
- * @route   DELETE /api/users/account
+ * @desc    Request account deletion
+ *          Deactivates the account now and erases it after the grace
+ *          period; signing in again before then cancels the deletion.
+ * @route   DELETE /api/users/me (alias: DELETE /api/users/account)
  * @access  Private
  */
 export const deleteAccount = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
+  const user = await User.findById(req.user._id);
 
-  // Cancel any pending bookings
-  await Booking.updateMany(
-    { user: userId, status: { $in: ['pending', 'confirmed'] } },
-    { status: 'cancelled', cancelReason: 'Account deleted by user' }
-  );
+  const { scheduledFor, cancelledBookings } = await accountService.requestDeletion(user, req);
 
-  // Remove favorites
-  await Favorite.deleteMany({ user: userId });
+  res.json({
+    success: true,
+    message: `Your account will be deleted in ${config.privacy.deletionGraceDays} days. Sign in before then to keep it.`,
+    data: {
+      scheduledFor,
+      cancelledBookings,
+    },
+  });
+});
+
+/**
+ * @desc    Export everything stored about the user (JSON archive)
+ * @route   GET /api/users/me/export
+ * @access  Private
+ */
+export const exportAccountData = asyncHandler(async (req, res) => {
+  const archive = await accountService.exportData(req.user);
 
-  // Delete the user account
-  await User.findByIdAndDelete(userId);
+  const date = archive.exportedAt.toISOString().slice(0, 10);
+  res.set('Content-Disposition', `attachment; filename="stylio-data-${date}.json"`);
 
   res.json({
     success: true,
-    message: 'Account deleted successfully',
+    data: archive,
   });
 });
 
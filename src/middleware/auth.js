@@ -1,68 +1,96 @@
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
 import User from '../models/User.js';
+import Salon from '../models/Salon.js';
+import Session from '../models/Session.js';
+import ServiceProvider from '../models/Provider.js';
 import { ApiError, asyncHandler } from './errorHandler.js';
 
+// Bearer token from the Authorization header
+const getBearerToken = (req) => (
+  req.headers.authorization?.startsWith('Bearer')
+    ? req.headers.authorization.split(' ')[1]
+    : undefined
+);
+
 /**
- * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * Resolve an access token to its user
+ * Shared by authenticate and optionalAuth so both reject the same tokens.
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} { user, sessionId }
+ * @throws {ApiError} 401 if the token, user or session is not valid
  */
-export const authenticate = asyncHandler(async (req, res, next) => {
-  let token;
-
-  // Check for token in Authorization header
-  if (req.headers.authorization?.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    throw new ApiError(401, 'Not authorized, token invalid');
   }
 
-  if (!token) {
-    throw new ApiError(401, 'Not authorized, no token provided');
+  // Single-purpose tokens (e.g. password reset) can't be used to sign in
+  if (decoded.purpose) {
+    throw new ApiError(401, 'Not authorized, token invalid');
   }
 
-  try {
-    // Verify token
-    const decoded = jwt.verify(token, config.jwt.secret);
+  // Get user from database
+  const user = await User.findById(decoded.id).select('-password');
 
-    // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw new ApiError(401, 'User not found');
+  }
 
-    if (!user) {
-      throw new ApiError(401, 'User not found');
-    }
+  if (!user.isActive) {
+    throw new ApiError(401, 'User account is deactivated');
+  }
 
-    if (!user.isActive) {
-      throw new ApiError(401, 'User account is deactivated');
+  // Tokens issued for a session stop working once it is revoked
+  if (decoded.sid) {
+    const session = await Session.exists({ _id: decoded.sid, revokedAt: null });
+    if (!session) {
+      throw new ApiError(401, 'Session has been revoked, please log in again');
     }
+  }
 
-    // Attach user to request
-    req.user = user;
-    next();
-  } catch (error) {
+  return { user, sessionId: decoded.sid };
+};
+
+/**
+ * Authentication Middleware
+ * Verifies JWT token and attaches user to request
+ */
+export const authenticate = asyncHandler(async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    throw new ApiError(401, 'Not authorized, no token provided');
+  }
+
+  const { user, sessionId } = await verifyAccessToken(token).catch((error) => {
     if (error instanceof ApiError) throw error;
     throw new ApiError(401, 'Not authorized, token invalid');
-  }
+  });
+
+  // Attach user to request
+  req.user = user;
+  req.sessionId = sessionId;
+  next();
 });
 
 /**
  * Optional Authentication
- * Attaches user if token exists, but doesn't require it
+ * Attaches user if a valid token exists, but doesn't require it
  */
 export const optionalAuth = asyncHandler(async (req, res, next) => {
-  let token;
-
-  if (req.headers.authorization?.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  }
+  const token = getBearerToken(req);
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, config.jwt.secret);
-      const user = await User.findById(decoded.id).select('-password');
-      if (user?.isActive) {
-        req.user = user;
-      }
+      const { user, sessionId } = await verifyAccessToken(token);
+      req.user = user;
+      req.sessionId = sessionId;
     } catch (error) {
-      // Token invalid, continue without user
+      // Token invalid or revoked, continue without user
     }
   }
 
@@ -89,13 +117,23 @@ export const authorize = (...roles) => {
 
 /**
  * Generate JWT Tokens
+ * @param {ObjectId} userId - User ID
+ * @param {Object} session - Session the tokens belong to (optional).
+ *   Access tokens carry the session ID; refresh tokens also carry the
+ *   token family and the token ID used for rotation.
  */
-export const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ id: userId }, config.jwt.secret, {
+export const generateTokens = (userId, session) => {
+  const sessionClaims = session ? { sid: session._id.toString() } : {};
+
+  const accessToken = jwt.sign({ id: userId, ...sessionClaims }, config.jwt.secret, {
     expiresIn: config.jwt.expiresIn,
   });
 
-  const refreshToken = jwt.sign({ id: userId }, config.jwt.refreshSecret, {
+  const refreshClaims = session
+    ? { ...sessionClaims, fam: session.family, jti: session.tokenId }
+    : {};
+
+  const refreshToken = jwt.sign({ id: userId, ...refreshClaims }, config.jwt.refreshSecret, {
     expiresIn: config.jwt.refreshExpiresIn,
   });
 
@@ -113,3 +151,74 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate a short-lived password reset token
+ * Carries a purpose claim so it can't be used as an access token.
+ * @param {ObjectId} userId - User ID
+ */
+export const generateResetToken = (userId) => jwt.sign(
+  { id: userId, purpose: 'password_reset' },
+  config.jwt.secret,
+  { expiresIn: '10m' }
+);
+
+/**
+ * Verify Password Reset Token
+ */
+export const verifyResetToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    if (decoded.purpose !== 'password_reset') {
+      throw new Error('Not a reset token');
+    }
+    return decoded;
+  } catch (error) {
+    throw new ApiError(400, 'Invalid or expired reset token');
+  }
+};
+
+/**
+ * Salon ownership check
+ * Loads the salon from req.params and attaches it as req.salon.
+ * Admins pass for any salon; everyone else must be the salon's owner.
+ * @param {string} param - Route param holding the salon ID
+ */
+export const authorizeSalonOwner = (param = 'id') => asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw new ApiError(401, 'Not authorized');
+  }
+
+  const salon = await Salon.findById(req.params[param]);
+
+  if (!salon) {
+    throw new ApiError(404, 'Salon not found');
+  }
+
+  const isOwner = salon.owner?.toString() === req.user._id.toString();
+
+  if (!isOwner && req.user.role !== 'admin') {
+    throw new ApiError(403, 'Not authorized to manage this salon');
+  }
+
+  req.salon = salon;
+  next();
+});
+
+/**
+ * Provider profile loader
+ * Attaches the current user's ServiceProvider profile as req.provider.
+ */
+export const loadProviderProfile = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw new ApiError(401, 'Not authorized');
+  }
+
+  const provider = await ServiceProvider.findOne({ user: req.user._id });
+
+  if (!provider) {
+    throw new ApiError(404, 'Provider profile not found');
+  }
+
+  req.provider = provider;
+  next();
+});
@@ -25,14 +25,16 @@ export const validate = (schema) => {
 
       next();
     } catch (error) {
+      // Express 4 doesn't catch rejections from async middleware, so errors
+      // are passed to next() rather than thrown (a throw left the request hanging)
       if (error instanceof ZodError) {
         const errors = error.errors.map((e) => ({
           field: e.path.join('.'),
           message: e.message,
         }));
-        throw new ApiError(400, 'Validation Error', errors);
+        return next(new ApiError(400, 'Validation Error', errors));
       }
-      throw error;
+      next(error);
     }
   };
 };
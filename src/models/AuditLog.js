@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+const AUDIT_ACTIONS = [
+  'otp_verify_failed',
+  'otp_lockout',
+  'account_deletion_requested',
+  'account_deletion_cancelled',
+  'account_deleted',
+];
+
+// How long audit entries are kept
+const AUDIT_RETENTION_DAYS = 90;
+
+/**
+ * Security audit trail
+ *
+ * Records security-relevant events (failed OTP checks, lockouts, ...).
+ * Emails and phone numbers are stored masked.
+ */
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Masked email or phone the event was about
+  identifier: String,
+  purpose: String,
+  reason: String,
+  ipAddress: String,
+  userAgent: String,
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+/**
+ * Mask an email or phone, keeping just enough to recognise it
+ * e.g. jo***@gmail.com, +91******3210
+ */
+const maskIdentifier = (value) => {
+  if (!value) return undefined;
+
+  const [local, domain] = value.split('@');
+  if (domain) {
+    return `${local.slice(0, 2)}***@${domain}`;
+  }
+
+  return `${value.slice(0, 3)}${'*'.repeat(Math.max(value.length - 7, 0))}${value.slice(-4)}`;
+};
+
+/**
+ * Record an audit event
+ * Never throws - a failed audit write must not fail the request.
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} details
+ * @param {ObjectId} details.user - User involved (if known)
+ * @param {string} details.identifier - Email or phone (stored masked)
+ * @param {string} details.purpose - e.g. OTP purpose
+ * @param {string} details.reason - Why the action failed
+ * @param {Object} details.req - Express request (for IP and user agent)
+ */
+auditLogSchema.statics.record = async function(action, { user, identifier, purpose, reason, req } = {}) {
+  try {
+    return await this.create({
+      action,
+      user: user?._id || user,
+      identifier: maskIdentifier(identifier),
+      purpose,
+      reason,
+      ipAddress: req?.ip,
+      userAgent: req?.headers['user-agent'],
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+    return null;
+  }
+};
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 }); // TTL index
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export { AUDIT_ACTIONS };
+export default AuditLog;
@@ -30,6 +30,115 @@ const BOOKING_STATUSES = [
 
 const BOOKING_TYPES = ['salon', 'home'];
 
+// Mirrors the linked Payment status ('unpaid' until a payment is started)
+const BOOKING_PAYMENT_STATUSES = [
+  'unpaid',
+  'pending',
+  'processing',
+  'completed',
+  'failed',
+  'partially_refunded',
+  'refunded',
+];
+
+const BOOKING_ACTOR_ROLES = ['customer', 'salon_owner', 'provider', 'admin', 'system'];
+
+const BOOKING_FEE_REASONS = ['late_cancellation', 'no_show'];
+
+// Allowed status transitions (terminal states have none)
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in_progress', 'completed', 'cancelled', 'no_show'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// Actors allowed to move a booking into each status
+const STATUS_ACTORS = {
+  confirmed: ['salon_owner', 'provider', 'admin'],
+  in_progress: ['salon_owner', 'provider', 'admin'],
+  completed: ['salon_owner', 'provider', 'admin'],
+  no_show: ['salon_owner', 'provider', 'admin'],
+  cancelled: ['customer', 'salon_owner', 'admin'],
+};
+
+// Status History Schema (embedded)
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: BOOKING_STATUSES,
+  },
+  to: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actorRole: {
+    type: String,
+    enum: BOOKING_ACTOR_ROLES,
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Reschedule History Schema (embedded)
+const rescheduleSchema = new mongoose.Schema({
+  fromDate: {
+    type: Date,
+    required: true,
+  },
+  fromTime: {
+    type: String,
+    required: true,
+  },
+  fromProvider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceProvider',
+  },
+  toDate: {
+    type: Date,
+    required: true,
+  },
+  toTime: {
+    type: String,
+    required: true,
+  },
+  toProvider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceProvider',
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actorRole: {
+    type: String,
+    enum: BOOKING_ACTOR_ROLES,
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 // Main Booking Schema
 const bookingSchema = new mongoose.Schema({
   bookingNumber: {
@@ -63,6 +172,11 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Booking time is required'],
   },
+  // Total service duration, used for overlap checks
+  durationMinutes: {
+    type: Number,
+    min: 1,
+  },
   services: [bookingServiceSchema],
   totalAmount: {
     type: Number,
@@ -84,6 +198,11 @@ const bookingSchema = new mongoose.Schema({
     enum: BOOKING_STATUSES,
     default: 'pending',
   },
+  paymentStatus: {
+    type: String,
+    enum: BOOKING_PAYMENT_STATUSES,
+    default: 'unpaid',
+  },
   homeAddress: {
     street: String,
     city: String,
@@ -117,6 +236,33 @@ const bookingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PromoCode',
   },
+  // Late cancellation or no-show fee charged under the salon's policy
+  cancellationFee: {
+    reason: {
+      type: String,
+      enum: BOOKING_FEE_REASONS,
+    },
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    assessedAt: {
+      type: Date,
+    },
+  },
+  statusHistory: [statusHistorySchema],
+  // Moves made by the customer (counted against the salon's limit)
+  rescheduleCount: {
+    type: Number,
+    default: 0,
+  },
+  rescheduleHistory: [rescheduleSchema],
 }, {
   timestamps: true,
   toJSON: {
@@ -138,6 +284,97 @@ bookingSchema.pre('save', function(next) {
   next();
 });
 
+// Check if the booking can move to a new status
+bookingSchema.methods.canTransitionTo = function(newStatus) {
+  return STATUS_TRANSITIONS[this.status]?.includes(newStatus) || false;
+};
+
+/**
+ * Move the booking to a new status and record it in the status history
+ * @param {string} newStatus - Target status
+ * @param {Object} actor - Who made the change
+ * @param {ObjectId} actor.changedBy - User making the change
+ * @param {string} actor.actorRole - customer | salon_owner | provider | admin | system
+ * @param {string} actor.reason - Optional reason
+ */
+bookingSchema.methods.transitionTo = function(newStatus, { changedBy, actorRole, reason } = {}) {
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    changedBy,
+    actorRole,
+    reason,
+    changedAt: new Date(),
+  });
+
+  this.status = newStatus;
+
+  if (newStatus === 'cancelled') {
+    this.cancelledBy = changedBy;
+    this.cancellationReason = reason || '';
+    this.cancelledAt = new Date();
+  }
+};
+
+/**
+ * Save a status change made with transitionTo, but only if the status
+ * is still the one the booking was loaded with (another request may have
+ * moved it in the meantime)
+ * @param {string} previousStatus - Status before transitionTo
+ * @returns {Query} Resolves to the updated booking, or null if the status had changed
+ */
+bookingSchema.methods.saveTransition = function(previousStatus) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: previousStatus },
+    this.getChanges(),
+    { new: true }
+  );
+};
+
+/**
+ * Move the booking to a new date, time and provider and record the move
+ * @param {Object} target - { bookingDate, bookingTime, provider }
+ * @param {Object} actor - { changedBy, actorRole, reason }
+ */
+bookingSchema.methods.rescheduleTo = function(
+  { bookingDate, bookingTime, provider },
+  { changedBy, actorRole, reason } = {}
+) {
+  this.rescheduleHistory.push({
+    fromDate: this.bookingDate,
+    fromTime: this.bookingTime,
+    fromProvider: this.provider,
+    toDate: bookingDate,
+    toTime: bookingTime,
+    toProvider: provider,
+    changedBy,
+    actorRole,
+    reason,
+    changedAt: new Date(),
+  });
+
+  this.bookingDate = bookingDate;
+  this.bookingTime = bookingTime;
+  this.provider = provider;
+
+  if (actorRole === 'customer') {
+    this.rescheduleCount += 1;
+  }
+};
+
+// Get the appointment start as a Date (bookingDate + bookingTime)
+bookingSchema.methods.getStartsAt = function() {
+  const [hours, minutes] = this.bookingTime.split(':').map(Number);
+  const startsAt = new Date(this.bookingDate);
+  startsAt.setHours(hours, minutes, 0, 0);
+  return startsAt;
+};
+
+// Static method to get the actor roles allowed to set a status
+bookingSchema.statics.getAllowedActors = function(status) {
+  return STATUS_ACTORS[status] || [];
+};
+
 // Virtual for services count
 bookingSchema.virtual('servicesCount').get(function() {
   return this.services?.length || 0;
@@ -146,6 +383,7 @@ bookingSchema.virtual('servicesCount').get(function() {
 // Indexes
 bookingSchema.index({ customer: 1, bookingDate: -1 });
 bookingSchema.index({ salon: 1, bookingDate: 1 });
+bookingSchema.index({ provider: 1, bookingDate: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ bookingNumber: 1 });
 
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Short-lived lock used to serialize booking writes for one salon/day
+const bookingLockSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Random value identifying the holder, so only the holder can release
+  token: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+bookingLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+const BookingLock = mongoose.model('BookingLock', bookingLockSchema);
+
+export default BookingLock;
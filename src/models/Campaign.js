@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+
+const CAMPAIGN_CHANNELS = ['push', 'email', 'sms'];
+
+// scheduled: waiting for scheduledFor
+// sending: batches are going out
+// sent: every matching customer has been handled
+// cancelled: stopped by an admin (before or while sending)
+const CAMPAIGN_STATUSES = ['scheduled', 'sending', 'sent', 'cancelled'];
+
+const CAMPAIGN_GENDERS = ['male', 'female', 'other'];
+
+// Campaign Recipient Schema (one per customer a campaign was sent to)
+const campaignRecipientSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Channels a message was queued on
+  channels: [{
+    type: String,
+    enum: CAMPAIGN_CHANNELS,
+  }],
+  openedAt: Date,
+}, {
+  timestamps: true,
+});
+
+campaignRecipientSchema.index({ campaign: 1, user: 1 }, { unique: true });
+campaignRecipientSchema.index({ user: 1 });
+
+/**
+ * Who a campaign goes to
+ *
+ * Every filter that is set must match (an empty audience is every active
+ * customer); within a list, any entry matches.
+ */
+const audienceSchema = new mongoose.Schema({
+  // Booked at a salon in these cities, or has an address there
+  cities: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City',
+  }],
+  // Booked at a salon in these areas
+  areas: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Area',
+  }],
+  genders: [{
+    type: String,
+    enum: CAMPAIGN_GENDERS,
+  }],
+  // Completed a booking at one of these salons
+  bookedAtSalons: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Salon',
+  }],
+  // Has one of these salons in their favorites
+  favoritedSalons: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Salon',
+  }],
+  // No booking made in this many days
+  inactiveDays: {
+    type: Number,
+    min: 1,
+  },
+}, { _id: false });
+
+const campaignSchema = new mongoose.Schema({
+  // Internal name shown to admins
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: 500,
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+  },
+  channels: {
+    type: [{
+      type: String,
+      enum: CAMPAIGN_CHANNELS,
+    }],
+    default: ['push'],
+  },
+  audience: {
+    type: audienceSchema,
+    default: () => ({}),
+  },
+  scheduledFor: {
+    type: Date,
+    required: [true, 'Schedule time is required'],
+  },
+  status: {
+    type: String,
+    enum: CAMPAIGN_STATUSES,
+    default: 'scheduled',
+  },
+  // Last customer handled; the next batch continues after it
+  cursor: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  stats: {
+    // Customers the campaign was sent to
+    recipients: { type: Number, default: 0 },
+    // Messages handed to the outbox, and what became of them
+    queued: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    // Recipients who opened the push or email
+    opened: { type: Number, default: 0 },
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  startedAt: Date,
+  sentAt: Date,
+  cancelledAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+campaignSchema.index({ status: 1, scheduledFor: -1 });
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+const CampaignRecipient = mongoose.model('CampaignRecipient', campaignRecipientSchema);
+
+export { CAMPAIGN_CHANNELS, CAMPAIGN_STATUSES, CAMPAIGN_GENDERS, CampaignRecipient };
+export default Campaign;
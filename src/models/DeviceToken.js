@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+/**
+ * Expo push token of one device
+ *
+ * A user gets one entry per device they are signed in on. A token belongs
+ * to one user at a time: registering it again (e.g. another account signs
+ * in on the same phone) moves it to the new user. Tokens that Expo reports
+ * as DeviceNotRegistered are deleted.
+ */
+const deviceTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  token: {
+    type: String,
+    required: [true, 'Push token is required'],
+    unique: true,
+    trim: true,
+  },
+  platform: {
+    type: String,
+    enum: DEVICE_PLATFORMS,
+    default: 'android',
+  },
+  appVersion: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  // Same ID as the device's login session, when the app sends one
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+deviceTokenSchema.index({ user: 1 });
+
+const DeviceToken = mongoose.model('DeviceToken', deviceTokenSchema);
+
+export { DEVICE_PLATFORMS };
+export default DeviceToken;
@@ -6,6 +6,7 @@ const NOTIFICATION_TYPES = [
   'booking_started',     // When service starts (in_progress)
   'booking_completed',   // When service is done
   'booking_cancelled',   // When booking is cancelled
+  'booking_rescheduled', // When booking moves to another time or provider
   'booking_no_show',     // When customer doesn't show up
   'booking_reminder',    // Reminder before appointment
   'review_request',      // Ask customer to leave review
@@ -61,6 +62,8 @@ const notificationSchema = new mongoose.Schema({
 
 notificationSchema.index({ user: 1, createdAt: -1 });
 notificationSchema.index({ user: 1, isRead: 1 });
+// Scheduled jobs tag their notification so a retried job can't send twice
+notificationSchema.index({ 'data.jobKey': 1 }, { unique: true, sparse: true });
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
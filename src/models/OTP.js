@@ -2,25 +2,53 @@ import mongoose from 'mongoose';
 import crypto from 'crypto';
 import config from '../config/index.js';
 
+const OTP_PURPOSES = ['email_verification', 'password_reset', 'phone_login'];
+
 const otpSchema = new mongoose.Schema({
+  // Not set for phone login OTPs sent before the account exists
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: [function() { return !this.phone; }, 'User is required'],
   },
   email: {
     type: String,
-    required: true,
+    required: [function() { return !this.phone; }, 'Email is required'],
     lowercase: true,
   },
-  otp: {
+  // E.164 phone number for phone login OTPs
+  phone: {
+    type: String,
+    trim: true,
+  },
+  // An OTP can only be verified for the purpose it was issued for
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: [true, 'OTP purpose is required'],
+  },
+  // HMAC of the code; the code itself is never stored
+  codeHash: {
     type: String,
     required: true,
   },
+  // Wrong codes entered against this OTP
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Set when attempts run out; no new OTP can be issued until then
+  lockedUntil: Date,
   expiresAt: {
     type: Date,
     required: true,
   },
+  // Deleted by the TTL index at this time: expiresAt, or the end of the
+  // lockout if that is later (the record is what enforces the lockout)
+  purgeAt: {
+    type: Date,
+    required: true,
+  },
   isUsed: {
     type: Boolean,
     default: false,
@@ -29,59 +57,157 @@ const otpSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// =====================
+// HELPERS
+// =====================
+
+const hashCode = (code) =>
+  crypto.createHmac('sha256', config.jwt.secret).update(String(code)).digest('hex');
+
+const codesMatch = (code, codeHash) => {
+  const candidate = Buffer.from(hashCode(code), 'hex');
+  const expected = Buffer.from(codeHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+// Query for the OTPs of one identity (email or phone) and purpose
+const identityQuery = ({ purpose, email, phone }) => (
+  phone ? { purpose, phone } : { purpose, email: email.toLowerCase() }
+);
+
+// =====================
+// METHODS
+// =====================
+
 // Check if OTP is valid
 otpSchema.methods.isValid = function() {
   return !this.isUsed && new Date() <= this.expiresAt;
 };
 
-// Static method to generate OTP
-otpSchema.statics.generateOTP = async function(user, email) {
-  // Invalidate existing OTPs
-  await this.updateMany(
-    { user: user._id, isUsed: false },
-    { isUsed: true }
-  );
+/**
+ * Generate an OTP for an email or phone
+ * Refuses while the identity is locked out or the last code is inside
+ * the resend cooldown.
+ * @param {Object} params
+ * @param {string} params.purpose - email_verification | password_reset | phone_login
+ * @param {Object} params.user - User the OTP belongs to (optional for phone login)
+ * @param {string} params.email - Email the code is sent to
+ * @param {string} params.phone - Normalized phone the code is sent to
+ * @returns {Promise<Object>} { otpRecord, code } or { retryAfterSeconds }
+ */
+otpSchema.statics.generateOTP = async function({ purpose, user, email, phone }) {
+  const query = identityQuery({ purpose, email, phone });
+  const latest = await this.findOne(query).sort({ createdAt: -1 });
+
+  if (latest) {
+    const now = Date.now();
+    const cooldownEndsAt = latest.createdAt.getTime() + config.otp.resendCooldownSeconds * 1000;
+    const nextAllowedAt = Math.max(latest.lockedUntil?.getTime() || 0, cooldownEndsAt);
+
+    if (nextAllowedAt > now) {
+      return { retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000) };
+    }
+  }
+
+  // Invalidate existing OTPs for this identity and purpose
+  await this.updateMany({ ...query, isUsed: false }, { isUsed: true });
 
   // Generate 6-digit OTP
-  const otp = crypto.randomInt(100000, 999999).toString();
+  const code = crypto.randomInt(100000, 1000000).toString();
 
   // Create expiry time
   const expiresAt = new Date();
   expiresAt.setMinutes(expiresAt.getMinutes() + config.otp.expiresMinutes);
 
-  // Create OTP record
-  return this.create({
-    user: user._id,
-    email,
-    otp,
+  const otpRecord = await this.create({
+    ...query,
+    user: user?._id,
+    codeHash: hashCode(code),
     expiresAt,
+    purgeAt: expiresAt,
   });
+
+  return { otpRecord, code };
 };
 
-// Static method to verify OTP
-otpSchema.statics.verifyOTP = async function(email, otp) {
+/**
+ * Verify an OTP for an email or phone
+ * Each wrong code counts against the latest OTP; after OTP_MAX_ATTEMPTS
+ * wrong codes it is burned and the identity is locked out for
+ * OTP_LOCKOUT_MINUTES.
+ * @param {Object} params
+ * @param {string} params.purpose - Purpose the OTP must have been issued for
+ * @param {string} params.email - Email the code was sent to
+ * @param {string} params.phone - Phone the code was sent to
+ * @param {string} params.otp - Code entered by the user
+ * @returns {Promise<Object>} { isValid, user?, reason?, attemptsLeft? }
+ */
+otpSchema.statics.verifyOTP = async function({ purpose, email, phone, otp }) {
   const otpRecord = await this.findOne({
-    email: email.toLowerCase(),
-    otp,
+    ...identityQuery({ purpose, email, phone }),
     isUsed: false,
     expiresAt: { $gt: new Date() },
-  })
-    .sort({ createdAt: -1 })
-    .populate('user');
-
-  if (otpRecord) {
-    otpRecord.isUsed = true;
-    await otpRecord.save();
-    return { isValid: true, user: otpRecord.user };
+  }).sort({ createdAt: -1 });
+
+  if (!otpRecord) {
+    return { isValid: false, reason: 'OTP expired or not found, please request a new one' };
+  }
+
+  if (!codesMatch(otp, otpRecord.codeHash)) {
+    // Count the attempt atomically so parallel guesses can't exceed the limit
+    const updated = await this.findOneAndUpdate(
+      { _id: otpRecord._id, isUsed: false },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    // Used up by a parallel request in the meantime
+    if (!updated) {
+      return { isValid: false, reason: 'OTP expired or not found, please request a new one' };
+    }
+
+    const attemptsLeft = Math.max(config.otp.maxAttempts - updated.attempts, 0);
+
+    if (attemptsLeft === 0) {
+      const lockedUntil = new Date(Date.now() + config.otp.lockoutMinutes * 60 * 1000);
+      await this.updateOne(
+        { _id: otpRecord._id },
+        {
+          isUsed: true,
+          lockedUntil,
+          purgeAt: lockedUntil > otpRecord.expiresAt ? lockedUntil : otpRecord.expiresAt,
+        }
+      );
+      return {
+        isValid: false,
+        reason: `Too many incorrect attempts, try again in ${config.otp.lockoutMinutes} minutes`,
+        attemptsLeft,
+        lockedOut: true,
+      };
+    }
+
+    return { isValid: false, reason: 'Incorrect OTP', attemptsLeft };
   }
 
-  return { isValid: false, user: null };
+  // Mark used atomically so the same code can't be used twice
+  const consumed = await this.findOneAndUpdate(
+    { _id: otpRecord._id, isUsed: false },
+    { isUsed: true },
+    { new: true }
+  ).populate('user');
+
+  if (!consumed) {
+    return { isValid: false, reason: 'OTP expired or not found, please request a new one' };
+  }
+
+  return { isValid: true, user: consumed.user || null };
 };
 
-otpSchema.index({ email: 1, otp: 1 });
-otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+otpSchema.index({ purpose: 1, email: 1, createdAt: -1 });
+otpSchema.index({ purpose: 1, phone: 1, createdAt: -1 });
+otpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 const OTP = mongoose.model('OTP', otpSchema);
 
+export { OTP_PURPOSES };
 export default OTP;
-
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+const OUTBOX_CHANNELS = ['email', 'sms', 'push'];
+
+// pending: waiting for (another) attempt
+// sending: claimed by a worker
+// sent: delivered to the provider
+// skipped: nothing to deliver to (e.g. no push token, push muted)
+// failed: gave up after maxAttempts (dead letter)
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'skipped', 'failed'];
+
+// How long delivered and skipped messages are kept after their last change
+// (failed ones stay in the dead-letter list until an admin retries them)
+const OUTBOX_RETENTION_DAYS = 30;
+
+/**
+ * Outgoing email, SMS or push waiting for delivery
+ *
+ * The payload is what the channel adapter receives:
+ * - email: { to, subject, text, html }
+ * - sms: { phone, message }
+ * - push: { userId, notification }
+ */
+const outboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: OUTBOX_CHANNELS,
+    required: [true, 'Channel is required'],
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Payload is required'],
+  },
+  // What the message is about, e.g. booking_confirmation
+  purpose: {
+    type: String,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  relatedBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  // Promo campaign the message was sent for
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending',
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  lockedAt: Date,
+  lastError: String,
+  // Provider response of the successful attempt (message ID etc.)
+  result: mongoose.Schema.Types.Mixed,
+  sentAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ user: 1 });
+outboxMessageSchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: OUTBOX_RETENTION_DAYS * 24 * 60 * 60,
+    partialFilterExpression: { status: { $in: ['sent', 'skipped'] } },
+  }
+); // TTL index
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+
+export { OUTBOX_CHANNELS, OUTBOX_STATUSES };
+export default OutboxMessage;
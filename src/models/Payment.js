@@ -1,13 +1,42 @@
 import mongoose from 'mongoose';
 
 const PAYMENT_METHODS = ['cash', 'card', 'upi', 'wallet', 'netbanking'];
-const PAYMENT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'refunded'];
+const PAYMENT_STATUSES = [
+  'pending',
+  'processing',
+  'completed',
+  'failed',
+  'partially_refunded',
+  'refunded',
+];
+
+// Refund Schema (embedded)
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  refundId: {
+    type: String,
+    trim: true,
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { _id: true, timestamps: true });
 
 const paymentSchema = new mongoose.Schema({
   booking: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking',
     required: [true, 'Booking is required'],
+    // One payment per booking; retries reuse it
     unique: true,
   },
   amount: {
@@ -39,6 +68,25 @@ const paymentSchema = new mongoose.Schema({
   refundedAt: {
     type: Date,
   },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  refunds: [refundSchema],
+  // Cash collected at the salon
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Last raw callback payload from the gateway (for support/debugging)
+  gatewayResponse: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  failureReason: {
+    type: String,
+    trim: true,
+  },
   notes: {
     type: String,
     trim: true,
@@ -56,10 +104,16 @@ const paymentSchema = new mongoose.Schema({
   },
 });
 
-paymentSchema.index({ booking: 1 });
+// Virtual for amount still refundable
+paymentSchema.virtual('refundableAmount').get(function() {
+  return Math.max(0, Math.round((this.amount - (this.refundedAmount || 0)) * 100) / 100);
+});
+
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ paymentGateway: 1, transactionId: 1 });
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
+export { PAYMENT_METHODS, PAYMENT_STATUSES };
 export default Payment;
 
@@ -1,5 +1,33 @@
 import mongoose from 'mongoose';
 
+// Promo Code Usage Schema (per-user usage counter)
+const promoCodeUsageSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Bookings currently holding a use of this code
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  }],
+}, {
+  timestamps: true,
+});
+
+promoCodeUsageSchema.index({ promoCode: 1, user: 1 }, { unique: true });
+
 const promoCodeSchema = new mongoose.Schema({
   code: {
     type: String,
@@ -101,10 +129,115 @@ promoCodeSchema.methods.calculateDiscount = function(bookingAmount) {
   return Math.round(discount * 100) / 100;
 };
 
+/**
+ * Method to check if a code can be applied to a booking amount
+ * @param {number} bookingAmount - Booking total before discount
+ * @param {ObjectId} userId - Optional user to check per-user usage for
+ * @returns {Promise<Object>} { valid, reason?, discount }
+ */
+promoCodeSchema.methods.checkEligibility = async function(bookingAmount, userId) {
+  if (!this.isValid()) {
+    return { valid: false, reason: 'Promo code is expired or not valid', discount: 0 };
+  }
+
+  if (bookingAmount < this.minBookingAmount) {
+    return { valid: false, reason: `Minimum booking amount is ₹${this.minBookingAmount}`, discount: 0 };
+  }
+
+  if (userId) {
+    const used = await this.constructor.getUserUsageCount(this._id, userId);
+    if (used >= (this.maxUsesPerUser || 1)) {
+      return { valid: false, reason: 'You have already used this promo code', discount: 0 };
+    }
+  }
+
+  return { valid: true, discount: this.calculateDiscount(bookingAmount) };
+};
+
+// Static method to get how many times a user has used a code
+promoCodeSchema.statics.getUserUsageCount = async function(promoCodeId, userId) {
+  const usage = await PromoCodeUsage.findOne({ promoCode: promoCodeId, user: userId }).select('count');
+  return usage?.count || 0;
+};
+
+/**
+ * Static method to reserve one use of a code for a booking
+ * Both the global (maxUses) and per-user (maxUsesPerUser) limits are
+ * enforced with conditional atomic updates, so concurrent bookings
+ * cannot exceed either limit.
+ * @returns {Promise<Object>} { success, reason? }
+ */
+promoCodeSchema.statics.reserveUsage = async function(promoCode, userId, bookingId) {
+  // Global limit
+  const reserved = await this.findOneAndUpdate(
+    {
+      _id: promoCode._id,
+      isActive: true,
+      $or: [
+        { maxUses: { $exists: false } },
+        { maxUses: null },
+        { $expr: { $lt: ['$currentUses', '$maxUses'] } },
+      ],
+    },
+    { $inc: { currentUses: 1 } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return { success: false, reason: 'Promo code usage limit reached' };
+  }
+
+  // Per-user limit: the filter only matches while count is below the limit.
+  // Once the limit is reached the upsert hits the unique index instead.
+  try {
+    await PromoCodeUsage.findOneAndUpdate(
+      {
+        promoCode: promoCode._id,
+        user: userId,
+        count: { $lt: promoCode.maxUsesPerUser || 1 },
+      },
+      {
+        $inc: { count: 1 },
+        $push: { bookings: bookingId },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    await this.updateOne({ _id: promoCode._id }, { $inc: { currentUses: -1 } });
+    if (error.code === 11000) {
+      return { success: false, reason: 'You have already used this promo code' };
+    }
+    throw error;
+  }
+
+  return { success: true };
+};
+
+// Static method to release a booking's use of a code (idempotent)
+promoCodeSchema.statics.releaseUsage = async function(promoCodeId, userId, bookingId) {
+  const usage = await PromoCodeUsage.findOneAndUpdate(
+    { promoCode: promoCodeId, user: userId, bookings: bookingId },
+    {
+      $inc: { count: -1 },
+      $pull: { bookings: bookingId },
+    }
+  );
+
+  if (usage) {
+    await this.updateOne(
+      { _id: promoCodeId, currentUses: { $gt: 0 } },
+      { $inc: { currentUses: -1 } }
+    );
+  }
+
+  return !!usage;
+};
+
 promoCodeSchema.index({ code: 1 });
 promoCodeSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
 
 const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+export const PromoCodeUsage = mongoose.model('PromoCodeUsage', promoCodeUsageSchema);
 
 export default PromoCode;
 
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import availabilityOverrideSchema from './availabilityOverride.schema.js';
 
 // Provider Availability Schema (embedded)
 const availabilitySchema = new mongoose.Schema({
@@ -22,6 +23,24 @@ const availabilitySchema = new mongoose.Schema({
   },
 });
 
+// Provider Time-off Schema (embedded)
+// Blocks bookings in [startsAt, endsAt) regardless of the weekly schedule
+const timeOffSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+});
+
 // Provider Service Schema (embedded)
 const providerServiceSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -198,6 +217,9 @@ const serviceProviderSchema = new mongoose.Schema({
     default: false,
   },
   availability: [availabilitySchema],
+  timeOff: [timeOffSchema],
+  // Leave days and date-specific hours (replace the weekly availability)
+  availabilityOverrides: [availabilityOverrideSchema],
 }, {
   timestamps: true,
   toJSON: {
@@ -231,7 +253,7 @@ serviceProviderSchema.virtual('specializationDisplay').get(function() {
 serviceProviderSchema.methods.updateRating = async function() {
   const Review = mongoose.model('ProviderReview');
   const stats = await Review.aggregate([
-    { $match: { provider: this._id } },
+    { $match: { provider: this._id, isActive: { $ne: false } } },
     {
       $group: {
         _id: null,
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const REPORT_TARGET_TYPES = ['short', 'comment', 'salon_review', 'provider_review'];
+
+const REPORT_REASONS = [
+  'spam',
+  'offensive',
+  'harassment',
+  'misleading',
+  'inappropriate',
+  'other',
+];
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required'],
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: [true, 'Target type is required'],
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target is required'],
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Reason is required'],
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// One report per user per item
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+reportSchema.index({ targetType: 1, target: 1 });
+reportSchema.index({ status: 1, createdAt: -1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+export { REPORT_TARGET_TYPES, REPORT_REASONS, REPORT_STATUSES };
+export default Report;
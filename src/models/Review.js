@@ -1,5 +1,23 @@
 import mongoose from 'mongoose';
 
+// Owner Reply Schema (embedded in salon/provider reviews)
+const ownerReplySchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: [true, 'Reply message is required'],
+    trim: true,
+    maxlength: 1000,
+  },
+  repliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  _id: false,
+  timestamps: true,
+});
+
 // Salon Review Schema
 const salonReviewSchema = new mongoose.Schema({
   salon: {
@@ -7,10 +25,15 @@ const salonReviewSchema = new mongoose.Schema({
     ref: 'Salon',
     required: [true, 'Salon is required'],
   },
+  // Removed when the customer deletes their account (see isAnonymized)
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Customer is required'],
+    required: [function() { return !this.isAnonymized; }, 'Customer is required'],
+  },
+  isAnonymized: {
+    type: Boolean,
+    default: false,
   },
   booking: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,6 +74,19 @@ const salonReviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Hidden by an admin: left out of public listings and the rating.
+  // Older reviews lack the field, so query visible ones with { $ne: false }
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Number of user reports (see Report model)
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
+  // Salon owner's public reply
+  ownerReply: ownerReplySchema,
 }, {
   timestamps: true,
   toJSON: {
@@ -64,16 +100,24 @@ const salonReviewSchema = new mongoose.Schema({
   },
 });
 
-// Update salon rating after save
-salonReviewSchema.post('save', async function() {
+// Update salon rating after save (including hiding/restoring) or delete
+async function updateSalonRating() {
   const Salon = mongoose.model('Salon');
   const salon = await Salon.findById(this.salon);
   if (salon) {
     await salon.updateRating();
   }
-});
+}
+
+salonReviewSchema.post('save', updateSalonRating);
+salonReviewSchema.post('deleteOne', { document: true, query: false }, updateSalonRating);
 
 salonReviewSchema.index({ salon: 1, customer: 1, booking: 1 }, { unique: true });
+// One review per booking
+salonReviewSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { booking: { $exists: true } } }
+);
 
 // Provider Review Schema
 const providerReviewSchema = new mongoose.Schema({
@@ -82,10 +126,15 @@ const providerReviewSchema = new mongoose.Schema({
     ref: 'ServiceProvider',
     required: [true, 'Provider is required'],
   },
+  // Removed when the customer deletes their account (see isAnonymized)
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Customer is required'],
+    required: [function() { return !this.isAnonymized; }, 'Customer is required'],
+  },
+  isAnonymized: {
+    type: Boolean,
+    default: false,
   },
   booking: {
     type: mongoose.Schema.Types.ObjectId,
@@ -111,6 +160,19 @@ const providerReviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Hidden by an admin: left out of public listings and the rating.
+  // Older reviews lack the field, so query visible ones with { $ne: false }
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Number of user reports (see Report model)
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
+  // Salon owner's public reply
+  ownerReply: ownerReplySchema,
 }, {
   timestamps: true,
   toJSON: {
@@ -124,16 +186,24 @@ const providerReviewSchema = new mongoose.Schema({
   },
 });
 
-// Update provider rating after save
-providerReviewSchema.post('save', async function() {
+// Update provider rating after save (including hiding/restoring) or delete
+async function updateProviderRating() {
   const ServiceProvider = mongoose.model('ServiceProvider');
   const provider = await ServiceProvider.findById(this.provider);
   if (provider) {
     await provider.updateRating();
   }
-});
+}
+
+providerReviewSchema.post('save', updateProviderRating);
+providerReviewSchema.post('deleteOne', { document: true, query: false }, updateProviderRating);
 
 providerReviewSchema.index({ provider: 1, customer: 1, booking: 1 }, { unique: true });
+// One review per booking
+providerReviewSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { booking: { $exists: true } } }
+);
 
 export const SalonReview = mongoose.model('SalonReview', salonReviewSchema);
 export const ProviderReview = mongoose.model('ProviderReview', providerReviewSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import availabilityOverrideSchema from './availabilityOverride.schema.js';
 
 // Salon Image Schema (embedded)
 const salonImageSchema = new mongoose.Schema({
@@ -16,6 +17,39 @@ const salonImageSchema = new mongoose.Schema({
   },
 }, { _id: true, timestamps: true });
 
+// Break inside opening hours (e.g. lunch)
+const breakSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: true,
+  },
+  endTime: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+// Regular hours for one weekday
+const weeklyHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true,
+  }, // 0 = Sunday
+  isClosed: {
+    type: Boolean,
+    default: false,
+  },
+  openingTime: {
+    type: String,
+  },
+  closingTime: {
+    type: String,
+  },
+  breaks: [breakSchema],
+}, { _id: false });
+
 // Main Salon Schema
 const salonSchema = new mongoose.Schema({
   name: {
@@ -112,6 +146,44 @@ const salonSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Per-weekday hours and breaks; when empty, openingTime/closingTime
+  // apply every day (Sundays only if isOpenSunday)
+  weeklyHours: [weeklyHoursSchema],
+  // Dated closures and special hours (replace the weekly hours)
+  availabilityOverrides: [availabilityOverrideSchema],
+  // Rules for changes customers make to their own bookings
+  bookingPolicy: {
+    // Latest a customer can reschedule, in hours before the appointment
+    rescheduleCutoffHours: {
+      type: Number,
+      default: 2,
+      min: 0,
+    },
+    maxReschedules: {
+      type: Number,
+      default: 2,
+      min: 0,
+    },
+    // Customers cancel for free up to this many hours before the appointment
+    freeCancellationHours: {
+      type: Number,
+      default: 24,
+      min: 0,
+    },
+    // Fee for later cancellations, as a percentage of the booking amount
+    cancellationFeePercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    noShowFeePercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+  },
   coverImage: {
     type: String,
   },
@@ -257,7 +329,7 @@ salonSchema.pre('save', function(next) {
 salonSchema.methods.updateRating = async function() {
   const Review = mongoose.model('SalonReview');
   const stats = await Review.aggregate([
-    { $match: { salon: this._id } },
+    { $match: { salon: this._id, isActive: { $ne: false } } },
     {
       $group: {
         _id: null,
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const JOB_TYPES = [
+  'booking_reminder',   // Remind customer before appointment
+  'review_request',     // Ask customer to review after completion
+  'account_deletion',   // Erase an account once its grace period ends
+  'push_receipts',      // Check Expo delivery receipts for sent pushes
+  'campaign_batch',     // Send the next batch of a promo campaign
+];
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const scheduledJobSchema = new mongoose.Schema({
+  jobType: {
+    type: String,
+    enum: JOB_TYPES,
+    required: [true, 'Job type is required'],
+  },
+  // Idempotency key: scheduling the same key twice is a no-op
+  key: {
+    type: String,
+    required: [true, 'Job key is required'],
+    unique: true,
+  },
+  runAt: {
+    type: Date,
+    required: [true, 'Run time is required'],
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'pending',
+  },
+  relatedBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+  },
+  lockedAt: Date,
+  lastError: String,
+  completedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ relatedBooking: 1, status: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+export { JOB_TYPES, JOB_STATUSES };
+export default ScheduledJob;
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+const SESSION_PLATFORMS = ['ios', 'android', 'web', 'unknown'];
+
+/**
+ * Login session for one device
+ *
+ * Each session is one refresh-token family: every refresh rotates tokenId,
+ * and presenting an older token from the same family means it was stolen,
+ * so the whole session is revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    trim: true,
+    maxlength: 200,
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  platform: {
+    type: String,
+    enum: SESSION_PLATFORMS,
+    default: 'unknown',
+  },
+  userAgent: String,
+  ipAddress: String,
+  // Random ID of the refresh token family (changes on every new login)
+  family: {
+    type: String,
+    required: true,
+  },
+  // ID (jti) of the only refresh token in the family that is still valid
+  tokenId: {
+    type: String,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_reset', 'replaced', 'account_linked', 'account_deleted'],
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.family;
+      delete ret.tokenId;
+      return ret;
+    },
+  },
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Revoke the session (and with it the whole refresh-token family)
+ * @param {string} reason - Why the session ended
+ */
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+// Indexes
+sessionSchema.index({ user: 1, deviceId: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export { SESSION_PLATFORMS };
+export default Session;
@@ -26,10 +26,15 @@ const shortCommentSchema = new mongoose.Schema({
     ref: 'Short',
     required: true,
   },
+  // Removed when the author deletes their account (see isAnonymized)
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: [function() { return !this.isAnonymized; }, 'User is required'],
+  },
+  isAnonymized: {
+    type: Boolean,
+    default: false,
   },
   // V1: Support both 'comment' and 'text' field names
   comment: {
@@ -61,6 +66,11 @@ const shortCommentSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Number of user reports (see Report model)
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -80,6 +90,41 @@ const shortCommentSchema = new mongoose.Schema({
 shortCommentSchema.index({ short: 1, createdAt: -1 });
 shortCommentSchema.index({ parent: 1 });
 
+/**
+ * Hide or restore a comment, keeping the short's comment count and the
+ * parent's reply count in step. Safe to call concurrently.
+ * @param {boolean} isActive - true to restore, false to hide
+ * @returns {Promise<boolean>} true if the visibility changed
+ */
+shortCommentSchema.methods.setActive = async function(isActive) {
+  const ShortComment = this.constructor;
+  const Short = mongoose.model('Short');
+
+  const { modifiedCount } = await ShortComment.updateOne(
+    { _id: this._id, isActive: !isActive },
+    { isActive }
+  );
+  this.isActive = isActive;
+
+  if (!modifiedCount) return false;
+
+  const delta = isActive ? 1 : -1;
+
+  await Short.updateOne(
+    isActive ? { _id: this.short } : { _id: this.short, commentCount: { $gt: 0 } },
+    { $inc: { commentCount: delta, commentsCount: delta } }
+  );
+
+  if (this.parent) {
+    await ShortComment.updateOne(
+      isActive ? { _id: this.parent } : { _id: this.parent, replyCount: { $gt: 0 } },
+      { $inc: { replyCount: delta } }
+    );
+  }
+
+  return true;
+};
+
 // Short Like Schema
 const shortLikeSchema = new mongoose.Schema({
   short: {
@@ -320,6 +365,11 @@ const shortSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Number of user reports (see Report model)
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
   
   publishedAt: {
     type: Date,
@@ -1,6 +1,49 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+const SOCIAL_PROVIDERS = ['google', 'apple'];
+
+// Notification categories users can opt in/out of, per channel.
+// Account and security messages (OTPs, password resets) are always sent.
+const NOTIFICATION_CATEGORIES = ['bookingUpdates', 'reminders', 'promos', 'social'];
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'push'];
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Languages emails and SMS are available in (English, Telugu, Hindi)
+const LANGUAGES = ['en', 'te', 'hi'];
+
+// Channel opt-ins for one notification category
+const channelPreferences = (defaults) => ({
+  email: { type: Boolean, default: defaults.email },
+  sms: { type: Boolean, default: defaults.sms },
+  push: { type: Boolean, default: defaults.push },
+});
+
+// Google / Apple account linked for social sign-in
+const socialIdentitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: SOCIAL_PROVIDERS,
+    required: true,
+  },
+  // Provider's stable user ID (the ID token's `sub`)
+  subject: {
+    type: String,
+    required: true,
+  },
+  // Email the provider reported when the identity was linked
+  email: String,
+  linkedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Phone and social accounts can sign in without an email/password
+function requiresCredentials() {
+  return !this.isPhoneVerified && !this.socialIdentities?.length;
+}
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -10,17 +53,19 @@ const userSchema = new mongoose.Schema({
     minlength: [3, 'Username must be at least 3 characters'],
     maxlength: [50, 'Username cannot exceed 50 characters'],
   },
+  // Optional for accounts created by phone OTP or social sign-in
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    required: [requiresCredentials, 'Email is required'],
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [requiresCredentials, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters'],
     select: false,
   },
@@ -81,11 +126,18 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  refreshToken: {
-    type: String,
-    select: false,
+  // Set once the user has signed in with an OTP sent to `phone`
+  isPhoneVerified: {
+    type: Boolean,
+    default: false,
   },
-  // Push notification token (Expo)
+  socialIdentities: [socialIdentitySchema],
+  // Account deletion: the account is deactivated when deletion is
+  // requested and erased once the grace period ends (signing in cancels it)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  // Single push token from before multiple devices were supported (see
+  // DeviceToken); moved to a device when the app registers its token again
   pushToken: {
     type: String,
     trim: true,
@@ -94,6 +146,38 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['ios', 'android', 'web'],
   },
+  notificationPreferences: {
+    bookingUpdates: channelPreferences({ email: true, sms: true, push: true }),
+    reminders: channelPreferences({ email: true, sms: true, push: true }),
+    promos: channelPreferences({ email: false, sms: false, push: true }),
+    social: channelPreferences({ email: false, sms: false, push: true }),
+    // Push and SMS are held back between start and end (local time)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        default: '22:00',
+      },
+      end: {
+        type: String,
+        default: '08:00',
+      },
+    },
+  },
+  // IANA time zone, used for quiet hours
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+  },
+  // Language of emails and SMS
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    default: 'en',
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -103,7 +187,6 @@ const userSchema = new mongoose.Schema({
       delete ret._id;
       delete ret.__v;
       delete ret.password;
-      delete ret.refreshToken;
       return ret;
     },
   },
@@ -114,14 +197,14 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName || ''} ${this.lastName || ''}`.trim() || this.username;
 });
 
-// Virtual for isVerified (alias for isEmailVerified for frontend compatibility)
+// Virtual for isVerified (email or phone verified, for frontend compatibility)
 userSchema.virtual('isVerified').get(function() {
-  return this.isEmailVerified;
+  return this.isEmailVerified || this.isPhoneVerified;
 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -130,10 +213,84 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Phone and social accounts may have no password
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// HH:MM of a moment in a time zone
+const toLocalTime = (at, timezone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: timezone || DEFAULT_TIMEZONE,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+}).format(at);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Check if a moment falls inside the user's quiet hours (in their time zone)
+userSchema.methods.isInQuietHours = function(at = new Date()) {
+  const quietHours = this.notificationPreferences?.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const localTime = toLocalTime(at, this.timezone);
+
+  const { start, end } = quietHours;
+
+  // Quiet hours usually wrap past midnight (e.g. 22:00 - 08:00)
+  return start <= end
+    ? localTime >= start && localTime < end
+    : localTime >= start || localTime < end;
+};
+
+/**
+ * Check if the user wants notifications of a category on a channel
+ * Quiet hours don't matter here: they only delay push and SMS (notifyAt).
+ * @param {string} category - bookingUpdates | reminders | promos | social
+ * @param {string} channel - email | sms | push
+ */
+userSchema.methods.canNotify = function(category, channel) {
+  return this.notificationPreferences?.[category]?.[channel] !== false;
+};
+
+/**
+ * Earliest time a notification may go out on a channel
+ * Email doesn't wake anyone up, so quiet hours only hold back push and SMS
+ * until their end.
+ * @param {string} channel - email | sms | push
+ * @param {Date} at - Send time (default now)
+ * @returns {Date} `at`, or the end of the quiet hours it falls in
+ */
+userSchema.methods.notifyAt = function(channel, at = new Date()) {
+  if (channel === 'email' || !this.isInQuietHours(at)) return at;
+
+  const localTime = toLocalTime(at, this.timezone);
+
+  const minutesLeft = (toMinutes(this.notificationPreferences.quietHours.end) - toMinutes(localTime) + 24 * 60)
+    % (24 * 60);
+
+  const endsAt = new Date(at.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+// A verified phone number belongs to one account
+userSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { isPhoneVerified: true } }
+);
+
+// A Google / Apple account links to one user
+userSchema.index(
+  { 'socialIdentities.provider': 1, 'socialIdentities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'socialIdentities.subject': { $exists: true } } }
+);
+
 const User = mongoose.model('User', userSchema);
 
+export { SOCIAL_PROVIDERS, NOTIFICATION_CATEGORIES, NOTIFICATION_CHANNELS, LANGUAGES };
 export default User;
 
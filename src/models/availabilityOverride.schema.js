@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const OVERRIDE_TYPES = ['closed', 'custom_hours'];
+
+// Opening/working window on an overridden day
+const overrideWindowSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: true,
+  },
+  endTime: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+/**
+ * Date-range availability override (embedded in Salon and ServiceProvider)
+ *
+ * Replaces the weekly hours on every day from startDate to endDate
+ * (inclusive, stored as local midnight):
+ * - closed: no bookings at all (holiday, leave)
+ * - custom_hours: only the given windows (half day, extra hours)
+ * Overrides of one salon or provider never overlap.
+ */
+const availabilityOverrideSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: OVERRIDE_TYPES,
+    required: true,
+  },
+  windows: [overrideWindowSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+}, {
+  timestamps: true,
+});
+
+export { OVERRIDE_TYPES };
+export default availabilityOverrideSchema;
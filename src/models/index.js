@@ -5,11 +5,19 @@ export { default as Salon } from './Salon.js';
 export { ServiceCategory, ServiceType, Service } from './Service.js';
 export { default as ServiceProvider } from './Provider.js';
 export { default as Booking } from './Booking.js';
+export { default as BookingLock } from './BookingLock.js';
 export { SalonReview, ProviderReview } from './Review.js';
 export { default as Payment } from './Payment.js';
-export { default as PromoCode } from './PromoCode.js';
+export { default as PromoCode, PromoCodeUsage } from './PromoCode.js';
 export { default as Favorite } from './Favorite.js';
 export { default as Notification } from './Notification.js';
 export { Short, ShortLike, ShortComment } from './Short.js';
 export { default as OTP } from './OTP.js';
+export { default as ScheduledJob } from './ScheduledJob.js';
+export { default as Report } from './Report.js';
+export { default as Session } from './Session.js';
+export { default as DeviceToken } from './DeviceToken.js';
+export { default as OutboxMessage } from './OutboxMessage.js';
+export { default as Campaign, CampaignRecipient } from './Campaign.js';
 
+export { default as AuditLog } from './AuditLog.js';
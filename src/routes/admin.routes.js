@@ -0,0 +1,208 @@
+import { Router } from 'express';
+import {
+  getShortsForModeration,
+  moderateShort,
+  getCommentsForModeration,
+  moderateComment,
+  getReviewsForModeration,
+  moderateReview,
+  deleteReview,
+  getReports,
+  updateReport,
+  getOutboxMessages,
+  retryOutboxMessage,
+  getTemplates,
+  previewTemplate,
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  cancelCampaign,
+  countCampaignAudience,
+} from '../controllers/admin.controller.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  validateListShorts,
+  validateListComments,
+  validateListReviews,
+  validateModerateShort,
+  validateModerateComment,
+  validateModerateReview,
+  validateReviewParams,
+  validateListReports,
+  validateUpdateReport,
+  validateListOutbox,
+  validateTemplatePreview,
+  validateListCampaigns,
+  validateCreateCampaign,
+  validateUpdateCampaign,
+  validateCampaignAudience,
+} from '../validations/admin.validation.js';
+
+const router = Router();
+
+// All routes require an admin
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   GET /api/admin/shorts
+ * @desc    List shorts, including hidden ones
+ * @access  Private (Admin)
+ *
+ * @query   {boolean} flagged - Only reported shorts, most reported first
+ * @query   {boolean} isActive - Filter by visibility
+ * @query   {boolean} isFeatured - Filter featured shorts
+ * @query   {boolean} isVerified - Filter verified shorts
+ * @query   {string} q - Search by title
+ */
+router.get('/shorts', validate(validateListShorts), getShortsForModeration);
+
+/**
+ * @route   PATCH /api/admin/shorts/:id
+ * @desc    Hide/restore, feature or verify a short
+ * @access  Private (Admin)
+ */
+router.patch('/shorts/:id', validate(validateModerateShort), moderateShort);
+
+/**
+ * @route   GET /api/admin/comments
+ * @desc    List short comments, including hidden ones
+ * @access  Private (Admin)
+ *
+ * @query   {boolean} flagged - Only reported comments, most reported first
+ * @query   {boolean} isActive - Filter by visibility
+ * @query   {string} short - Filter by short ID
+ * @query   {string} user - Filter by author ID
+ */
+router.get('/comments', validate(validateListComments), getCommentsForModeration);
+
+/**
+ * @route   PATCH /api/admin/comments/:id
+ * @desc    Hide or restore a comment
+ * @access  Private (Admin)
+ */
+router.patch('/comments/:id', validate(validateModerateComment), moderateComment);
+
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    List salon or provider reviews, including hidden ones
+ * @access  Private (Admin)
+ *
+ * @query   {string} type - salon | provider
+ * @query   {boolean} flagged - Only reported reviews, most reported first
+ * @query   {boolean} isActive - Filter by visibility
+ * @query   {number} maxRating - Only reviews rated at or below this
+ */
+router.get('/reviews', validate(validateListReviews), getReviewsForModeration);
+
+/**
+ * @route   PATCH /api/admin/reviews/:type/:id
+ * @desc    Hide or restore a review and recalculate the rating
+ * @access  Private (Admin)
+ */
+router.patch('/reviews/:type/:id', validate(validateModerateReview), moderateReview);
+
+/**
+ * @route   DELETE /api/admin/reviews/:type/:id
+ * @desc    Delete a review and recalculate the rating
+ * @access  Private (Admin)
+ */
+router.delete('/reviews/:type/:id', validate(validateReviewParams), deleteReview);
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    List user reports
+ * @access  Private (Admin)
+ *
+ * @query   {string} status - open | resolved | dismissed
+ * @query   {string} targetType - short | comment | salon_review | provider_review
+ */
+router.get('/reports', validate(validateListReports), getReports);
+
+/**
+ * @route   PATCH /api/admin/reports/:id
+ * @desc    Resolve or dismiss a report
+ * @access  Private (Admin)
+ */
+router.patch('/reports/:id', validate(validateUpdateReport), updateReport);
+
+/**
+ * @route   GET /api/admin/outbox
+ * @desc    List outgoing email/SMS/push messages (failed ones by default)
+ * @access  Private (Admin)
+ *
+ * @query   {string} status - pending | sending | sent | skipped | failed
+ * @query   {string} channel - email | sms | push
+ */
+router.get('/outbox', validate(validateListOutbox), getOutboxMessages);
+
+/**
+ * @route   POST /api/admin/outbox/:id/retry
+ * @desc    Retry a failed message
+ * @access  Private (Admin)
+ */
+router.post('/outbox/:id/retry', retryOutboxMessage);
+
+/**
+ * @route   GET /api/admin/templates
+ * @desc    List email and SMS templates
+ * @access  Private (Admin)
+ */
+router.get('/templates', getTemplates);
+
+/**
+ * @route   GET /api/admin/templates/:name/preview
+ * @desc    Render a template with sample booking data
+ * @access  Private (Admin)
+ *
+ * @query   {string} channel - email | sms
+ * @query   {string} locale - en | te | hi
+ */
+router.get('/templates/:name/preview', validate(validateTemplatePreview), previewTemplate);
+
+/**
+ * @route   GET /api/admin/campaigns
+ * @desc    List promo campaigns
+ * @access  Private (Admin)
+ *
+ * @query   {string} status - scheduled | sending | sent | cancelled
+ */
+router.get('/campaigns', validate(validateListCampaigns), getCampaigns);
+
+/**
+ * @route   POST /api/admin/campaigns
+ * @desc    Create a promo campaign
+ * @access  Private (Admin)
+ */
+router.post('/campaigns', validate(validateCreateCampaign), createCampaign);
+
+/**
+ * @route   POST /api/admin/campaigns/audience
+ * @desc    Count the customers an audience matches
+ * @access  Private (Admin)
+ */
+router.post('/campaigns/audience', validate(validateCampaignAudience), countCampaignAudience);
+
+/**
+ * @route   GET /api/admin/campaigns/:id
+ * @desc    Get a campaign with its stats
+ * @access  Private (Admin)
+ */
+router.get('/campaigns/:id', getCampaign);
+
+/**
+ * @route   PATCH /api/admin/campaigns/:id
+ * @desc    Change a scheduled campaign
+ * @access  Private (Admin)
+ */
+router.patch('/campaigns/:id', validate(validateUpdateCampaign), updateCampaign);
+
+/**
+ * @route   POST /api/admin/campaigns/:id/cancel
+ * @desc    Cancel a scheduled or sending campaign
+ * @access  Private (Admin)
+ */
+router.post('/campaigns/:id/cancel', cancelCampaign);
+
+export default router;
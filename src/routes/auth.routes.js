@@ -12,8 +12,22 @@ import {
   resetPassword,
   savePushToken,
   removePushToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  requestPhoneOtp,
+  verifyPhoneOtp,
+  socialSignIn,
 } from '../controllers/auth.controller.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  validateRequestPhoneOtp,
+  validateVerifyPhoneOtp,
+  validateSocialSignIn,
+  validatePushToken,
+  validateRemovePushToken,
+} from '../validations/auth.validation.js';
 
 const router = Router();
 
@@ -25,14 +39,28 @@ router.post('/forgot-password', forgotPassword);
 router.post('/verify-reset-otp', verifyResetOtp);
 router.post('/reset-password', resetPassword);
 
+// Phone OTP login (creates the account on first sign-in)
+router.post('/otp/request', validate(validateRequestPhoneOtp), requestPhoneOtp);
+router.post('/otp/verify', validate(validateVerifyPhoneOtp), verifyPhoneOtp);
+
+// Google / Apple sign-in (creates or links the account)
+router.post('/social', validate(validateSocialSignIn), socialSignIn);
+
 // Protected routes
 router.use(authenticate);
 router.post('/logout', logout);
 router.get('/me', getMe);
 router.post('/verify-otp', verifyOtp);
 router.post('/resend-otp', resendOtp);
-router.post('/push-token', savePushToken);
-router.delete('/push-token', removePushToken);
+
+// Push tokens (one per device)
+router.post('/push-token', validate(validatePushToken), savePushToken);
+router.delete('/push-token', validate(validateRemovePushToken), removePushToken);
+
+// Sessions (one per device)
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeOtherSessions);
+router.delete('/sessions/:id', revokeSession);
 
 export default router;
 
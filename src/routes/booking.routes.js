@@ -9,10 +9,16 @@ import {
   getAvailableSlots,
   updateBookingStatus,
   confirmBooking,
+  startBooking,
   completeBooking,
   markNoShow,
+  getBookingHistory,
+  rescheduleBooking,
+  getCancellationQuote,
 } from '../controllers/booking.controller.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { validateRescheduleBooking } from '../validations/booking.validation.js';
 
 const router = Router();
 
@@ -29,17 +35,23 @@ router.get('/past', getPastBookings);
 
 // Single booking
 router.get('/:id', getBooking);
+router.get('/:id/history', getBookingHistory);
+router.get('/:id/cancellation-quote', getCancellationQuote);
 
 // Create booking
 router.post('/', createBooking);
 
-// Status transitions
+// Status transitions (actor is checked per transition in the controller)
 router.post('/:id/cancel', cancelBooking);
 router.post('/:id/confirm', confirmBooking);
+router.post('/:id/start', startBooking);
 router.post('/:id/complete', completeBooking);
 router.post('/:id/no-show', markNoShow);
 
-// General status update (for admin/salon owner)
+// Move to another date, time or provider (customer is held to the salon's policy)
+router.post('/:id/reschedule', validate(validateRescheduleBooking), rescheduleBooking);
+
+// General status update (for admin/salon owner/provider)
 router.patch('/:id/status', updateBookingStatus);
 
 export default router;
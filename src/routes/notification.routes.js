@@ -5,18 +5,24 @@ import {
   markAsRead,
   markAllAsRead,
   deleteNotification,
+  recordCampaignOpen,
+  campaignOpenPixel,
 } from '../controllers/notification.controller.js';
 import { authenticate } from '../middleware/auth.js';
 
 const router = Router();
 
-// All routes require authentication
+// Loaded by email clients, so no authentication
+router.get('/campaigns/open/:recipientId.gif', campaignOpenPixel);
+
+// All other routes require authentication
 router.use(authenticate);
 
 router.get('/', getNotifications);
 router.get('/unread', getUnreadNotifications);
 router.post('/read-all', markAllAsRead);
 router.post('/:id/read', markAsRead);
+router.post('/campaigns/:id/open', recordCampaignOpen);
 router.delete('/:id', deleteNotification);
 
 export default router;
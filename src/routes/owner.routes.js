@@ -0,0 +1,182 @@
+import { Router } from 'express';
+import {
+  getMySalons,
+  createSalon,
+  getMySalon,
+  updateSalon,
+  updateSalonHours,
+  updateBookingPolicy,
+  getSalonOverrides,
+  addSalonOverride,
+  removeSalonOverride,
+  getClashingBookings,
+  addGalleryImage,
+  updateGalleryImage,
+  removeGalleryImage,
+  replyToReview,
+  updateReviewReply,
+  deleteReviewReply,
+} from '../controllers/owner.controller.js';
+import { authenticate, authorize, authorizeSalonOwner } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  validateCreateSalon,
+  validateUpdateSalon,
+  validateUpdateHours,
+  validateSalonOverride,
+  validateBookingPolicy,
+  validateClashingBookings,
+  validateGalleryImage,
+  validateUpdateGalleryImage,
+  validateReviewReply,
+  validateReviewReplyParams,
+} from '../validations/owner.validation.js';
+
+const router = Router();
+
+// All routes require a salon owner (provider role) or admin
+router.use(authenticate, authorize('provider', 'admin'));
+
+/**
+ * @route   GET /api/owner/salons
+ * @desc    List salons owned by the current user
+ * @access  Private (Salon Owner/Admin)
+ */
+router.get('/salons', getMySalons);
+
+/**
+ * @route   POST /api/owner/salons
+ * @desc    Create a salon owned by the current user
+ * @access  Private (Salon Owner/Admin)
+ *
+ * @body    {string} name - Salon name
+ * @body    {string} area - Area ID (city is derived from the area)
+ * @body    {string} address - Street address
+ * @body    {number} lat - Latitude (optional, requires lng)
+ * @body    {number} lng - Longitude (optional, requires lat)
+ * @body    {string} mode - toSalon | toHome | both
+ * @body    {string[]} audience - men | women | kids | unisex
+ * @body    {string[]} tags - Search tags
+ * @body    {Object} features - hasParking, hasWifi, hasAc, acceptsCards, homeServiceAvailable
+ */
+router.post('/salons', validate(validateCreateSalon), createSalon);
+
+/**
+ * @route   GET /api/owner/salons/:id
+ * @desc    Get an owned salon (including inactive)
+ * @access  Private (Salon Owner/Admin)
+ */
+router.get('/salons/:id', authorizeSalonOwner(), getMySalon);
+
+/**
+ * @route   PATCH /api/owner/salons/:id
+ * @desc    Update salon profile, features, tags, mode and audience
+ * @access  Private (Salon Owner/Admin)
+ */
+router.patch('/salons/:id', authorizeSalonOwner(), validate(validateUpdateSalon), updateSalon);
+
+/**
+ * @route   PATCH /api/owner/salons/:id/hours
+ * @desc    Update opening/closing time and Sunday opening
+ * @access  Private (Salon Owner/Admin)
+ */
+router.patch('/salons/:id/hours', authorizeSalonOwner(), validate(validateUpdateHours), updateSalonHours);
+
+/**
+ * @route   PATCH /api/owner/salons/:id/booking-policy
+ * @desc    Update reschedule, cancellation and no-show rules for customers
+ * @access  Private (Salon Owner/Admin)
+ */
+router.patch(
+  '/salons/:id/booking-policy',
+  authorizeSalonOwner(),
+  validate(validateBookingPolicy),
+  updateBookingPolicy
+);
+
+/**
+ * @route   GET /api/owner/salons/:id/overrides
+ * @desc    List upcoming closures and special hours
+ * @access  Private (Salon Owner/Admin)
+ */
+router.get('/salons/:id/overrides', authorizeSalonOwner(), getSalonOverrides);
+
+/**
+ * @route   POST /api/owner/salons/:id/overrides
+ * @desc    Add a closure or special hours (returns bookings that clash with it)
+ * @access  Private (Salon Owner/Admin)
+ */
+router.post(
+  '/salons/:id/overrides',
+  authorizeSalonOwner(),
+  validate(validateSalonOverride),
+  addSalonOverride
+);
+
+/**
+ * @route   DELETE /api/owner/salons/:id/overrides/:overrideId
+ * @desc    Remove a closure or special hours
+ * @access  Private (Salon Owner/Admin)
+ */
+router.delete('/salons/:id/overrides/:overrideId', authorizeSalonOwner(), removeSalonOverride);
+
+/**
+ * @route   GET /api/owner/salons/:id/clashing-bookings
+ * @desc    List upcoming bookings outside salon or provider hours
+ * @access  Private (Salon Owner/Admin)
+ */
+router.get(
+  '/salons/:id/clashing-bookings',
+  authorizeSalonOwner(),
+  validate(validateClashingBookings),
+  getClashingBookings
+);
+
+/**
+ * @route   POST /api/owner/salons/:id/gallery
+ * @desc    Add a gallery image
+ * @access  Private (Salon Owner/Admin)
+ */
+router.post('/salons/:id/gallery', authorizeSalonOwner(), validate(validateGalleryImage), addGalleryImage);
+
+/**
+ * @route   PATCH /api/owner/salons/:id/gallery/:imageId
+ * @desc    Update a gallery image's caption, order or URL
+ * @access  Private (Salon Owner/Admin)
+ */
+router.patch(
+  '/salons/:id/gallery/:imageId',
+  authorizeSalonOwner(),
+  validate(validateUpdateGalleryImage),
+  updateGalleryImage
+);
+
+/**
+ * @route   DELETE /api/owner/salons/:id/gallery/:imageId
+ * @desc    Remove a gallery image
+ * @access  Private (Salon Owner/Admin)
+ */
+router.delete('/salons/:id/gallery/:imageId', authorizeSalonOwner(), removeGalleryImage);
+
+/**
+ * @route   POST /api/owner/reviews/:type/:id/reply
+ * @desc    Reply to a salon or provider review (type: salon | provider)
+ * @access  Private (Salon Owner/Admin)
+ */
+router.post('/reviews/:type/:id/reply', validate(validateReviewReply), replyToReview);
+
+/**
+ * @route   PATCH /api/owner/reviews/:type/:id/reply
+ * @desc    Edit a review reply
+ * @access  Private (Salon Owner/Admin)
+ */
+router.patch('/reviews/:type/:id/reply', validate(validateReviewReply), updateReviewReply);
+
+/**
+ * @route   DELETE /api/owner/reviews/:type/:id/reply
+ * @desc    Delete a review reply
+ * @access  Private (Salon Owner/Admin)
+ */
+router.delete('/reviews/:type/:id/reply', validate(validateReviewReplyParams), deleteReviewReply);
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import {
+  startPayment,
+  getBookingPayment,
+  paymentCallback,
+  collectCashPayment,
+  refundPayment,
+} from '../controllers/payment.controller.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = Router();
+
+// Gateway callbacks (public, verified by signature)
+router.post('/callback/:gateway', paymentCallback);
+
+// Protected routes
+router.use(authenticate);
+
+router.post('/', startPayment);
+router.get('/booking/:bookingId', getBookingPayment);
+
+// Salon owner / admin actions (ownership checked in the controller)
+router.post('/:id/collect', collectCashPayment);
+router.post('/:id/refund', refundPayment);
+
+export default router;
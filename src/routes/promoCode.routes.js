@@ -4,12 +4,13 @@ import {
   getPromoCode,
   validatePromoCode,
 } from '../controllers/promoCode.controller.js';
+import { optionalAuth } from '../middleware/auth.js';
 
 const router = Router();
 
 router.get('/', getPromoCodes);
 router.get('/active', getPromoCodes); // Alias for mobile app compatibility
-router.post('/validate', validatePromoCode);
+router.post('/validate', optionalAuth, validatePromoCode);
 router.get('/:code', getPromoCode);
 
 export default router;
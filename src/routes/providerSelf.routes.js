@@ -0,0 +1,143 @@
+import { Router } from 'express';
+import {
+  getMyProfile,
+  updateMyProfile,
+  updateMyAvailability,
+  getMyTimeOff,
+  addMyTimeOff,
+  removeMyTimeOff,
+  getMyOverrides,
+  addMyOverride,
+  removeMyOverride,
+  addMyGalleryImage,
+  replaceMyGallery,
+  addMyService,
+  updateMyService,
+  removeMyService,
+  getMyUpcomingBookings,
+} from '../controllers/providerSelf.controller.js';
+import { authenticate, authorize, loadProviderProfile } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  validateUpdateProviderProfile,
+  validateUpdateAvailability,
+  validateTimeOff,
+  validateAvailabilityOverride,
+  validateAddProviderGalleryImage,
+  validateReplaceProviderGallery,
+  validateProviderService,
+  validateUpdateProviderService,
+  validateProviderBookings,
+} from '../validations/provider.validation.js';
+
+const router = Router();
+
+// All routes require a provider with a provider profile
+router.use(authenticate, authorize('provider'), loadProviderProfile);
+
+/**
+ * @route   GET /api/provider/me
+ * @desc    Get the current provider's profile
+ * @access  Private (Provider)
+ */
+router.get('/me', getMyProfile);
+
+/**
+ * @route   PATCH /api/provider/me
+ * @desc    Update bio, availability toggle and home service settings
+ * @access  Private (Provider)
+ */
+router.patch('/me', validate(validateUpdateProviderProfile), updateMyProfile);
+
+/**
+ * @route   PUT /api/provider/me/availability
+ * @desc    Replace the weekly availability
+ * @access  Private (Provider)
+ */
+router.put('/me/availability', validate(validateUpdateAvailability), updateMyAvailability);
+
+/**
+ * @route   GET /api/provider/me/time-off
+ * @desc    List upcoming time off
+ * @access  Private (Provider)
+ */
+router.get('/me/time-off', getMyTimeOff);
+
+/**
+ * @route   POST /api/provider/me/time-off
+ * @desc    Add time off (returns existing bookings that clash with it)
+ * @access  Private (Provider)
+ */
+router.post('/me/time-off', validate(validateTimeOff), addMyTimeOff);
+
+/**
+ * @route   DELETE /api/provider/me/time-off/:timeOffId
+ * @desc    Remove time off
+ * @access  Private (Provider)
+ */
+router.delete('/me/time-off/:timeOffId', removeMyTimeOff);
+
+/**
+ * @route   GET /api/provider/me/overrides
+ * @desc    List upcoming leave days and custom hours
+ * @access  Private (Provider)
+ */
+router.get('/me/overrides', getMyOverrides);
+
+/**
+ * @route   POST /api/provider/me/overrides
+ * @desc    Add leave days or custom hours (returns existing bookings that clash)
+ * @access  Private (Provider)
+ */
+router.post('/me/overrides', validate(validateAvailabilityOverride), addMyOverride);
+
+/**
+ * @route   DELETE /api/provider/me/overrides/:overrideId
+ * @desc    Remove leave days or custom hours
+ * @access  Private (Provider)
+ */
+router.delete('/me/overrides/:overrideId', removeMyOverride);
+
+/**
+ * @route   POST /api/provider/me/gallery
+ * @desc    Add a portfolio image
+ * @access  Private (Provider)
+ */
+router.post('/me/gallery', validate(validateAddProviderGalleryImage), addMyGalleryImage);
+
+/**
+ * @route   PUT /api/provider/me/gallery
+ * @desc    Replace the portfolio (reorder or remove images)
+ * @access  Private (Provider)
+ */
+router.put('/me/gallery', validate(validateReplaceProviderGallery), replaceMyGallery);
+
+/**
+ * @route   POST /api/provider/me/services
+ * @desc    Add an offered service
+ * @access  Private (Provider)
+ */
+router.post('/me/services', validate(validateProviderService), addMyService);
+
+/**
+ * @route   PATCH /api/provider/me/services/:serviceId
+ * @desc    Update an offered service
+ * @access  Private (Provider)
+ */
+router.patch('/me/services/:serviceId', validate(validateUpdateProviderService), updateMyService);
+
+/**
+ * @route   DELETE /api/provider/me/services/:serviceId
+ * @desc    Remove an offered service
+ * @access  Private (Provider)
+ */
+router.delete('/me/services/:serviceId', removeMyService);
+
+/**
+ * @route   GET /api/provider/me/bookings
+ * @desc    List upcoming bookings with customer notes
+ * @access  Private (Provider)
+ */
+router.get('/me/bookings', validate(validateProviderBookings), getMyUpcomingBookings);
+
+export default router;
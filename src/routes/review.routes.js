@@ -1,15 +1,22 @@
 import { Router } from 'express';
 import {
   getSalonReviews,
+  getReviewableBookings,
   createSalonReview,
   getProviderReviews,
   createProviderReview,
   deleteReview,
+  reportReview,
 } from '../controllers/review.controller.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { validateReport } from '../validations/report.validation.js';
 
 const router = Router();
 
+// Completed bookings the user can still review
+router.get('/reviewable', authenticate, getReviewableBookings);
+
 // Salon reviews
 router.get('/salon', getSalonReviews);
 router.post('/salon', authenticate, createSalonReview);
@@ -21,5 +28,8 @@ router.post('/provider', authenticate, createProviderReview);
 // Delete review
 router.delete('/:type/:id', authenticate, deleteReview);
 
+// Report review
+router.post('/:type/:id/report', authenticate, validate(validateReport), reportReview);
+
 export default router;
 
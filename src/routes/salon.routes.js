@@ -30,6 +30,7 @@ const router = Router();
  * @query   {number} maxRating - Maximum average rating (0-5)
  * @query   {number} minPriceLevel - Minimum price level (1-4)
  * @query   {number} maxPriceLevel - Maximum price level (1-4)
+ * @query   {boolean} openNow - Only salons open right now
  * @query   {number} page - Page number (default: 1)
  * @query   {number} limit - Items per page (default: 20, max: 50)
  * @query   {string} sortBy - Sort field: distance | rating | price | popular | name
@@ -46,6 +47,8 @@ router.get('/', validate(validateSalonSearch), getSalons);
  * @desc    Get nearby salons (quick geo search)
  * @access  Public
  * 
+ * @query   {boolean} openNow - Only salons open right now
+ *
  * @example GET /api/salons/nearby?lat=12.9716&lng=77.5946&radius=3000&limit=10
  */
 router.get('/nearby', getNearbySalons);
@@ -13,8 +13,12 @@ import {
   toggleCommentLike,
   toggleCreatorFollow,
   getCommentReplies,
+  reportShort,
+  reportComment,
 } from '../controllers/short.controller.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { validateReport } from '../validations/report.validation.js';
 
 const router = Router();
 
@@ -27,6 +31,7 @@ router.get('/bookmarks', authenticate, getBookmarkedShorts);
 // Comment routes (must be before /:id routes)
 router.post('/comments/:commentId/like', authenticate, toggleCommentLike);
 router.get('/comments/:commentId/replies', optionalAuth, getCommentReplies);
+router.post('/comments/:commentId/report', authenticate, validate(validateReport), reportComment);
 
 // Creator follow (must be before /:id routes)
 router.post('/creators/:creatorUsername/follow', authenticate, toggleCreatorFollow);
@@ -47,5 +52,6 @@ router.post('/:id/comments', authenticate, addComment);
 // Protected routes - like and bookmark
 router.post('/:id/like', authenticate, toggleLike);
 router.post('/:id/bookmark', authenticate, toggleBookmark);
+router.post('/:id/report', authenticate, validate(validateReport), reportShort);
 
 export default router;
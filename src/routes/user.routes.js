@@ -12,8 +12,13 @@ import {
   updateAddress,
   deleteAddress,
   deleteAccount,
+  exportAccountData,
+  getNotificationPreferences,
+  updateNotificationPreferences,
 } from '../controllers/user.controller.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { validateNotificationPreferences } from '../validations/user.validation.js';
 import config from '../config/index.js';
 
 const router = Router();
@@ -79,7 +84,17 @@ router.post('/addresses', addAddress);
 router.patch('/addresses/:addressId', updateAddress);
 router.delete('/addresses/:addressId', deleteAddress);
 
+// Notification preferences
+router.get('/me/notification-preferences', getNotificationPreferences);
+router.patch(
+  '/me/notification-preferences',
+  validate(validateNotificationPreferences),
+  updateNotificationPreferences
+);
+
 // Account management
+router.get('/me/export', exportAccountData);
+router.delete('/me', deleteAccount);
 router.delete('/account', deleteAccount);
 
 export default router;
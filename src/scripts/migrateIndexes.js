@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+/**
+ * Index Migration Script
+ *
+ * Mongoose creates missing indexes on startup but never changes an index
+ * that already exists, so indexes whose options changed have to be
+ * rebuilt here. Each step checks the current index first, so the script
+ * can be run any number of times.
+ *
+ * Usage: npm run migrate
+ */
+
+// Indexes of a collection (none if it doesn't exist yet)
+const listIndexes = (collection) => collection.indexes().catch((error) => {
+  if (error.codeName === 'NamespaceNotFound') return [];
+  throw error;
+});
+
+/**
+ * Drop and recreate an index when its options don't match
+ * @param {string} collectionName - Collection holding the index
+ * @param {Object} key - Index key
+ * @param {Object} options - Index options (must include name)
+ * @param {Function} isCurrent - (existingIndex) => true if no rebuild is needed
+ */
+const rebuildIndex = async (collectionName, key, options, isCurrent) => {
+  const collection = mongoose.connection.db.collection(collectionName);
+  const indexes = await listIndexes(collection);
+
+  const existing = indexes.find((index) => index.name === options.name);
+  if (!existing) {
+    console.log(`   ${collectionName}.${options.name}: not found, created on startup`);
+    return;
+  }
+  if (isCurrent(existing)) {
+    console.log(`   ${collectionName}.${options.name}: up to date`);
+    return;
+  }
+
+  await collection.dropIndex(options.name);
+  await collection.createIndex(key, options);
+  console.log(`   ${collectionName}.${options.name}: rebuilt`);
+};
+
+/**
+ * Drop an index the models no longer define
+ * @param {string} collectionName - Collection holding the index
+ * @param {string} name - Index name
+ */
+const dropIndex = async (collectionName, name) => {
+  const collection = mongoose.connection.db.collection(collectionName);
+  const indexes = await listIndexes(collection);
+
+  if (!indexes.some((index) => index.name === name)) {
+    console.log(`   ${collectionName}.${name}: already gone`);
+    return;
+  }
+
+  await collection.dropIndex(name);
+  console.log(`   ${collectionName}.${name}: dropped`);
+};
+
+const migrateIndexes = async () => {
+  try {
+    await mongoose.connect(config.db.uri);
+    console.log('✅ Connected to MongoDB');
+
+    // Email became optional (phone OTP and social sign-in); a non-sparse
+    // unique index lets only one account exist without an email
+    await rebuildIndex(
+      'users',
+      { email: 1 },
+      { name: 'email_1', unique: true, sparse: true },
+      (index) => index.sparse === true
+    );
+
+    // OTPs expire through the purgeAt TTL index, which keeps locked-out
+    // records until the lockout ends. The old TTL on expiresAt deleted
+    // them as soon as the code expired, so it has to go; records from
+    // before purgeAt existed get one first so they are still cleaned up.
+    const { modifiedCount } = await mongoose.connection.db.collection('otps').updateMany(
+      { purgeAt: { $exists: false } },
+      [{ $set: { purgeAt: { $max: ['$expiresAt', '$lockedUntil'] } } }]
+    );
+    console.log(`   otps: purgeAt set on ${modifiedCount} record(s)`);
+    await dropIndex('otps', 'expiresAt_1');
+
+    console.log('\n🎉 Indexes migrated');
+  } catch (error) {
+    console.error('❌ Error migrating indexes:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+  }
+};
+
+migrateIndexes();
@@ -10,7 +10,7 @@ import mongoose from 'mongoose';
 import config from './config/index.js';
 import connectDB from './config/database.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
-import { emailService } from './services/index.js';
+import { emailService, schedulerService, outboxService } from './services/index.js';
 
 // Import routes
 import authRoutes from './routes/auth.routes.js';
@@ -27,6 +27,10 @@ import notificationRoutes from './routes/notification.routes.js';
 import promoCodeRoutes from './routes/promoCode.routes.js';
 import shortRoutes from './routes/short.routes.js';
 import searchRoutes from './routes/search.routes.js';
+import ownerRoutes from './routes/owner.routes.js';
+import providerSelfRoutes from './routes/providerSelf.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,6 +71,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing
+// Gateway callbacks are signed over the exact bytes sent, so keep them
+app.use('/api/payments/callback', express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -173,6 +184,10 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/promo-codes', promoCodeRoutes);
 app.use('/api/shorts', shortRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/owner', ownerRoutes);
+app.use('/api/provider', providerSelfRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling
 app.use(notFoundHandler);
@@ -185,6 +200,12 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`   Environment: ${config.env}`);
   console.log(`   Port: ${PORT}`);
   console.log(`   Health: http://localhost:${PORT}/api/health`);
+
+  // Start background jobs (reminders, review requests) and notification delivery
+  if (config.jobs.enabled) {
+    schedulerService.start();
+    outboxService.start();
+  }
 });
 
 export default app;
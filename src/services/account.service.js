@@ -0,0 +1,325 @@
+import User from '../models/User.js';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import Salon from '../models/Salon.js';
+import ServiceProvider from '../models/Provider.js';
+import Favorite from '../models/Favorite.js';
+import Notification from '../models/Notification.js';
+import OTP from '../models/OTP.js';
+import Session from '../models/Session.js';
+import DeviceToken from '../models/DeviceToken.js';
+import OutboxMessage from '../models/OutboxMessage.js';
+import { CampaignRecipient } from '../models/Campaign.js';
+import Report from '../models/Report.js';
+import AuditLog from '../models/AuditLog.js';
+import { PromoCodeUsage } from '../models/PromoCode.js';
+import { SalonReview, ProviderReview } from '../models/Review.js';
+import {
+  Short,
+  ShortLike,
+  ShortComment,
+  ShortBookmark,
+  ShortCommentLike,
+  CreatorFollow,
+} from '../models/Short.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import schedulerService from './scheduler.service.js';
+import sessionService from './session.service.js';
+import bookingPolicyService from './bookingPolicy.service.js';
+import config from '../config/index.js';
+
+/**
+ * Account Service
+ *
+ * Account deletion (erasure) and data export.
+ * - Requesting deletion deactivates the account, signs out every device,
+ *   cancels upcoming bookings and schedules the erasure after
+ *   ACCOUNT_DELETION_GRACE_DAYS. Signing in before then cancels it.
+ * - Erasure deletes the user and their personal data. Reviews and short
+ *   comments stay up but are detached from the account (anonymized).
+ *   Bookings and payments are kept as financial records, without notes
+ *   or the home-service address. Security audit entries are kept until
+ *   they expire (AUDIT_RETENTION_DAYS).
+ * - The export includes everything stored about the user, including the
+ *   messages sent to them (outbox), campaigns they were sent and their
+ *   audit entries.
+ */
+
+const CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+const deletionJobKey = (user) =>
+  `account_deletion:${user._id}:${user.deletionRequestedAt.getTime()}`;
+
+class AccountService {
+  constructor() {
+    schedulerService.registerHandler('account_deletion', (job) => this.runDeletion(job));
+  }
+
+  /**
+   * Request deletion of an account
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for the audit log)
+   * @returns {Promise<Object>} { scheduledFor, cancelledBookings }
+   */
+  async requestDeletion(user, req) {
+    if (user.deletionScheduledFor) {
+      return { scheduledFor: user.deletionScheduledFor, cancelledBookings: 0 };
+    }
+
+    // Salons need a new owner (or closing) before their owner can leave
+    const ownsSalon = await Salon.exists({ owner: user._id, isActive: true });
+    if (ownsSalon) {
+      throw new ApiError(409, 'Transfer or close your salons before deleting your account');
+    }
+
+    const cancelledBookings = await this.cancelUpcomingBookings(user._id);
+
+    const requestedAt = new Date();
+    user.deletionRequestedAt = requestedAt;
+    user.deletionScheduledFor = new Date(
+      requestedAt.getTime() + config.privacy.deletionGraceDays * 24 * 60 * 60 * 1000
+    );
+    user.isActive = false;
+    user.pushToken = undefined;
+    user.pushPlatform = undefined;
+    await user.save();
+
+    await sessionService.revokeAll(user._id, { reason: 'account_deleted' });
+    await DeviceToken.deleteMany({ user: user._id });
+
+    await schedulerService.schedule('account_deletion', {
+      key: deletionJobKey(user),
+      runAt: user.deletionScheduledFor,
+      payload: { userId: user._id.toString() },
+    });
+
+    await AuditLog.record('account_deletion_requested', { user, req });
+
+    return { scheduledFor: user.deletionScheduledFor, cancelledBookings };
+  }
+
+  /**
+   * Cancel a pending deletion and reactivate the account
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for the audit log)
+   */
+  async cancelDeletion(user, req) {
+    await schedulerService.cancel(deletionJobKey(user));
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    user.isActive = true;
+    await user.save();
+
+    await AuditLog.record('account_deletion_cancelled', { user, req });
+  }
+
+  /**
+   * Cancel a customer's upcoming bookings
+   * No cancellation fee is charged: paid bookings are refunded in full.
+   * @returns {Promise<number>} Number of bookings cancelled
+   */
+  async cancelUpcomingBookings(userId) {
+    const reason = 'Account deleted by user';
+    const bookings = await Booking.find({
+      customer: userId,
+      status: { $in: CANCELLABLE_STATUSES },
+    }).populate('salon', 'name owner');
+
+    let cancelled = 0;
+
+    for (const booking of bookings) {
+      const previousStatus = booking.status;
+      booking.transitionTo('cancelled', {
+        changedBy: userId,
+        actorRole: 'customer',
+        reason,
+      });
+
+      // Skip bookings whose status moved on (e.g. completed) since they were loaded
+      const saved = await booking.saveTransition(previousStatus).populate('salon', 'name owner');
+      if (!saved) continue;
+
+      await bookingPolicyService.completeCancellation(saved, { cancelledBy: userId, reason });
+      cancelled++;
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Job handler: erase an account whose grace period has ended
+   */
+  async runDeletion(job) {
+    const user = await User.findById(job.payload.userId);
+
+    // Already erased, or the user signed in again
+    if (!user?.deletionScheduledFor || user.deletionScheduledFor > new Date()) {
+      return;
+    }
+
+    await this.eraseUser(user);
+  }
+
+  /**
+   * Delete a user and their personal data
+   * Safe to run again if interrupted part-way.
+   * @param {Object} user - User document
+   */
+  async eraseUser(user) {
+    const userId = user._id;
+
+    await this.anonymizeReviews(userId);
+
+    await ShortComment.updateMany(
+      { user: userId },
+      { $unset: { user: '' }, isAnonymized: true }
+    );
+
+    // Take the user's likes off the like counts
+    const [likes, commentLikes] = await Promise.all([
+      ShortLike.find({ user: userId }).select('short'),
+      ShortCommentLike.find({ user: userId }).select('comment'),
+    ]);
+
+    await Short.updateMany(
+      { _id: { $in: likes.map((like) => like.short) }, likeCount: { $gt: 0 } },
+      { $inc: { likeCount: -1, likesCount: -1 } }
+    );
+    await ShortComment.updateMany(
+      { _id: { $in: commentLikes.map((like) => like.comment) }, likeCount: { $gt: 0 } },
+      { $inc: { likeCount: -1 } }
+    );
+
+    const identities = [{ user: userId }];
+    if (user.email) identities.push({ email: user.email });
+    if (user.phone) identities.push({ phone: user.phone });
+
+    await Promise.all([
+      ShortLike.deleteMany({ user: userId }),
+      ShortCommentLike.deleteMany({ user: userId }),
+      ShortBookmark.deleteMany({ user: userId }),
+      CreatorFollow.deleteMany({ follower: userId }),
+      Favorite.deleteMany({ user: userId }),
+      Notification.deleteMany({ user: userId }),
+      OTP.deleteMany({ $or: identities }),
+      Session.deleteMany({ user: userId }),
+      DeviceToken.deleteMany({ user: userId }),
+      OutboxMessage.deleteMany({ user: userId }),
+      CampaignRecipient.deleteMany({ user: userId }),
+      Report.deleteMany({ reporter: userId }),
+      PromoCodeUsage.deleteMany({ user: userId }),
+      Booking.updateMany({ customer: userId }, { $unset: { customerNotes: '', homeAddress: '' } }),
+      ServiceProvider.updateMany({ user: userId }, { isActive: false }),
+    ]);
+
+    await user.deleteOne();
+
+    await AuditLog.record('account_deleted', { user: userId });
+  }
+
+  /**
+   * Detach a user's reviews from their account
+   * Legacy reviews without a booking can clash on the
+   * { salon/provider, customer, booking } unique index once the customer
+   * is removed; those are deleted instead (which recalculates the rating).
+   */
+  async anonymizeReviews(userId) {
+    for (const Review of [SalonReview, ProviderReview]) {
+      const reviews = await Review.find({ customer: userId });
+
+      for (const review of reviews) {
+        try {
+          await Review.updateOne(
+            { _id: review._id },
+            { $unset: { customer: '' }, isAnonymized: true }
+          );
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          await review.deleteOne();
+        }
+      }
+    }
+  }
+
+  /**
+   * Collect everything stored about a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} JSON-serializable archive
+   */
+  async exportData(user) {
+    const userId = user._id;
+
+    const [
+      bookings,
+      salonReviews,
+      providerReviews,
+      favorites,
+      shortLikes,
+      shortBookmarks,
+      shortComments,
+      commentLikes,
+      follows,
+      notifications,
+      sessions,
+      devices,
+      reports,
+      promoCodeUsage,
+      messages,
+      campaigns,
+      auditLog,
+    ] = await Promise.all([
+      Booking.find({ customer: userId }).populate('salon', 'name').lean(),
+      SalonReview.find({ customer: userId }).populate('salon', 'name').lean(),
+      ProviderReview.find({ customer: userId }).populate('provider', 'name').lean(),
+      Favorite.find({ user: userId }).populate('salon', 'name').lean(),
+      ShortLike.find({ user: userId }).lean(),
+      ShortBookmark.find({ user: userId }).lean(),
+      ShortComment.find({ user: userId }).lean(),
+      ShortCommentLike.find({ user: userId }).lean(),
+      CreatorFollow.find({ follower: userId }).lean(),
+      Notification.find({ user: userId }).lean(),
+      Session.find({ user: userId }),
+      DeviceToken.find({ user: userId }).lean(),
+      Report.find({ reporter: userId }).lean(),
+      PromoCodeUsage.find({ user: userId }).populate('promoCode', 'code').lean(),
+      OutboxMessage.find({ user: userId })
+        .select('channel purpose payload status sentAt createdAt')
+        .lean(),
+      CampaignRecipient.find({ user: userId }).populate('campaign', 'title message').lean(),
+      AuditLog.find({ user: userId }).sort('-createdAt').lean(),
+    ]);
+
+    const payments = await Payment.find({ booking: { $in: bookings.map((b) => b._id) } })
+      .select('-gatewayResponse')
+      .lean();
+
+    return {
+      exportedAt: new Date(),
+      profile: user.toJSON(),
+      bookings,
+      payments,
+      reviews: { salon: salonReviews, provider: providerReviews },
+      favorites,
+      shorts: {
+        likes: shortLikes,
+        bookmarks: shortBookmarks,
+        comments: shortComments,
+        commentLikes,
+        follows,
+      },
+      notifications,
+      sessions: sessions.map((session) => session.toJSON()),
+      devices,
+      reports,
+      promoCodeUsage,
+      messages,
+      campaigns,
+      auditLog,
+    };
+  }
+}
+
+// Export singleton instance
+const accountService = new AccountService();
+export default accountService;
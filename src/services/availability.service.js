@@ -0,0 +1,550 @@
+import crypto from 'crypto';
+import Booking from '../models/Booking.js';
+import ServiceProvider from '../models/Provider.js';
+import BookingLock from '../models/BookingLock.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * Availability Service
+ *
+ * Single source of truth for "can this booking happen at this time?".
+ * A slot [start, start + duration) is available when it:
+ * - fits inside the salon's opening hours for that day (outside breaks)
+ * - fits inside the provider's weekly schedule (if a provider is requested
+ *   and has a schedule; providers without one follow salon hours)
+ * - does not overlap the provider's time off
+ * - does not overlap another active booking of the same provider
+ * - leaves room in the salon's capacity (one chair per active provider)
+ *
+ * Date-range overrides (closed days, custom hours) on the salon or provider
+ * replace the weekly hours for the days they cover.
+ *
+ * Times are "HH:MM" strings handled as minutes since midnight.
+ */
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+const CLASH_BOOKING_STATUSES = ['pending', 'confirmed'];
+const DEFAULT_CLASH_DAYS = 90;
+const DEFAULT_SLOT_INTERVAL = 30;
+const DEFAULT_SERVICE_DURATION = 30;
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRIES = 20;
+const LOCK_RETRY_DELAY_MS = 100;
+
+// =====================
+// TIME HELPERS
+// =====================
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const toTimeString = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+const fitsWithin = (start, end, windows) =>
+  windows.some(([windowStart, windowEnd]) => start >= windowStart && end <= windowEnd);
+
+// Split an opening window around break windows
+const subtractBreaks = (window, breaks) => breaks
+  .slice()
+  .sort((a, b) => a[0] - b[0])
+  .reduce((windows, [breakStart, breakEnd]) => windows.flatMap(([start, end]) => {
+    if (!overlaps(start, end, breakStart, breakEnd)) return [[start, end]];
+    return [[start, breakStart], [breakEnd, end]].filter(([s, e]) => s < e);
+  }), [window]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class AvailabilityService {
+  /**
+   * Get the [start, end) range covering a calendar day
+   * @param {Date|string} date - Any time on the day
+   */
+  getDayRange(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end };
+  }
+
+  /**
+   * Get total duration of a list of services
+   * @param {Object[]} services - Service documents with durationMinutes
+   */
+  getServicesDuration(services) {
+    const total = services.reduce(
+      (sum, s) => sum + (s.durationMinutes || 0) * (s.quantity || 1),
+      0
+    );
+    return total || DEFAULT_SERVICE_DURATION;
+  }
+
+  /**
+   * Get a booking's duration, falling back to its populated services
+   */
+  getBookingDuration(booking) {
+    if (booking.durationMinutes) return booking.durationMinutes;
+
+    return this.getServicesDuration(
+      booking.services.map((s) => ({
+        durationMinutes: s.service?.durationMinutes,
+        quantity: s.quantity,
+      }))
+    );
+  }
+
+  /**
+   * Find the override covering a date
+   * @param {Object[]} overrides - availabilityOverrides of a salon or provider
+   * @returns {Object|null}
+   */
+  getOverride(overrides, date) {
+    if (!overrides?.length) {
+      return null;
+    }
+
+    const { start } = this.getDayRange(date);
+    return overrides.find((o) => o.startDate <= start && o.endDate >= start) || null;
+  }
+
+  /**
+   * Find an existing override sharing any day with [startDate, endDate]
+   * Overrides must not overlap so each day has at most one.
+   * @returns {Object|null}
+   */
+  findOverlappingOverride(overrides, startDate, endDate) {
+    return (overrides || []).find((o) => o.startDate <= endDate && o.endDate >= startDate) || null;
+  }
+
+  /**
+   * Get the windows an override allows
+   * @returns {Array<[number, number]>} Minute ranges (empty when closed)
+   */
+  getOverrideWindows(override) {
+    if (override.type === 'closed') {
+      return [];
+    }
+    return override.windows.map((w) => [toMinutes(w.startTime), toMinutes(w.endTime)]);
+  }
+
+  /**
+   * Get salon opening windows for a date
+   * @returns {Array<[number, number]>} Minute ranges (empty when closed)
+   */
+  getSalonWindows(salon, date) {
+    const override = this.getOverride(salon.availabilityOverrides, date);
+    if (override) {
+      return this.getOverrideWindows(override);
+    }
+
+    const hours = this.getSalonDayHours(salon, new Date(date).getDay());
+    if (hours.isClosed) {
+      return [];
+    }
+
+    return subtractBreaks(
+      [toMinutes(hours.openingTime), toMinutes(hours.closingTime)],
+      hours.breaks.map((b) => [toMinutes(b.startTime), toMinutes(b.endTime)])
+    );
+  }
+
+  /**
+   * Get a salon's regular hours for a weekday
+   * Salons without weeklyHours use openingTime/closingTime every day
+   * (Sundays only when isOpenSunday).
+   * @param {number} dayOfWeek - 0 = Sunday
+   * @returns {Object} { dayOfWeek, isClosed, openingTime, closingTime, breaks }
+   */
+  getSalonDayHours(salon, dayOfWeek) {
+    if (salon.weeklyHours?.length) {
+      const entry = salon.weeklyHours.find((h) => h.dayOfWeek === dayOfWeek);
+      if (!entry || entry.isClosed) {
+        return { dayOfWeek, isClosed: true, breaks: [] };
+      }
+      return {
+        dayOfWeek,
+        isClosed: false,
+        openingTime: entry.openingTime,
+        closingTime: entry.closingTime,
+        breaks: entry.breaks || [],
+      };
+    }
+
+    if (dayOfWeek === 0 && !salon.isOpenSunday) {
+      return { dayOfWeek, isClosed: true, breaks: [] };
+    }
+
+    return {
+      dayOfWeek,
+      isClosed: false,
+      openingTime: salon.openingTime,
+      closingTime: salon.closingTime,
+      breaks: [],
+    };
+  }
+
+  /**
+   * Get a salon's regular hours for every weekday (Sunday first)
+   * @returns {Object[]}
+   */
+  getSalonWeeklyHours(salon) {
+    return [0, 1, 2, 3, 4, 5, 6].map((day) => this.getSalonDayHours(salon, day));
+  }
+
+  /**
+   * Check whether a salon is open at a moment (overrides and breaks included)
+   * @param {Date} at - Moment to check (default now)
+   * @returns {boolean}
+   */
+  isSalonOpenAt(salon, at = new Date()) {
+    const minutes = at.getHours() * 60 + at.getMinutes();
+    return this.getSalonWindows(salon, at)
+      .some(([windowStart, windowEnd]) => minutes >= windowStart && minutes < windowEnd);
+  }
+
+  /**
+   * Get provider working windows for a date
+   * @returns {Array<[number, number]>|null} Minute ranges, or null when the
+   *   provider has no weekly schedule and follows salon hours
+   */
+  getProviderWindows(provider, date) {
+    const override = this.getOverride(provider?.availabilityOverrides, date);
+    if (override) {
+      return this.getOverrideWindows(override);
+    }
+
+    if (!provider?.availability?.length) {
+      return null;
+    }
+
+    const day = new Date(date).getDay();
+
+    return provider.availability
+      .filter((a) => a.dayOfWeek === day && a.isAvailable)
+      .map((a) => [toMinutes(a.startTime), toMinutes(a.endTime)]);
+  }
+
+  /**
+   * Get a provider's time off on a date
+   * @returns {Array<[number, number]>} Minute ranges blocked on that day
+   */
+  getProviderTimeOff(provider, date) {
+    if (!provider?.timeOff?.length) {
+      return [];
+    }
+
+    const { start, end } = this.getDayRange(date);
+    const toDayMinutes = (time) => Math.round((time - start) / (60 * 1000));
+
+    return provider.timeOff
+      .filter((t) => t.startsAt < end && t.endsAt > start)
+      .map((t) => [
+        toDayMinutes(Math.max(t.startsAt, start)),
+        toDayMinutes(Math.min(t.endsAt, end)),
+      ]);
+  }
+
+  /**
+   * Get active bookings for a salon on a date as minute intervals
+   * @param {ObjectId} salonId - Salon ID
+   * @param {Date|string} date - Day to load
+   * @param {ObjectId} excludeBookingId - Booking to ignore (e.g. when rescheduling)
+   */
+  async getBookedIntervals(salonId, date, excludeBookingId) {
+    const { start, end } = this.getDayRange(date);
+
+    const query = {
+      salon: salonId,
+      bookingDate: { $gte: start, $lt: end },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    };
+
+    if (excludeBookingId) {
+      query._id = { $ne: excludeBookingId };
+    }
+
+    const bookings = await Booking.find(query)
+      .select('bookingTime durationMinutes provider services')
+      .populate('services.service', 'durationMinutes');
+
+    return bookings.map((b) => {
+      const bookingStart = toMinutes(b.bookingTime);
+      return {
+        bookingId: b._id,
+        provider: b.provider?.toString() || null,
+        start: bookingStart,
+        end: bookingStart + this.getBookingDuration(b),
+      };
+    });
+  }
+
+  /**
+   * Number of bookings a salon can serve in parallel
+   */
+  async getSalonCapacity(salonId) {
+    const providers = await ServiceProvider.countDocuments({
+      salon: salonId,
+      isActive: true,
+      isAvailable: true,
+    });
+    return Math.max(providers, 1);
+  }
+
+  /**
+   * Load everything needed to check slots for one salon/day
+   * @param {Object} params
+   * @param {Object} params.salon - Salon document
+   * @param {Date|string} params.date - Day to check
+   * @param {ObjectId} params.providerId - Optional provider
+   * @param {ObjectId} params.excludeBookingId - Optional booking to ignore
+   */
+  async getDayContext({ salon, date, providerId, excludeBookingId }) {
+    let provider = null;
+
+    if (providerId) {
+      provider = await ServiceProvider.findOne({
+        _id: providerId,
+        salon: salon._id,
+        isActive: true,
+      }).select('availability timeOff availabilityOverrides isAvailable');
+
+      if (!provider) {
+        throw new ApiError(400, 'Provider not found at this salon');
+      }
+    }
+
+    const [bookings, capacity] = await Promise.all([
+      this.getBookedIntervals(salon._id, date, excludeBookingId),
+      this.getSalonCapacity(salon._id),
+    ]);
+
+    return {
+      date: new Date(date),
+      providerId: provider?._id.toString() || null,
+      providerUnavailable: provider ? !provider.isAvailable : false,
+      salonWindows: this.getSalonWindows(salon, date),
+      providerWindows: this.getProviderWindows(provider, date),
+      providerTimeOff: this.getProviderTimeOff(provider, date),
+      bookings,
+      capacity,
+    };
+  }
+
+  /**
+   * Check a time range against the salon and provider hours of a day context
+   * (ignores other bookings)
+   * @returns {Object} { available, reason? }
+   */
+  checkSchedule(context, startMinutes, endMinutes) {
+    if (!fitsWithin(startMinutes, endMinutes, context.salonWindows)) {
+      return { available: false, reason: 'Outside salon opening hours' };
+    }
+
+    if (context.providerUnavailable) {
+      return { available: false, reason: 'Provider is not taking bookings' };
+    }
+
+    if (context.providerWindows && !fitsWithin(startMinutes, endMinutes, context.providerWindows)) {
+      return { available: false, reason: 'Provider is not working at this time' };
+    }
+
+    if (context.providerTimeOff.some(([offStart, offEnd]) => overlaps(startMinutes, endMinutes, offStart, offEnd))) {
+      return { available: false, reason: 'Provider is on time off' };
+    }
+
+    return { available: true };
+  }
+
+  /**
+   * Find upcoming bookings that no longer fit the salon's or their
+   * provider's hours (e.g. after a closure or time off was added)
+   * @param {Object} params
+   * @param {Object} params.salon - Salon document
+   * @param {ObjectId} params.providerId - Only this provider's bookings (optional)
+   * @param {Date} params.from - First day to check (default today)
+   * @param {Date} params.to - Last day to check (default 90 days ahead)
+   * @returns {Promise<Array>} [{ booking, reason }]
+   */
+  async findClashingBookings({ salon, providerId, from = new Date(), to }) {
+    const { start } = this.getDayRange(from);
+    const { end } = this.getDayRange(
+      to || new Date(start.getTime() + DEFAULT_CLASH_DAYS * 24 * 60 * 60 * 1000)
+    );
+
+    const query = {
+      salon: salon._id,
+      status: { $in: CLASH_BOOKING_STATUSES },
+      bookingDate: { $gte: start, $lt: end },
+    };
+    if (providerId) query.provider = providerId;
+
+    const [bookings, providers] = await Promise.all([
+      Booking.find(query)
+        .populate('customer', 'firstName lastName phone')
+        .populate('services.service', 'name durationMinutes')
+        .select('-statusHistory')
+        .sort('bookingDate bookingTime'),
+      ServiceProvider.find({ salon: salon._id })
+        .select('name availability timeOff availabilityOverrides'),
+    ]);
+
+    const providersById = new Map(providers.map((p) => [p._id.toString(), p]));
+
+    return bookings.reduce((clashes, booking) => {
+      const provider = booking.provider ? providersById.get(booking.provider.toString()) : null;
+      const context = {
+        salonWindows: this.getSalonWindows(salon, booking.bookingDate),
+        // Pausing new bookings doesn't affect existing ones
+        providerUnavailable: false,
+        providerWindows: this.getProviderWindows(provider, booking.bookingDate),
+        providerTimeOff: this.getProviderTimeOff(provider, booking.bookingDate),
+      };
+
+      const bookingStart = toMinutes(booking.bookingTime);
+      const result = this.checkSchedule(
+        context,
+        bookingStart,
+        bookingStart + this.getBookingDuration(booking)
+      );
+
+      if (!result.available) {
+        clashes.push({ booking, reason: result.reason });
+      }
+      return clashes;
+    }, []);
+  }
+
+  /**
+   * Check a single slot against a day context
+   * @returns {Object} { available, reason? }
+   */
+  checkSlot(context, startMinutes, durationMinutes) {
+    const end = startMinutes + durationMinutes;
+
+    const { start: today } = this.getDayRange(new Date());
+    const { start: day } = this.getDayRange(context.date);
+    if (day < today) {
+      return { available: false, reason: 'Date has passed' };
+    }
+    if (day.getTime() === today.getTime()) {
+      const now = new Date();
+      if (startMinutes < now.getHours() * 60 + now.getMinutes()) {
+        return { available: false, reason: 'Time has passed' };
+      }
+    }
+
+    const schedule = this.checkSchedule(context, startMinutes, end);
+    if (!schedule.available) {
+      return schedule;
+    }
+
+    const overlapping = context.bookings.filter((b) => overlaps(startMinutes, end, b.start, b.end));
+
+    if (context.providerId && overlapping.some((b) => b.provider === context.providerId)) {
+      return { available: false, reason: 'Provider is already booked at this time' };
+    }
+
+    if (overlapping.length >= context.capacity) {
+      return { available: false, reason: 'Salon is fully booked at this time' };
+    }
+
+    return { available: true };
+  }
+
+  /**
+   * Get bookable start times for a salon/day
+   * @param {Object} params - See getDayContext, plus:
+   * @param {number} params.durationMinutes - Length of the requested services
+   * @param {number} params.interval - Minutes between slot start times
+   * @returns {Promise<Object>} { isOpen, slots: [{ time, available, reason? }] }
+   */
+  async getAvailableSlots({
+    durationMinutes = DEFAULT_SERVICE_DURATION,
+    interval = DEFAULT_SLOT_INTERVAL,
+    ...params
+  }) {
+    const context = await this.getDayContext(params);
+
+    const slots = [];
+
+    context.salonWindows.forEach(([windowStart, windowEnd]) => {
+      for (let current = windowStart; current < windowEnd; current += interval) {
+        slots.push({
+          time: toTimeString(current),
+          ...this.checkSlot(context, current, durationMinutes),
+        });
+      }
+    });
+
+    return {
+      isOpen: context.salonWindows.length > 0,
+      slots,
+    };
+  }
+
+  /**
+   * Check if a booking can be placed at a specific time
+   * @param {Object} params - See getDayContext, plus time and durationMinutes
+   * @returns {Promise<Object>} { available, reason? }
+   */
+  async checkAvailability({ time, durationMinutes = DEFAULT_SERVICE_DURATION, ...params }) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+      return { available: false, reason: 'Time must be in HH:MM format' };
+    }
+
+    const context = await this.getDayContext(params);
+    return this.checkSlot(context, toMinutes(time), durationMinutes);
+  }
+
+  /**
+   * Run fn while holding the booking lock for a salon/day
+   * Serializes the check-then-insert of concurrent bookings so two
+   * customers cannot take the same slot.
+   * @param {ObjectId} salonId - Salon ID
+   * @param {Date|string} date - Booking day
+   * @param {Function} fn - Async work to run under the lock
+   */
+  async withSlotLock(salonId, date, fn) {
+    const { start } = this.getDayRange(date);
+    const key = `${salonId}:${start.getTime()}`;
+    const token = crypto.randomUUID();
+
+    let acquired = false;
+    for (let attempt = 0; attempt < LOCK_RETRIES && !acquired; attempt++) {
+      try {
+        // Take the lock if it is free or its holder's lease has expired
+        await BookingLock.findOneAndUpdate(
+          { key, expiresAt: { $lte: new Date() } },
+          { key, token, expiresAt: new Date(Date.now() + LOCK_TTL_MS) },
+          { upsert: true }
+        );
+        acquired = true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        await sleep(LOCK_RETRY_DELAY_MS);
+      }
+    }
+
+    if (!acquired) {
+      throw new ApiError(409, 'This time slot is being booked, please try again');
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await BookingLock.deleteOne({ key, token });
+    }
+  }
+}
+
+// Export singleton instance
+const availabilityService = new AvailabilityService();
+export default availabilityService;
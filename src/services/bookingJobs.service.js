@@ -0,0 +1,179 @@
+import Booking from '../models/Booking.js';
+import Notification from '../models/Notification.js';
+import { SalonReview } from '../models/Review.js';
+import schedulerService from './scheduler.service.js';
+import notificationService from './notification.service.js';
+import config from '../config/index.js';
+
+/**
+ * Booking Jobs Service
+ *
+ * Schedules and runs booking follow-ups on the job scheduler:
+ * - booking_reminder: sent at each configured offset before the appointment
+ * - review_request: sent a while after the booking is completed
+ *
+ * Job keys include the booking ID (and appointment time for reminders), so
+ * scheduling twice is a no-op. Handlers record an in-app Notification keyed
+ * by the job key as 'pending' before sending and mark it 'sent' afterwards:
+ * a retried job skips notifications that were sent and resumes pending
+ * ones, so the customer is notified once even if a send failed or the
+ * instance died mid-run.
+ */
+
+const REMINDABLE_STATUSES = ['pending', 'confirmed'];
+
+class BookingJobsService {
+  constructor() {
+    schedulerService.registerHandler('booking_reminder', (job) => this.runReminder(job));
+    schedulerService.registerHandler('review_request', (job) => this.runReviewRequest(job));
+  }
+
+  /**
+   * Schedule reminders for a booking at the configured offsets
+   * Offsets that are already in the past are skipped.
+   * @param {Object} booking - Booking document
+   */
+  async scheduleReminders(booking) {
+    const startsAt = booking.getStartsAt();
+
+    const jobs = config.jobs.reminderOffsetsMinutes
+      .map((minutesBefore) => ({
+        minutesBefore,
+        runAt: new Date(startsAt.getTime() - minutesBefore * 60 * 1000),
+      }))
+      .filter(({ runAt }) => runAt > new Date());
+
+    return Promise.all(jobs.map(({ minutesBefore, runAt }) =>
+      schedulerService.schedule('booking_reminder', {
+        key: `booking_reminder:${booking._id}:${startsAt.getTime()}:${minutesBefore}`,
+        runAt,
+        relatedBooking: booking._id,
+        payload: { minutesBefore, startsAt: startsAt.toISOString() },
+      })
+    ));
+  }
+
+  /**
+   * Schedule the review request for a completed booking
+   * @param {Object} booking - Booking document
+   */
+  async scheduleReviewRequest(booking) {
+    return schedulerService.schedule('review_request', {
+      key: `review_request:${booking._id}`,
+      runAt: new Date(Date.now() + config.jobs.reviewRequestDelayMinutes * 60 * 1000),
+      relatedBooking: booking._id,
+    });
+  }
+
+  /**
+   * Cancel pending reminders (e.g. when the booking is cancelled)
+   * @param {ObjectId} bookingId - Booking ID
+   */
+  async cancelReminders(bookingId) {
+    return schedulerService.cancelForBooking(bookingId, 'booking_reminder');
+  }
+
+  /**
+   * Create the in-app notification for a job (or find the one an earlier
+   * run left pending)
+   * @returns {Promise<Object|null>} The notification, or null if this job
+   *   already notified the user
+   */
+  async recordNotification(job, notification) {
+    try {
+      return await Notification.create({
+        ...notification,
+        relatedBooking: job.relatedBooking,
+        data: { ...notification.data, jobKey: job.key, jobStatus: 'pending' },
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return Notification.findOne({ 'data.jobKey': job.key, 'data.jobStatus': 'pending' });
+    }
+  }
+
+  /**
+   * Mark a job's notification as sent once every message was queued
+   * Throws otherwise, so the scheduler retries the job (which may queue the
+   * channels that did go through again).
+   * @param {Object} notification - Notification from recordNotification
+   * @param {Object|Object[]} results - Send results per channel
+   */
+  async completeNotification(notification, results) {
+    const failed = [].concat(results).filter((result) => result?.success === false && result.error);
+    if (failed.length) {
+      throw new Error(`Failed to queue ${failed.map((result) => result.channel).join(', ')}: ${failed[0].error}`);
+    }
+
+    await Notification.updateOne({ _id: notification._id }, { 'data.jobStatus': 'sent' });
+  }
+
+  /**
+   * Job handler: send a booking reminder
+   */
+  async runReminder(job) {
+    const booking = await Booking.findById(job.relatedBooking)
+      .populate('salon', 'name')
+      .populate('customer', 'firstName email phone notificationPreferences timezone language');
+
+    if (!booking || !booking.customer || !REMINDABLE_STATUSES.includes(booking.status)) {
+      return;
+    }
+
+    // The appointment moved since this reminder was scheduled
+    if (booking.getStartsAt().toISOString() !== job.payload.startsAt) {
+      return;
+    }
+
+    const { minutesBefore } = job.payload;
+
+    const notification = await this.recordNotification(job, {
+      user: booking.customer._id,
+      title: 'Appointment Reminder',
+      message: `Your appointment at ${booking.salon?.name || 'the salon'} is on ${booking.bookingDate.toDateString()} at ${booking.bookingTime}.`,
+      notificationType: 'booking_reminder',
+      data: { minutesBefore },
+    });
+
+    if (!notification) return;
+
+    const results = await notificationService.sendBookingReminder(booking.customer, booking, minutesBefore);
+    await this.completeNotification(notification, results);
+  }
+
+  /**
+   * Job handler: ask the customer to review a completed booking
+   */
+  async runReviewRequest(job) {
+    const booking = await Booking.findById(job.relatedBooking)
+      .populate('salon', 'name')
+      .populate('customer', 'notificationPreferences timezone');
+
+    if (!booking || !booking.customer || booking.status !== 'completed') {
+      return;
+    }
+
+    const alreadyReviewed = await SalonReview.exists({ booking: booking._id });
+    if (alreadyReviewed) {
+      return;
+    }
+
+    const salonName = booking.salon?.name || 'the salon';
+
+    const notification = await this.recordNotification(job, {
+      user: booking.customer._id,
+      title: 'How was your visit?',
+      message: `Tell us how your appointment at ${salonName} went. Your review helps others choose.`,
+      notificationType: 'review_request',
+    });
+
+    if (!notification) return;
+
+    const result = await notificationService.sendReviewRequest(booking.customer, booking);
+    await this.completeNotification(notification, result);
+  }
+}
+
+// Export singleton instance
+const bookingJobsService = new BookingJobsService();
+export default bookingJobsService;
@@ -0,0 +1,197 @@
+import Payment from '../models/Payment.js';
+import PromoCode from '../models/PromoCode.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import paymentService from './payment.service.js';
+import bookingJobsService from './bookingJobs.service.js';
+import notificationService from './notification.service.js';
+
+/**
+ * Booking Policy Service
+ *
+ * Applies a salon's bookingPolicy to cancellations and no-shows:
+ * - Customers cancel for free until freeCancellationHours before the
+ *   appointment; later cancellations cost cancellationFeePercent of the
+ *   booking amount. Cancellations by the salon are always free.
+ * - No-shows cost noShowFeePercent of the booking amount.
+ *
+ * The fee is stored on the booking (cancellationFee). When a cancelled
+ * booking was already paid, everything above the fee is refunded. No-show
+ * fees are recorded only; refunds for them stay with the salon.
+ *
+ * completeCancellation() runs everything that follows a cancellation
+ * (promo release, refund, reminders, notifications), whoever cancelled.
+ */
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class BookingPolicyService {
+  /**
+   * Work out the fee for cancelling a booking now
+   * @param {Object} booking - Booking document
+   * @param {Object} salon - Salon document (with bookingPolicy)
+   * @param {string} actorRole - Who is cancelling
+   * @param {Date} at - Time of cancellation (default now)
+   * @returns {Object} { fee, feePercent, freeCancellationUntil }
+   */
+  getCancellationFee(booking, salon, actorRole, at = new Date()) {
+    const { freeCancellationHours, cancellationFeePercent } = salon.bookingPolicy;
+
+    const freeCancellationUntil = new Date(
+      booking.getStartsAt().getTime() - freeCancellationHours * 60 * 60 * 1000
+    );
+
+    const isLate = actorRole === 'customer' && at > freeCancellationUntil;
+    const feePercent = isLate ? cancellationFeePercent : 0;
+
+    return {
+      fee: roundAmount(booking.finalAmount * feePercent / 100),
+      feePercent,
+      freeCancellationUntil,
+    };
+  }
+
+  /**
+   * Get the fee for a no-show
+   * @returns {Object} { fee, feePercent }
+   */
+  getNoShowFee(booking, salon) {
+    const feePercent = salon.bookingPolicy.noShowFeePercent;
+
+    return {
+      fee: roundAmount(booking.finalAmount * feePercent / 100),
+      feePercent,
+    };
+  }
+
+  /**
+   * Record a fee on the booking (not saved)
+   * @param {Object} booking - Booking document
+   * @param {string} reason - late_cancellation | no_show
+   * @param {Object} fee - { fee, feePercent }
+   */
+  applyFee(booking, reason, { fee, feePercent }) {
+    if (fee <= 0) return;
+
+    booking.cancellationFee = {
+      reason,
+      percent: feePercent,
+      amount: fee,
+      assessedAt: new Date(),
+    };
+  }
+
+  /**
+   * Amount of a payment that can go back to the customer once the fee is kept
+   * @param {Object} payment - Payment document (or null)
+   * @param {number} fee - Fee the salon keeps
+   */
+  getRefundableAfterFee(payment, fee = 0) {
+    if (!payment || !REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      return 0;
+    }
+    return Math.max(0, roundAmount(payment.refundableAmount - fee));
+  }
+
+  /**
+   * Preview of cancelling a booking now
+   * @returns {Promise<Object>} { fee, feePercent, freeCancellationUntil, paidAmount, refundAmount }
+   */
+  async getCancellationQuote(booking, salon, actorRole) {
+    const quote = this.getCancellationFee(booking, salon, actorRole);
+    const payment = await Payment.findOne({ booking: booking._id });
+
+    return {
+      ...quote,
+      paidAmount: this.getRefundableAfterFee(payment),
+      refundAmount: this.getRefundableAfterFee(payment, quote.fee),
+    };
+  }
+
+  /**
+   * Refund a cancelled booking's payment, keeping the fee
+   * Refund failures are logged and left for the salon to retry manually.
+   * @param {Object} booking - Cancelled booking document
+   * @param {ObjectId} refundedBy - User who cancelled
+   * @returns {Promise<number>} Amount refunded
+   */
+  async refundCancelledBooking(booking, refundedBy) {
+    const payment = await Payment.findOne({ booking: booking._id });
+    const amount = this.getRefundableAfterFee(payment, booking.cancellationFee?.amount);
+
+    if (amount <= 0) {
+      return 0;
+    }
+
+    try {
+      await paymentService.refund(payment, {
+        amount,
+        reason: 'Booking cancelled',
+        refundedBy,
+      });
+      return amount;
+    } catch (error) {
+      console.error('Failed to refund cancelled booking:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Follow up on a booking that was just cancelled
+   * Gives the promo code use back, refunds the payment less any fee, drops
+   * pending reminders and tells the customer and the salon owner (unless
+   * they cancelled it themselves).
+   * @param {Object} booking - Cancelled booking (salon populated with name and owner)
+   * @param {Object} options
+   * @param {ObjectId} options.cancelledBy - User who cancelled
+   * @param {string} options.reason - Cancellation reason
+   * @returns {Promise<number>} Amount refunded
+   */
+  async completeCancellation(booking, { cancelledBy, reason = '' } = {}) {
+    if (booking.promoCode) {
+      await PromoCode.releaseUsage(booking.promoCode, booking.customer, booking._id);
+    }
+
+    const refundAmount = await this.refundCancelledBooking(booking, cancelledBy);
+
+    await bookingJobsService.cancelReminders(booking._id);
+
+    const fee = booking.cancellationFee?.amount;
+
+    await Notification.create({
+      user: booking.customer,
+      title: 'Booking Cancelled',
+      message: `Your booking #${booking.bookingNumber} has been cancelled.${fee ? ` A late cancellation fee of ₹${fee} applies.` : ''}`,
+      notificationType: 'booking_cancelled',
+      relatedBooking: booking._id,
+    });
+
+    try {
+      const customer = await User.findById(booking.customer);
+      if (customer) {
+        await notificationService.sendBookingCancellation(customer, booking, reason);
+      }
+    } catch (error) {
+      console.error('Failed to send cancellation notification:', error.message);
+    }
+
+    const owner = booking.salon?.owner;
+    if (owner && owner.toString() !== cancelledBy?.toString()) {
+      await Notification.create({
+        user: owner,
+        title: 'Booking Cancelled',
+        message: `Booking #${booking.bookingNumber} at ${booking.salon.name} on ${booking.bookingDate.toDateString()} at ${booking.bookingTime} has been cancelled.`,
+        notificationType: 'booking_cancelled',
+        relatedBooking: booking._id,
+      });
+    }
+
+    return refundAmount;
+  }
+}
+
+// Export singleton instance
+const bookingPolicyService = new BookingPolicyService();
+export default bookingPolicyService;
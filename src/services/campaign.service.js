@@ -0,0 +1,393 @@
+import Campaign, { CampaignRecipient } from '../models/Campaign.js';
+import User from '../models/User.js';
+import Booking from '../models/Booking.js';
+import Salon from '../models/Salon.js';
+import Favorite from '../models/Favorite.js';
+import PromoCode from '../models/PromoCode.js';
+import { City } from '../models/Location.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import schedulerService from './scheduler.service.js';
+import outboxService from './outbox.service.js';
+import notificationService from './notification.service.js';
+import config from '../config/index.js';
+
+/**
+ * Campaign Service
+ *
+ * Broadcasts promo campaigns to a targeted audience of customers.
+ * - The audience is resolved batch by batch (CAMPAIGN_BATCH_SIZE customers
+ *   in _id order, continuing after the campaign's cursor), with a
+ *   campaign_batch job per batch spaced CAMPAIGN_BATCH_INTERVAL_SECONDS
+ *   apart, so a large campaign doesn't flood the outbox or the providers
+ * - Each customer gets a CampaignRecipient before anything is queued, so a
+ *   batch that is retried after a restart never messages anyone twice
+ * - Messages go through the outbox; its delivery outcomes are counted on
+ *   the campaign (delivered, skipped, failed)
+ * - Opens are recorded once per recipient, from the push (reported by the
+ *   app) or the email tracking pixel
+ */
+
+const SENDABLE_STATUSES = ['scheduled', 'sending'];
+
+const OUTCOME_STATS = {
+  sent: 'stats.delivered',
+  skipped: 'stats.skipped',
+  failed: 'stats.failed',
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CampaignService {
+  constructor() {
+    schedulerService.registerHandler('campaign_batch', (job) => this.runBatch(job));
+    outboxService.registerListener((message) => this.recordOutcome(message));
+  }
+
+  // =====================
+  // Audience
+  // =====================
+
+  /**
+   * Build the customer query for an audience
+   * @param {Object} audience - Campaign audience (see Campaign model)
+   * @returns {Promise<Object[]>} Conditions that must all match
+   */
+  async buildAudienceConditions(audience = {}) {
+    const conditions = [{ role: 'customer', isActive: true }];
+
+    if (audience.genders?.length) {
+      conditions.push({ gender: { $in: audience.genders } });
+    }
+
+    if (audience.cities?.length) {
+      const [cities, salonIds] = await Promise.all([
+        City.find({ _id: { $in: audience.cities } }).select('name'),
+        Salon.distinct('_id', { city: { $in: audience.cities } }),
+      ]);
+      const customers = await Booking.distinct('customer', { salon: { $in: salonIds } });
+      // Addresses hold the city name as typed
+      const names = cities.map((city) => new RegExp(`^${escapeRegex(city.name)}$`, 'i'));
+
+      conditions.push({
+        $or: [
+          { _id: { $in: customers } },
+          { 'address.city': { $in: names } },
+          { 'addresses.city': { $in: names } },
+        ],
+      });
+    }
+
+    if (audience.areas?.length) {
+      const salonIds = await Salon.distinct('_id', { area: { $in: audience.areas } });
+      const customers = await Booking.distinct('customer', { salon: { $in: salonIds } });
+      conditions.push({ _id: { $in: customers } });
+    }
+
+    if (audience.bookedAtSalons?.length) {
+      const customers = await Booking.distinct('customer', {
+        salon: { $in: audience.bookedAtSalons },
+        status: 'completed',
+      });
+      conditions.push({ _id: { $in: customers } });
+    }
+
+    if (audience.favoritedSalons?.length) {
+      const customers = await Favorite.distinct('user', { salon: { $in: audience.favoritedSalons } });
+      conditions.push({ _id: { $in: customers } });
+    }
+
+    if (audience.inactiveDays) {
+      const cutoff = new Date(Date.now() - audience.inactiveDays * 24 * 60 * 60 * 1000);
+      const activeCustomers = await Booking.distinct('customer', { createdAt: { $gte: cutoff } });
+      // Customers who signed up within the window haven't had the chance to book
+      conditions.push({ _id: { $nin: activeCustomers }, createdAt: { $lt: cutoff } });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Count the customers an audience currently matches
+   * @param {Object} audience - Campaign audience
+   * @returns {Promise<number>}
+   */
+  async countAudience(audience) {
+    const conditions = await this.buildAudienceConditions(audience);
+    return User.countDocuments({ $and: conditions });
+  }
+
+  // =====================
+  // Managing campaigns
+  // =====================
+
+  /**
+   * Make sure a promo code can still be advertised
+   * @param {ObjectId} promoCodeId - Promo code ID
+   */
+  async checkPromoCode(promoCodeId) {
+    const promoCode = await PromoCode.findById(promoCodeId).select('isActive validUntil');
+
+    if (!promoCode) {
+      throw new ApiError(404, 'Promo code not found');
+    }
+    if (!promoCode.isActive || promoCode.validUntil < new Date()) {
+      throw new ApiError(400, 'Promo code is inactive or expired');
+    }
+  }
+
+  /**
+   * Create a campaign and schedule its first batch
+   * @param {Object} data - name, title, message, promoCode, channels, audience, scheduledFor
+   * @param {ObjectId} adminId - Creating admin
+   * @returns {Promise<Object>} The campaign
+   */
+  async create(data, adminId) {
+    if (data.promoCode) {
+      await this.checkPromoCode(data.promoCode);
+    }
+
+    const campaign = await Campaign.create({
+      ...data,
+      scheduledFor: data.scheduledFor || new Date(),
+      createdBy: adminId,
+    });
+
+    await this.scheduleStart(campaign);
+    return campaign;
+  }
+
+  /**
+   * Update a campaign that hasn't started sending yet
+   * @param {ObjectId} campaignId - Campaign ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} The campaign
+   */
+  async update(campaignId, changes) {
+    const campaign = await this.findScheduled(campaignId);
+
+    if (changes.promoCode) {
+      await this.checkPromoCode(changes.promoCode);
+    }
+
+    const previousStartKey = this.startKey(campaign);
+    Object.assign(campaign, changes);
+    await campaign.save();
+
+    if (this.startKey(campaign) !== previousStartKey) {
+      await schedulerService.cancel(previousStartKey);
+      await this.scheduleStart(campaign);
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Cancel a campaign; batches that haven't run yet are not sent
+   * @param {ObjectId} campaignId - Campaign ID
+   * @returns {Promise<Object>} The campaign
+   */
+  async cancel(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: SENDABLE_STATUSES } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!campaign) {
+      const exists = await Campaign.exists({ _id: campaignId });
+      throw exists
+        ? new ApiError(409, 'Only scheduled or sending campaigns can be cancelled')
+        : new ApiError(404, 'Campaign not found');
+    }
+
+    await schedulerService.cancel(this.startKey(campaign));
+    return campaign;
+  }
+
+  /**
+   * Find a campaign that can still be edited
+   */
+  async findScheduled(campaignId) {
+    const campaign = await Campaign.findById(campaignId);
+
+    if (!campaign) {
+      throw new ApiError(404, 'Campaign not found');
+    }
+    if (campaign.status !== 'scheduled') {
+      throw new ApiError(409, 'Only scheduled campaigns can be changed');
+    }
+
+    return campaign;
+  }
+
+  // =====================
+  // Sending
+  // =====================
+
+  /**
+   * Job key of a campaign's first batch
+   */
+  startKey(campaign) {
+    return `campaign_batch:${campaign._id}:start:${campaign.scheduledFor.getTime()}`;
+  }
+
+  /**
+   * Schedule the first batch at the campaign's start time
+   */
+  async scheduleStart(campaign) {
+    return schedulerService.schedule('campaign_batch', {
+      key: this.startKey(campaign),
+      runAt: campaign.scheduledFor,
+      payload: { campaignId: campaign._id },
+    });
+  }
+
+  /**
+   * Email open-tracking pixel for a recipient (none without PUBLIC_API_URL)
+   */
+  openUrl(recipient) {
+    const baseUrl = config.campaigns.publicApiUrl.replace(/\/$/, '');
+    return baseUrl
+      ? `${baseUrl}/api/notifications/campaigns/open/${recipient._id}.gif`
+      : undefined;
+  }
+
+  /**
+   * Job handler: send the next batch of a campaign
+   */
+  async runBatch(job) {
+    const campaign = await Campaign.findById(job.payload.campaignId)
+      .populate('promoCode', 'code validUntil isActive');
+
+    if (!campaign || !SENDABLE_STATUSES.includes(campaign.status)) {
+      return;
+    }
+
+    // Moved to a later time since this job was scheduled
+    if (campaign.status === 'scheduled' && campaign.scheduledFor > new Date()) {
+      return;
+    }
+
+    const { promoCode } = campaign;
+    if (promoCode && (!promoCode.isActive || promoCode.validUntil < new Date())) {
+      console.warn(`📣 Campaign ${campaign._id} cancelled: promo code ${promoCode.code} is no longer valid`);
+      await Campaign.updateOne(
+        { _id: campaign._id, status: { $in: SENDABLE_STATUSES } },
+        { status: 'cancelled', cancelledAt: new Date() }
+      );
+      return;
+    }
+
+    if (campaign.status === 'scheduled') {
+      campaign.status = 'sending';
+      campaign.startedAt = new Date();
+      await campaign.save();
+    }
+
+    const conditions = await this.buildAudienceConditions(campaign.audience);
+    if (campaign.cursor) {
+      conditions.push({ _id: { $gt: campaign.cursor } });
+    }
+
+    const { batchSize, batchIntervalSeconds } = config.campaigns;
+    const users = await User.find({ $and: conditions })
+      .sort('_id')
+      .limit(batchSize)
+      .select('firstName username email phone language timezone notificationPreferences');
+
+    const promo = {
+      title: campaign.title,
+      message: campaign.message,
+      code: promoCode?.code,
+      validUntil: promoCode?.validUntil,
+    };
+
+    let recipients = 0;
+    let queued = 0;
+
+    for (const user of users) {
+      const recipient = await this.addRecipient(campaign._id, user._id);
+      if (!recipient) continue;
+
+      const results = await notificationService.sendPromoNotification(user, promo, {
+        channels: campaign.channels,
+        campaign: campaign._id,
+        openUrl: this.openUrl(recipient),
+      });
+
+      recipient.channels = results.filter((result) => result.queued).map((result) => result.channel);
+      await recipient.save();
+
+      recipients++;
+      queued += recipient.channels.length;
+    }
+
+    const update = { $inc: { 'stats.recipients': recipients, 'stats.queued': queued } };
+    if (users.length) update.cursor = users[users.length - 1]._id;
+    await Campaign.updateOne({ _id: campaign._id }, update);
+
+    if (users.length < batchSize) {
+      // Don't overwrite a cancellation made while the batch was sending
+      await Campaign.updateOne(
+        { _id: campaign._id, status: 'sending' },
+        { status: 'sent', sentAt: new Date() }
+      );
+      return;
+    }
+
+    await schedulerService.schedule('campaign_batch', {
+      key: `campaign_batch:${campaign._id}:${update.cursor}`,
+      runAt: new Date(Date.now() + batchIntervalSeconds * 1000),
+      payload: { campaignId: campaign._id },
+    });
+  }
+
+  /**
+   * Record that a customer is being sent a campaign
+   * @returns {Promise<Object|null>} The recipient, or null if they already were
+   */
+  async addRecipient(campaignId, userId) {
+    try {
+      return await CampaignRecipient.create({ campaign: campaignId, user: userId });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // =====================
+  // Tracking
+  // =====================
+
+  /**
+   * Outbox listener: count a campaign message's delivery outcome
+   * @param {Object} message - OutboxMessage that was sent, skipped or failed
+   */
+  async recordOutcome(message) {
+    const field = OUTCOME_STATS[message.status];
+    if (!message.campaign || !field) return;
+
+    await Campaign.updateOne({ _id: message.campaign }, { $inc: { [field]: 1 } });
+  }
+
+  /**
+   * Record that a recipient opened a campaign (counted once)
+   * @param {Object} filter - { _id } of the recipient, or { campaign, user }
+   * @returns {Promise<boolean>} true if this was the first open
+   */
+  async recordOpen(filter) {
+    const recipient = await CampaignRecipient.findOneAndUpdate(
+      { ...filter, openedAt: { $exists: false } },
+      { openedAt: new Date() }
+    );
+
+    if (!recipient) return false;
+
+    await Campaign.updateOne({ _id: recipient.campaign }, { $inc: { 'stats.opened': 1 } });
+    return true;
+  }
+}
+
+// Export singleton instance
+const campaignService = new CampaignService();
+export default campaignService;
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import config from '../../config/index.js';
+
+/**
+ * Fake Payment Gateway
+ *
+ * Local adapter used in development and tests. No money moves: payments are
+ * put into 'processing' and settled by posting a signed callback to
+ * POST /api/payments/callback/fake, e.g.
+ *
+ *   { "transactionId": "fake_txn_...", "status": "completed", "amount": 499 }
+ *
+ * with header `x-fake-signature: <signPayload(body)>`, signed over the
+ * exact JSON text that is sent.
+ */
+
+class FakeGateway {
+  constructor() {
+    this.name = 'fake';
+  }
+
+  /**
+   * Sign a callback body with the webhook secret (HMAC-SHA256)
+   * @param {string|Buffer} payload - Body exactly as sent
+   * @returns {string} Hex signature
+   */
+  signPayload(payload) {
+    return crypto
+      .createHmac('sha256', config.payment.webhookSecret)
+      .update(payload)
+      .digest('hex');
+  }
+
+  /**
+   * Start a payment with the gateway
+   * @param {Object} params
+   * @param {Object} params.payment - Payment document
+   * @returns {Promise<Object>} { transactionId, status, checkout }
+   */
+  async createPayment({ payment }) {
+    const transactionId = `fake_txn_${crypto.randomBytes(8).toString('hex')}`;
+
+    return {
+      transactionId,
+      status: 'processing',
+      checkout: {
+        gateway: this.name,
+        transactionId,
+        amount: payment.amount,
+        currency: config.payment.currency,
+      },
+    };
+  }
+
+  /**
+   * Verify that a callback was sent by the gateway
+   * @param {Object} headers - Request headers
+   * @param {Buffer} rawBody - Request body as received
+   * @returns {boolean}
+   */
+  verifyCallback(headers, rawBody) {
+    const signature = headers['x-fake-signature'];
+    if (!signature) return false;
+
+    const expected = this.signPayload(rawBody);
+    if (signature.length !== expected.length) return false;
+
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  /**
+   * Normalize a callback body
+   * @param {Object} body - Parsed request body
+   * @returns {Object} { transactionId, status: 'completed' | 'failed', amount, failureReason }
+   */
+  parseCallback(body) {
+    return {
+      transactionId: body.transactionId,
+      status: body.status === 'completed' ? 'completed' : 'failed',
+      amount: body.amount !== undefined ? Number(body.amount) : undefined,
+      failureReason: body.failureReason,
+    };
+  }
+
+  /**
+   * Refund a settled payment (full or partial)
+   * @param {Object} params
+   * @param {Object} params.payment - Payment document
+   * @param {number} params.amount - Amount to refund
+   * @returns {Promise<Object>} { success, refundId }
+   */
+  async refund({ payment, amount }) {
+    return {
+      success: true,
+      refundId: `fake_rfnd_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      transactionId: payment.transactionId,
+    };
+  }
+}
+
+export default FakeGateway;
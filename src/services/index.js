@@ -5,8 +5,17 @@
  */
 
 export { default as emailService } from './email.service.js';
+export { default as templateService } from './template.service.js';
 export { default as notificationService } from './notification.service.js';
 export { default as pushService } from './push.service.js';
-
-
-
+export { default as paymentService } from './payment.service.js';
+export { default as availabilityService } from './availability.service.js';
+export { default as schedulerService } from './scheduler.service.js';
+export { default as outboxService } from './outbox.service.js';
+export { default as bookingJobsService } from './bookingJobs.service.js';
+export { default as campaignService } from './campaign.service.js';
+export { default as reportService } from './report.service.js';
+export { default as sessionService } from './session.service.js';
+export { default as socialAuthService } from './socialAuth.service.js';
+export { default as accountService } from './account.service.js';
+export { default as bookingPolicyService } from './bookingPolicy.service.js';
@@ -1,5 +1,7 @@
 import emailService from './email.service.js';
 import pushService from './push.service.js';
+import outboxService from './outbox.service.js';
+import templateService from './template.service.js';
 import config from '../config/index.js';
 
 /**
@@ -11,9 +13,35 @@ import config from '../config/index.js';
  * - Push Notifications (using Expo Push - free & unlimited)
  * 
  * In development mode, all notifications are logged to console.
+ *
+ * Booking, reminder, promo and social notifications follow the user's
+ * notificationPreferences (per channel); push and SMS that fall in the
+ * user's quiet hours are held until they end. OTPs always go out.
+ *
+ * Booking and review notifications are queued in the outbox and delivered
+ * (with retries) by the outbox worker, using the adapters registered
+ * below. OTPs are sent right away.
+ *
+ * Email and SMS text comes from the templates in src/templates, in the
+ * user's language.
  */
 
+// Dates in emails and SMS are formatted for the user's language
+const formatDate = (date, language, options) =>
+  new Date(date).toLocaleDateString(`${language || 'en'}-IN`, options);
+
+const LONG_DATE = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+const SHORT_DATE = { weekday: 'short', day: 'numeric', month: 'short' };
+
 class NotificationService {
+  constructor() {
+    outboxService.registerAdapter('email', (payload) => emailService.sendEmail(payload));
+    outboxService.registerAdapter('sms', ({ phone, message }) => this.sendSms(phone, message));
+    outboxService.registerAdapter('push', ({ userId, notification }) =>
+      pushService.sendToUser(userId, notification)
+    );
+  }
+
   /**
    * Send OTP to user
    * @param {Object} user - User object with email and phone
@@ -30,7 +58,8 @@ class NotificationService {
         const emailResult = await emailService.sendOtpEmail(
           user.email,
           otp,
-          userName
+          userName,
+          user.language
         );
         results.push({ channel: 'email', ...emailResult });
       } catch (error) {
@@ -42,10 +71,11 @@ class NotificationService {
     // Send via SMS
     if ((channel === 'sms' || channel === 'both') && user.phone) {
       try {
-        const smsResult = await this.sendSms(
-          user.phone,
-          `Your Stylio verification code is: ${otp}. Valid for ${config.otp.expiresMinutes} minutes.`
-        );
+        const { text } = templateService.render('otp', 'sms', user.language, {
+          otp,
+          expiresMinutes: config.otp.expiresMinutes,
+        });
+        const smsResult = await this.sendSms(user.phone, text);
         results.push({ channel: 'sms', ...smsResult });
       } catch (error) {
         console.error('Failed to send OTP SMS:', error.message);
@@ -166,6 +196,29 @@ class NotificationService {
     }
   }
 
+  /**
+   * Queue a message in the outbox
+   * Push and SMS to a user in their quiet hours are held until the end of
+   * the quiet hours.
+   * @param {string} channel - email | sms | push
+   * @param {Object} payload - Adapter input
+   * @param {Object} options - Outbox options (user, relatedBooking, purpose...)
+   * @param {Object} user - Recipient user document (for quiet hours)
+   * @returns {Promise<Object>} Result entry for the channel
+   */
+  async queue(channel, payload, options, user) {
+    try {
+      const message = await outboxService.enqueue(channel, payload, {
+        ...options,
+        sendAt: user?.notifyAt?.(channel),
+      });
+      return { channel, success: true, queued: true, outboxId: message._id };
+    } catch (error) {
+      console.error(`Failed to queue ${channel} notification:`, error.message);
+      return { channel, success: false, error: error.message };
+    }
+  }
+
   /**
    * Send booking notification
    * @param {Object} user - User object
@@ -173,16 +226,13 @@ class NotificationService {
    */
   async sendBookingNotification(user, booking) {
     const results = [];
+    const userId = user._id || user.id;
+    const options = { user: userId, relatedBooking: booking._id || booking.id, purpose: 'booking_confirmation' };
 
     const bookingDetails = {
       salonName: booking.salon?.name || 'Salon',
       bookingNumber: booking.bookingNumber,
-      date: new Date(booking.bookingDate).toLocaleDateString('en-IN', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-      }),
+      date: formatDate(booking.bookingDate, user.language, LONG_DATE),
       time: booking.bookingTime,
       services: booking.services.map(s => ({
         name: s.service?.name || s.name || 'Service',
@@ -191,45 +241,31 @@ class NotificationService {
     };
 
     // Email notification
-    try {
-      const emailResult = await emailService.sendBookingConfirmation(
-        user.email,
-        bookingDetails
-      );
-      results.push({ channel: 'email', ...emailResult });
-    } catch (error) {
-      console.error('Failed to send booking email:', error.message);
-      results.push({ channel: 'email', success: false, error: error.message });
+    if (user.email && user.canNotify('bookingUpdates', 'email')) {
+      results.push(await this.queue(
+        'email',
+        emailService.buildBookingConfirmation(user.email, bookingDetails, user.language),
+        options,
+        user
+      ));
     }
 
     // Push notification
-    try {
-      const pushResult = await pushService.sendBookingConfirmation(
-        user._id || user.id,
-        {
-          id: booking._id || booking.id,
-          salonName: bookingDetails.salonName,
-          date: bookingDetails.date,
-          time: bookingDetails.time,
-        }
-      );
-      results.push({ channel: 'push', ...pushResult });
-    } catch (error) {
-      console.error('Failed to send booking push:', error.message);
-      results.push({ channel: 'push', success: false, error: error.message });
-    }
+    results.push(await this.queue('push', {
+      userId,
+      notification: pushService.bookingConfirmationMessage({
+        id: booking._id || booking.id,
+        salonName: bookingDetails.salonName,
+        // The push text is in English
+        date: formatDate(booking.bookingDate, 'en', LONG_DATE),
+        time: bookingDetails.time,
+      }),
+    }, options, user));
 
     // SMS notification (optional)
-    if (user.phone && config.sms.enabled) {
-      try {
-        const smsResult = await this.sendSms(
-          user.phone,
-          `Booking Confirmed! #${booking.bookingNumber} at ${booking.salon?.name || 'salon'} on ${booking.bookingDate}. See you soon! - Stylio`
-        );
-        results.push({ channel: 'sms', ...smsResult });
-      } catch (error) {
-        results.push({ channel: 'sms', success: false, error: error.message });
-      }
+    if (user.phone && config.sms.enabled && user.canNotify('bookingUpdates', 'sms')) {
+      const { text } = templateService.render('booking_confirmation', 'sms', user.language, bookingDetails);
+      results.push(await this.queue('sms', { phone: user.phone, message: text }, options, user));
     }
 
     return results;
@@ -242,42 +278,36 @@ class NotificationService {
    * @param {number} minutesBefore - Minutes before appointment
    */
   async sendBookingReminder(user, booking, minutesBefore = 60) {
-    const message = `Reminder: Your appointment at ${booking.salon?.name} is tomorrow at ${booking.bookingTime}. Booking #${booking.bookingNumber} - Stylio`;
+    const variables = {
+      salonName: booking.salon?.name || 'Salon',
+      bookingNumber: booking.bookingNumber,
+      time: booking.bookingTime,
+      isTomorrow: minutesBefore >= 24 * 60,
+    };
 
     const results = [];
+    const userId = user._id || user.id;
+    const options = { user: userId, relatedBooking: booking._id || booking.id, purpose: 'booking_reminder' };
 
     // Send push notification (most immediate)
-    try {
-      const pushResult = await pushService.sendBookingReminder(
-        user._id || user.id,
-        {
-          id: booking._id || booking.id,
-          salonName: booking.salon?.name || 'Salon',
-        },
-        minutesBefore
-      );
-      results.push({ channel: 'push', ...pushResult });
-    } catch (error) {
-      results.push({ channel: 'push', success: false, error: error.message });
-    }
+    results.push(await this.queue('push', {
+      userId,
+      notification: pushService.bookingReminderMessage({
+        id: booking._id || booking.id,
+        salonName: booking.salon?.name || 'Salon',
+      }, minutesBefore),
+    }, options, user));
 
     // Send email reminder
-    try {
-      const emailResult = await emailService.sendEmail({
-        to: user.email,
-        subject: `Reminder: Tomorrow's Appointment #${booking.bookingNumber}`,
-        text: message,
-        html: `<p>${message}</p>`,
-      });
-      results.push({ channel: 'email', ...emailResult });
-    } catch (error) {
-      results.push({ channel: 'email', success: false, error: error.message });
+    if (user.email && user.canNotify('reminders', 'email')) {
+      const { subject, text, html } = templateService.render('booking_reminder', 'email', user.language, variables);
+      results.push(await this.queue('email', { to: user.email, subject, text, html }, options, user));
     }
 
     // Send SMS reminder if phone available
-    if (user.phone) {
-      const smsResult = await this.sendSms(user.phone, message);
-      results.push({ channel: 'sms', ...smsResult });
+    if (user.phone && config.sms.enabled && user.canNotify('reminders', 'sms')) {
+      const { text } = templateService.render('booking_reminder', 'sms', user.language, variables);
+      results.push(await this.queue('sms', { phone: user.phone, message: text }, options, user));
     }
 
     return results;
@@ -290,59 +320,179 @@ class NotificationService {
    * @param {string} reason - Cancellation reason
    */
   async sendBookingCancellation(user, booking, reason = '') {
-    const message = `Your booking #${booking.bookingNumber} has been cancelled.${reason ? ` Reason: ${reason}` : ''} - Stylio`;
+    const variables = {
+      bookingNumber: booking.bookingNumber,
+      reason,
+      fee: booking.cancellationFee?.amount,
+    };
     const results = [];
+    const userId = user._id || user.id;
+    const options = { user: userId, relatedBooking: booking._id || booking.id, purpose: 'booking_cancellation' };
 
     // Push notification
-    try {
-      const pushResult = await pushService.sendBookingCancellation(
-        user._id || user.id,
-        {
-          id: booking._id || booking.id,
-          salonName: booking.salon?.name || 'Salon',
-          date: booking.bookingDate,
-        }
-      );
-      results.push({ channel: 'push', ...pushResult });
-    } catch (error) {
-      results.push({ channel: 'push', success: false, error: error.message });
-    }
+    results.push(await this.queue('push', {
+      userId,
+      notification: pushService.bookingCancellationMessage({
+        id: booking._id || booking.id,
+        salonName: booking.salon?.name || 'Salon',
+        date: booking.bookingDate,
+      }),
+    }, options, user));
 
     // Email notification
-    try {
-      const emailResult = await emailService.sendEmail({
-        to: user.email,
-        subject: `Booking Cancelled #${booking.bookingNumber}`,
-        text: message,
-        html: `<p>${message}</p>`,
-      });
-      results.push({ channel: 'email', ...emailResult });
-    } catch (error) {
-      results.push({ channel: 'email', success: false, error: error.message });
+    if (user.email && user.canNotify('bookingUpdates', 'email')) {
+      const { subject, text, html } = templateService.render('booking_cancellation', 'email', user.language, variables);
+      results.push(await this.queue('email', { to: user.email, subject, text, html }, options, user));
     }
       
     // SMS notification
-    if (user.phone) {
-      const smsResult = await this.sendSms(user.phone, message);
-      results.push({ channel: 'sms', ...smsResult });
+    if (user.phone && config.sms.enabled && user.canNotify('bookingUpdates', 'sms')) {
+      const { text } = templateService.render('booking_cancellation', 'sms', user.language, variables);
+      results.push(await this.queue('sms', { phone: user.phone, message: text }, options, user));
     }
 
     return results;
   }
 
   /**
-   * Send promotional notification to multiple users
-   * @param {string[]} userIds - Array of user IDs
-   * @param {Object} promo - Promo details
+   * Send booking rescheduled notification
+   * @param {Object} user - User object (customer or salon owner)
+   * @param {Object} booking - Booking details (after the move)
+   * @param {Object} previous - { bookingDate, bookingTime } before the move
    */
-  async sendPromoNotification(userIds, promo) {
-    try {
-      const result = await pushService.sendPromoNotification(userIds, promo);
-      return result;
-    } catch (error) {
-      console.error('Failed to send promo notification:', error.message);
-      return { success: false, error: error.message };
+  async sendBookingRescheduled(user, booking, previous) {
+    const variables = {
+      bookingNumber: booking.bookingNumber,
+      salonName: booking.salon?.name || 'the salon',
+      previousDate: formatDate(previous.bookingDate, user.language, SHORT_DATE),
+      previousTime: previous.bookingTime,
+      date: formatDate(booking.bookingDate, user.language, SHORT_DATE),
+      time: booking.bookingTime,
+    };
+    const { text: message } = templateService.render('booking_rescheduled', 'sms', user.language, variables);
+    const results = [];
+    const userId = user._id || user.id;
+    const options = { user: userId, relatedBooking: booking._id || booking.id, purpose: 'booking_rescheduled' };
+
+    // Push notification
+    results.push(await this.queue('push', {
+      userId,
+      notification: pushService.generalMessage(
+        'Booking Rescheduled',
+        message,
+        {
+          bookingId: (booking._id || booking.id).toString(),
+          action: 'view_booking',
+        },
+        'bookingUpdates'
+      ),
+    }, options, user));
+
+    // Email notification
+    if (user.email && user.canNotify('bookingUpdates', 'email')) {
+      const { subject, text, html } = templateService.render('booking_rescheduled', 'email', user.language, variables);
+      results.push(await this.queue('email', { to: user.email, subject, text, html }, options, user));
     }
+
+    // SMS notification (optional)
+    if (user.phone && config.sms.enabled && user.canNotify('bookingUpdates', 'sms')) {
+      results.push(await this.queue('sms', { phone: user.phone, message }, options, user));
+    }
+
+    return results;
+  }
+
+  /**
+   * Ask a customer to review a completed booking
+   * @param {Object} user - Customer (with notificationPreferences and timezone)
+   * @param {Object} booking - Booking with populated salon name
+   */
+  async sendReviewRequest(user, booking) {
+    const userId = user._id || user.id;
+
+    return this.queue('push', {
+      userId,
+      notification: pushService.generalMessage(
+        'How was your visit?',
+        `Rate your appointment at ${booking.salon?.name || 'the salon'}`,
+        {
+          type: 'review_request',
+          bookingId: booking._id,
+          action: 'write_review',
+        },
+        'reminders'
+      ),
+    }, { user: userId, relatedBooking: booking._id, purpose: 'review_request' }, user);
+  }
+
+  /**
+   * Notify a customer that the salon replied to their review
+   * @param {Object} user - Reviewing customer (with notificationPreferences and timezone)
+   * @param {Object} reply - { reviewId, reviewType, salonName, message }
+   */
+  async sendReviewReplyNotification(user, reply) {
+    const userId = user._id || user.id;
+
+    return this.queue('push', {
+      userId,
+      notification: pushService.generalMessage(
+        `${reply.salonName} replied to your review`,
+        reply.message,
+        {
+          reviewId: reply.reviewId,
+          reviewType: reply.reviewType,
+          action: 'view_review',
+        },
+        'social'
+      ),
+    }, { user: userId, purpose: 'review_reply' }, user);
+  }
+
+  /**
+   * Send a promotional message (campaign) to a user
+   * @param {Object} user - User object
+   * @param {Object} promo - { title, message, code, validUntil }
+   * @param {Object} options
+   * @param {string[]} options.channels - push | email | sms
+   * @param {ObjectId} options.campaign - Campaign the message is for
+   * @param {string} options.openUrl - Email open-tracking pixel URL
+   */
+  async sendPromoNotification(user, promo, { channels = ['push'], campaign, openUrl } = {}) {
+    const results = [];
+    const userId = user._id || user.id;
+    const options = { user: userId, campaign, purpose: 'promo' };
+
+    const variables = {
+      title: promo.title,
+      message: promo.message,
+      promoCode: promo.code,
+      validUntil: promo.validUntil && formatDate(promo.validUntil, user.language, SHORT_DATE),
+    };
+
+    // Push notification
+    if (channels.includes('push')) {
+      results.push(await this.queue('push', {
+        userId,
+        notification: pushService.promoMessage({ ...promo, campaignId: campaign }),
+      }, options, user));
+    }
+
+    // Email notification
+    if (channels.includes('email') && user.email && user.canNotify('promos', 'email')) {
+      const { subject, text, html } = templateService.render('promo', 'email', user.language, {
+        ...variables,
+        openUrl,
+      });
+      results.push(await this.queue('email', { to: user.email, subject, text, html }, options, user));
+    }
+
+    // SMS notification (optional)
+    if (channels.includes('sms') && user.phone && config.sms.enabled && user.canNotify('promos', 'sms')) {
+      const { text } = templateService.render('promo', 'sms', user.language, variables);
+      results.push(await this.queue('sms', { phone: user.phone, message: text }, options, user));
+    }
+
+    return results;
   }
 }
 
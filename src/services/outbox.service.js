@@ -0,0 +1,256 @@
+import OutboxMessage from '../models/OutboxMessage.js';
+import config from '../config/index.js';
+
+/**
+ * Outbox Service
+ *
+ * Durable delivery of emails, SMS and push notifications. Messages are
+ * stored in the OutboxMessage collection first and then delivered by a
+ * worker, so a provider outage or a restart doesn't lose them.
+ *
+ * - Each channel has an adapter (registered by the notification service)
+ *   that sends one payload and returns the provider's result
+ * - A thrown error or `{ success: false, error }` is retried with
+ *   exponential backoff; after OUTBOX_MAX_ATTEMPTS the message is marked
+ *   failed and stays in the dead-letter list until an admin retries it
+ * - `{ success: false, reason }` (nothing to deliver to) is final: skipped
+ * - `{ success: false, retryAt }` (e.g. quiet hours) holds the message
+ *   until then without using up an attempt
+ * - Messages are claimed atomically, so two instances never send the same
+ *   one; messages stuck in 'sending' (instance died mid-send) are reclaimed
+ *   after a timeout, which can deliver them twice
+ * - Listeners are told about every message that is sent, skipped or
+ *   failed (e.g. to count campaign deliveries)
+ */
+
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+class OutboxService {
+  constructor() {
+    this.adapters = new Map();
+    this.listeners = [];
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Register the adapter for a channel
+   * @param {string} channel - email | sms | push
+   * @param {Function} adapter - async (payload) => result
+   */
+  registerAdapter(channel, adapter) {
+    this.adapters.set(channel, adapter);
+  }
+
+  /**
+   * Register a listener for delivery outcomes
+   * @param {Function} listener - async (message) => void, called once the
+   *   message is sent, skipped or failed
+   */
+  registerListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Queue a message for delivery
+   * @param {string} channel - email | sms | push
+   * @param {Object} payload - Adapter input (see OutboxMessage)
+   * @param {Object} options
+   * @param {ObjectId} options.user - Recipient user
+   * @param {ObjectId} options.relatedBooking - Booking the message is about
+   * @param {ObjectId} options.campaign - Promo campaign the message is for
+   * @param {string} options.purpose - What the message is about
+   * @param {Date} options.sendAt - Hold the message until then (default now)
+   * @returns {Promise<Object>} The queued message
+   */
+  async enqueue(channel, payload, { user, relatedBooking, campaign, purpose, sendAt } = {}) {
+    const message = await OutboxMessage.create({
+      channel,
+      payload,
+      user,
+      relatedBooking,
+      campaign,
+      purpose,
+      nextAttemptAt: sendAt,
+      maxAttempts: config.outbox.maxAttempts,
+    });
+
+    // Deliver right away instead of waiting for the next poll
+    if (this.timer && message.nextAttemptAt <= new Date()) {
+      setImmediate(() => this.processDue());
+    }
+
+    return message;
+  }
+
+  /**
+   * Atomically claim the next message that is due
+   * @returns {Promise<Object|null>} Claimed message
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return OutboxMessage.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      {
+        status: 'sending',
+        lockedAt: now,
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Deliver a claimed message and record the outcome
+   * @param {Object} message - Claimed message document
+   */
+  async deliver(message) {
+    const adapter = this.adapters.get(message.channel);
+
+    try {
+      if (!adapter) {
+        throw new Error(`No adapter registered for channel '${message.channel}'`);
+      }
+
+      const result = await adapter(message.payload);
+
+      if (result?.success === false && result.error) {
+        throw new Error(result.error);
+      }
+
+      if (result?.success === false && result.retryAt) {
+        // Held, not failed: the attempt doesn't count
+        message.status = 'pending';
+        message.attempts -= 1;
+        message.nextAttemptAt = result.retryAt;
+        message.lastError = result.reason;
+      } else if (result?.success === false) {
+        message.status = 'skipped';
+        message.lastError = result.reason;
+      } else {
+        message.status = 'sent';
+        message.sentAt = new Date();
+        message.lastError = undefined;
+      }
+      message.result = result;
+    } catch (error) {
+      console.error(`📤 Outbox ${message.channel} message ${message._id} failed:`, error.message);
+
+      message.lastError = error.message;
+
+      if (message.attempts >= message.maxAttempts) {
+        message.status = 'failed';
+      } else {
+        message.status = 'pending';
+        message.nextAttemptAt = new Date(
+          Date.now() + config.outbox.retryBaseSeconds * 1000 * 2 ** (message.attempts - 1)
+        );
+      }
+    }
+
+    message.lockedAt = undefined;
+    await message.save();
+
+    if (message.status !== 'pending') {
+      await this.notifyListeners(message);
+    }
+  }
+
+  /**
+   * Tell the listeners about a delivery outcome
+   * A failing listener never affects the message itself.
+   */
+  async notifyListeners(message) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(message);
+      } catch (error) {
+        console.error(`📤 Outbox listener failed for message ${message._id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Deliver all due messages (up to one batch)
+   * @returns {Promise<number>} Number of messages processed
+   */
+  async processDue() {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let count = 0;
+    try {
+      while (count < BATCH_SIZE) {
+        const message = await this.claimNext();
+        if (!message) break;
+
+        await this.deliver(message);
+        count++;
+      }
+    } catch (error) {
+      console.error('📤 Outbox poll failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return count;
+  }
+
+  /**
+   * Put a dead-lettered message back in the queue
+   * @param {ObjectId} messageId - Message ID
+   * @returns {Promise<Object|null>} The requeued message, or null if it
+   *   does not exist or is not failed
+   */
+  async retry(messageId) {
+    const message = await OutboxMessage.findOneAndUpdate(
+      { _id: messageId, status: 'failed' },
+      {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+      { new: true }
+    );
+
+    if (message && this.timer) {
+      setImmediate(() => this.processDue());
+    }
+
+    return message;
+  }
+
+  /**
+   * Start polling for due messages
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDue(), config.outbox.pollIntervalMs);
+    // Don't keep the process alive just for the outbox
+    this.timer.unref();
+
+    console.log(`📤 Outbox worker started (every ${config.outbox.pollIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const outboxService = new OutboxService();
+export default outboxService;
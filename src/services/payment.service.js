@@ -0,0 +1,331 @@
+import Payment from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import FakeGateway from './gateways/fake.gateway.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import config from '../config/index.js';
+
+/**
+ * Payment Service
+ *
+ * Drives the Payment lifecycle for bookings and keeps
+ * Booking.paymentStatus in step with the linked Payment.
+ *
+ * Online methods (card, upi, wallet, netbanking) go through a gateway
+ * adapter. Adapters are registered by name and selected with
+ * PAYMENT_GATEWAY; the built-in 'fake' adapter settles payments locally.
+ *
+ * Adapter interface:
+ * - name: string
+ * - createPayment({ payment, booking }) => { transactionId, status, checkout }
+ * - verifyCallback(headers, rawBody) => boolean (rawBody: request body bytes)
+ * - parseCallback(body) => { transactionId, status, amount, failureReason }
+ * - refund({ payment, amount, reason }) => { success, refundId }
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Copy fields written with an atomic update onto the caller's document
+const copyState = (payment, updated, fields) => {
+  fields.forEach((field) => {
+    payment.set(field, updated.get(field));
+  });
+};
+
+class PaymentService {
+  constructor() {
+    this.adapters = new Map();
+    this.registerAdapter(new FakeGateway());
+  }
+
+  /**
+   * Register a gateway adapter
+   * @param {Object} adapter - Adapter implementing the interface above
+   */
+  registerAdapter(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Get a registered gateway adapter
+   * @param {string} name - Adapter name (defaults to configured gateway)
+   */
+  getAdapter(name = config.payment.gateway) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new ApiError(400, `Payment gateway '${name}' is not supported`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Copy the payment status onto the booking
+   * @param {Object} payment - Payment document
+   */
+  async syncBooking(payment) {
+    await Booking.updateOne(
+      { _id: payment.booking },
+      { paymentStatus: payment.status }
+    );
+  }
+
+  /**
+   * Start (or retry) a payment for a booking
+   * The amount is always taken from Booking.finalAmount.
+   * The payment is saved before the gateway is called; when two requests
+   * start a payment for the same booking at once, the unique index on
+   * booking lets one through and the other gets the existing payment
+   * (without checkout), so only one gateway payment is created.
+   * @param {Object} booking - Booking document
+   * @param {string} paymentMethod - cash | card | upi | wallet | netbanking
+   * @returns {Promise<Object>} { payment, checkout }
+   */
+  async startPayment(booking, paymentMethod) {
+    if (['cancelled', 'no_show'].includes(booking.status)) {
+      throw new ApiError(400, `Cannot pay for a booking with status '${booking.status}'`);
+    }
+
+    let payment = await Payment.findOne({ booking: booking._id });
+
+    if (payment && !['pending', 'failed'].includes(payment.status)) {
+      throw new ApiError(400, `Payment is already ${payment.status}`);
+    }
+
+    if (!payment) {
+      try {
+        payment = await Payment.create({
+          booking: booking._id,
+          amount: booking.finalAmount,
+          paymentMethod,
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return { payment: await Payment.findOne({ booking: booking._id }), checkout: null };
+      }
+    }
+
+    payment.amount = booking.finalAmount;
+    payment.paymentMethod = paymentMethod;
+    payment.failureReason = undefined;
+
+    let checkout = null;
+
+    if (paymentMethod === 'cash') {
+      // Collected at the salon; stays pending until marked collected
+      payment.status = 'pending';
+      payment.paymentGateway = 'cash';
+      payment.transactionId = undefined;
+    } else {
+      const adapter = this.getAdapter();
+      const result = await adapter.createPayment({ payment, booking });
+
+      payment.status = result.status;
+      payment.paymentGateway = adapter.name;
+      payment.transactionId = result.transactionId;
+      checkout = result.checkout;
+
+      if (result.status === 'completed') {
+        payment.paidAt = new Date();
+      }
+    }
+
+    await payment.save();
+    await this.syncBooking(payment);
+
+    return { payment, checkout };
+  }
+
+  /**
+   * Handle a gateway callback
+   * @param {string} gatewayName - Adapter name from the callback URL
+   * @param {Object} headers - Request headers
+   * @param {Object} body - Parsed request body
+   * @param {Buffer} rawBody - Request body as received (what was signed)
+   * @returns {Promise<Object>} Updated payment
+   */
+  async handleCallback(gatewayName, headers, body, rawBody) {
+    const adapter = this.getAdapter(gatewayName);
+
+    if (!rawBody || !adapter.verifyCallback(headers, rawBody)) {
+      throw new ApiError(401, 'Invalid payment callback signature');
+    }
+
+    const result = adapter.parseCallback(body);
+
+    const payment = await Payment.findOne({
+      paymentGateway: adapter.name,
+      transactionId: result.transactionId,
+    });
+
+    if (!payment) {
+      throw new ApiError(404, 'Payment not found');
+    }
+
+    // Callbacks can be retried by the gateway; only settle once
+    if (payment.status !== 'processing') {
+      return payment;
+    }
+
+    payment.gatewayResponse = body;
+
+    if (result.status === 'completed') {
+      if (result.amount !== undefined && roundAmount(result.amount) !== roundAmount(payment.amount)) {
+        payment.status = 'failed';
+        payment.failureReason = `Amount mismatch: expected ${payment.amount}, received ${result.amount}`;
+      } else {
+        payment.status = 'completed';
+        payment.paidAt = new Date();
+      }
+    } else {
+      payment.status = 'failed';
+      payment.failureReason = result.failureReason || 'Payment failed at gateway';
+    }
+
+    await payment.save();
+    await this.syncBooking(payment);
+
+    return payment;
+  }
+
+  /**
+   * Mark a cash payment as collected at the salon
+   * Only a payment that is still pending is updated, so two people marking
+   * it collected at once can't both succeed.
+   * @param {Object} payment - Payment document (updated in place)
+   * @param {ObjectId} collectedBy - User who collected the cash
+   */
+  async collectCash(payment, collectedBy) {
+    if (payment.paymentMethod !== 'cash') {
+      throw new ApiError(400, 'Only cash payments can be marked as collected');
+    }
+
+    if (payment.status !== 'pending') {
+      throw new ApiError(400, `Cannot collect a payment with status '${payment.status}'`);
+    }
+
+    const booking = await Booking.findById(payment.booking).select('finalAmount');
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, paymentMethod: 'cash', status: 'pending' },
+      {
+        amount: booking.finalAmount,
+        status: 'completed',
+        paidAt: new Date(),
+        collectedBy,
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ApiError(409, 'Payment was updated by another request, please reload it');
+    }
+
+    copyState(payment, updated, ['amount', 'status', 'paidAt', 'collectedBy']);
+    await this.syncBooking(payment);
+
+    return payment;
+  }
+
+  /**
+   * Refund a settled payment (full or partial)
+   * The refund is reserved on the payment (refundedAmount and status)
+   * before the gateway is called, with an update that only matches the
+   * refundedAmount that was checked. A concurrent refund therefore gets a
+   * 409 instead of refunding the same money twice. If the gateway fails
+   * the reservation is released again.
+   * @param {Object} payment - Payment document (updated in place)
+   * @param {Object} options
+   * @param {number} options.amount - Amount to refund (defaults to everything refundable)
+   * @param {string} options.reason - Refund reason
+   * @param {ObjectId} options.refundedBy - User issuing the refund
+   */
+  async refund(payment, { amount, reason, refundedBy } = {}) {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new ApiError(400, `Cannot refund a payment with status '${payment.status}'`);
+    }
+
+    const refundAmount = roundAmount(amount ?? payment.refundableAmount);
+
+    if (refundAmount <= 0) {
+      throw new ApiError(400, 'Refund amount must be greater than zero');
+    }
+
+    if (refundAmount > payment.refundableAmount) {
+      throw new ApiError(400, `Refund amount cannot exceed ₹${payment.refundableAmount}`);
+    }
+
+    // Cash is refunded over the counter; online payments go back through the gateway
+    const adapter = payment.paymentMethod !== 'cash' ? this.getAdapter(payment.paymentGateway) : null;
+    const refundedAmount = roundAmount((payment.refundedAmount || 0) + refundAmount);
+
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: REFUNDABLE_STATUSES },
+        // Payments from before partial refunds have no refundedAmount
+        refundedAmount: payment.refundedAmount || { $in: [0, null] },
+      },
+      {
+        refundedAmount,
+        status: refundedAmount < roundAmount(payment.amount) ? 'partially_refunded' : 'refunded',
+      },
+      { new: true }
+    );
+
+    if (!reserved) {
+      throw new ApiError(409, 'Payment was updated by another request, please reload it');
+    }
+
+    let refundId;
+
+    if (adapter) {
+      let result;
+      try {
+        result = await adapter.refund({ payment, amount: refundAmount, reason });
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (!result.success) {
+        await this.releaseRefund(payment._id, refundAmount);
+        throw new ApiError(502, result.error || 'Refund failed at gateway');
+      }
+      refundId = result.refundId;
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id },
+      {
+        $push: { refunds: { amount: refundAmount, reason, refundId, refundedBy } },
+        $set: { refundedAt: new Date() },
+      },
+      { new: true }
+    );
+
+    copyState(payment, updated, ['refundedAmount', 'status', 'refunds', 'refundedAt']);
+    await this.syncBooking(payment);
+
+    return payment;
+  }
+
+  /**
+   * Give back a refund reservation after the gateway refused the refund
+   * @param {ObjectId} paymentId - Payment ID
+   * @param {number} amount - Reserved amount
+   */
+  async releaseRefund(paymentId, amount) {
+    await Payment.updateOne({ _id: paymentId }, [
+      { $set: { refundedAmount: { $round: [{ $subtract: ['$refundedAmount', amount] }, 2] } } },
+      {
+        $set: {
+          status: { $cond: [{ $gt: ['$refundedAmount', 0] }, 'partially_refunded', 'completed'] },
+        },
+      },
+    ]);
+  }
+}
+
+// Export singleton instance
+const paymentService = new PaymentService();
+export default paymentService;
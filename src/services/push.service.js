@@ -1,4 +1,7 @@
 import User from '../models/User.js';
+import DeviceToken from '../models/DeviceToken.js';
+import schedulerService from './scheduler.service.js';
+import config from '../config/index.js';
 
 /**
  * Push Notification Service
@@ -7,36 +10,87 @@ import User from '../models/User.js';
  * Free and unlimited - no Firebase or other services required.
  * 
  * Expo Push API: https://docs.expo.dev/push-notifications/sending-notifications/
+ *
+ * Notifications with a `category` are only sent to users whose preferences
+ * allow push for that category. During the user's quiet hours sendToUser
+ * returns `retryAt` (the end of the quiet hours), so the outbox holds the
+ * notification until then; sendToUsers doesn't send to those users and
+ * returns them as `held`, each with its retryAt, for the caller to send later.
+ *
+ * Every notification goes to all of the user's devices (DeviceToken). Expo
+ * answers each message with a ticket; a push_receipts job fetches the
+ * delivery receipts for those tickets after PUSH_RECEIPT_DELAY_MINUTES.
+ * Tokens that Expo reports as DeviceNotRegistered (app uninstalled or
+ * notifications turned off), on the ticket or the receipt, are deleted.
  */
 
-const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+// Expo accepts up to 100 messages per request
+const SEND_BATCH_SIZE = 100;
+
+const isExpoToken = (token) => token?.startsWith('ExponentPushToken[');
 
 class PushService {
+  constructor() {
+    schedulerService.registerHandler('push_receipts', (job) => this.checkReceipts(job));
+  }
+
   /**
-   * Send push notification to a single user
+   * Send push notification to all devices of a single user
    * @param {string} userId - User ID to send notification to
    * @param {Object} notification - Notification content
    * @param {string} notification.title - Notification title
    * @param {string} notification.body - Notification body
    * @param {Object} notification.data - Additional data payload
    * @param {string} notification.channelId - Android channel ID (optional)
+   * @param {string} notification.category - Preference category (omit for account messages)
    */
   async sendToUser(userId, notification) {
     try {
-      const user = await User.findById(userId).select('pushToken pushPlatform');
+      const user = await User.findById(userId)
+        .select('pushToken notificationPreferences timezone');
+
+      const tokens = user ? await this.getTokens([user]) : [];
       
-      if (!user?.pushToken) {
+      if (tokens.length === 0) {
         console.log(`📱 No push token for user ${userId}`);
         return { success: false, reason: 'no_token' };
       }
 
-      return this.sendToToken(user.pushToken, notification);
+      if (notification.category && !user.canNotify(notification.category, 'push')) {
+        return { success: false, reason: 'muted' };
+      }
+
+      if (notification.category && user.isInQuietHours()) {
+        return { success: false, reason: 'quiet_hours', retryAt: user.notifyAt('push') };
+      }
+
+      const result = await this.sendToTokens(tokens, notification);
+      return { ...result, success: result.success && result.sent > 0 };
     } catch (error) {
       console.error(`📱 Failed to send push to user ${userId}:`, error.message);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Push tokens of all devices of the given users
+   * Also includes the single User.pushToken kept by accounts that have
+   * not registered a device since multiple devices were supported.
+   * @param {Object[]} users - User documents (with pushToken)
+   * @returns {Promise<string[]>}
+   */
+  async getTokens(users) {
+    const devices = await DeviceToken.find({ user: { $in: users.map((u) => u._id) } })
+      .select('token');
+
+    const tokens = new Set(devices.map((device) => device.token));
+    users.forEach((u) => {
+      if (u.pushToken) tokens.add(u.pushToken);
+    });
+
+    return [...tokens];
+  }
+
   /**
    * Send push notification to a specific Expo push token
    * @param {string} pushToken - Expo push token (ExponentPushToken[xxx])
@@ -44,123 +98,213 @@ class PushService {
    */
   async sendToToken(pushToken, notification) {
     // Validate Expo push token format
-    if (!pushToken?.startsWith('ExponentPushToken[')) {
+    if (!isExpoToken(pushToken)) {
       console.log(`📱 Invalid push token format: ${pushToken}`);
       return { success: false, reason: 'invalid_token' };
     }
 
-    const message = {
-      to: pushToken,
-      sound: notification.sound ?? 'default',
-      title: notification.title,
-      body: notification.body,
-      data: notification.data || {},
-      channelId: notification.channelId || 'default',
-      priority: notification.priority || 'high',
-      badge: notification.badge,
-    };
-
-    try {
-      const response = await fetch(EXPO_PUSH_URL, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Accept-Encoding': 'gzip, deflate',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(message),
-      });
-
-      const result = await response.json();
-
-      if (result.data?.status === 'ok') {
-        console.log(`📱 Push sent successfully to ${pushToken.slice(0, 30)}...`);
-        return { success: true, ticketId: result.data.id };
-      } else {
-        console.error(`📱 Push failed:`, result.data?.message || result);
-        return { success: false, error: result.data?.message };
-      }
-    } catch (error) {
-      console.error(`📱 Push request failed:`, error.message);
-      return { success: false, error: error.message };
-    }
+    const result = await this.sendToTokens([pushToken], notification);
+    return { ...result, success: result.success && result.sent > 0 };
   }
 
   /**
-   * Send push notifications to multiple users
+   * Send push notifications to multiple users (all of their devices)
+   * Users in their quiet hours are not sent to yet; they are returned as
+   * `held` ({ userId, retryAt }) so the caller can send to them then.
    * @param {string[]} userIds - Array of user IDs
    * @param {Object} notification - Notification content
    */
   async sendToUsers(userIds, notification) {
-    const users = await User.find({ 
-      _id: { $in: userIds },
-      pushToken: { $exists: true, $ne: null }
-    }).select('pushToken');
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('pushToken notificationPreferences timezone');
+
+    const held = [];
+    const recipients = notification.category
+      ? users.filter(u => {
+        if (!u.canNotify(notification.category, 'push')) return false;
+        if (u.isInQuietHours()) {
+          held.push({ userId: u._id, retryAt: u.notifyAt('push') });
+          return false;
+        }
+        return true;
+      })
+      : users;
+
+    const tokens = await this.getTokens(recipients);
 
-    if (users.length === 0) {
-      return { success: true, sent: 0, reason: 'no_tokens' };
+    if (tokens.length === 0) {
+      return { success: true, sent: 0, reason: 'no_tokens', held };
     }
 
-    const tokens = users.map(u => u.pushToken).filter(Boolean);
-    return this.sendToTokens(tokens, notification);
+    return { ...await this.sendToTokens(tokens, notification), held };
   }
 
   /**
-   * Send push notifications to multiple tokens (batch)
+   * Send push notifications to multiple tokens (batches of 100)
+   * Schedules a receipt check for the accepted messages and deletes
+   * tokens Expo rejects as DeviceNotRegistered.
    * @param {string[]} pushTokens - Array of Expo push tokens
    * @param {Object} notification - Notification content
    */
   async sendToTokens(pushTokens, notification) {
     // Filter valid tokens
-    const validTokens = pushTokens.filter(t => t?.startsWith('ExponentPushToken['));
+    const validTokens = [...new Set(pushTokens.filter(isExpoToken))];
     
     if (validTokens.length === 0) {
       return { success: true, sent: 0, reason: 'no_valid_tokens' };
     }
 
-    // Expo supports batching up to 100 notifications per request
-    const messages = validTokens.map(token => ({
-      to: token,
-      sound: notification.sound ?? 'default',
-      title: notification.title,
-      body: notification.body,
-      data: notification.data || {},
-      channelId: notification.channelId || 'default',
-      priority: notification.priority || 'high',
-      badge: notification.badge,
-    }));
+    let sent = 0;
+    let lastError;
+    const unregistered = [];
 
-    try {
-      const response = await fetch(EXPO_PUSH_URL, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Accept-Encoding': 'gzip, deflate',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(messages),
-      });
-
-      const result = await response.json();
-      const successCount = result.data?.filter(r => r.status === 'ok').length || 0;
-      
-      console.log(`📱 Batch push: ${successCount}/${validTokens.length} sent successfully`);
-      return { success: true, sent: successCount, total: validTokens.length };
-    } catch (error) {
-      console.error(`📱 Batch push failed:`, error.message);
-      return { success: false, error: error.message };
+    for (let i = 0; i < validTokens.length; i += SEND_BATCH_SIZE) {
+      const batch = validTokens.slice(i, i + SEND_BATCH_SIZE);
+
+      const messages = batch.map(token => ({
+        to: token,
+        sound: notification.sound ?? 'default',
+        title: notification.title,
+        body: notification.body,
+        data: notification.data || {},
+        channelId: notification.channelId || 'default',
+        priority: notification.priority || 'high',
+        badge: notification.badge,
+      }));
+
+      try {
+        const result = await this.post(config.push.sendUrl, messages);
+
+        // Tickets come back in the same order as the messages
+        const tickets = [];
+        (result.data || []).forEach((ticket, index) => {
+          if (ticket.status === 'ok') {
+            tickets.push({ id: ticket.id, token: batch[index] });
+          } else if (ticket.details?.error === 'DeviceNotRegistered') {
+            unregistered.push(batch[index]);
+          } else {
+            console.error(`📱 Push failed:`, ticket.message);
+          }
+        });
+
+        sent += tickets.length;
+        await this.scheduleReceiptCheck(tickets);
+      } catch (error) {
+        console.error(`📱 Batch push failed:`, error.message);
+        lastError = error.message;
+      }
+    }
+
+    await this.removeTokens(unregistered);
+
+    console.log(`📱 Batch push: ${sent}/${validTokens.length} sent successfully`);
+
+    if (lastError && sent === 0) {
+      return { success: false, error: lastError };
     }
+    return { success: true, sent, total: validTokens.length };
   }
 
   // =====================
-  // Convenience Methods
+  // Receipts & Token Cleanup
   // =====================
 
   /**
-   * Send booking confirmation push notification
+   * Schedule fetching the receipts for a batch of tickets
+   * @param {Object[]} tickets - { id, token }
    */
-  async sendBookingConfirmation(userId, booking) {
-    return this.sendToUser(userId, {
+  async scheduleReceiptCheck(tickets) {
+    if (tickets.length === 0) return;
+
+    await schedulerService.schedule('push_receipts', {
+      key: `push_receipts:${tickets[0].id}`,
+      runAt: new Date(Date.now() + config.push.receiptDelayMinutes * 60 * 1000),
+      payload: { tickets },
+    });
+  }
+
+  /**
+   * Job handler: fetch receipts and delete unregistered tokens
+   * Receipts that are not ready yet are skipped (Expo keeps them for a day).
+   * Request errors are thrown so the scheduler retries the job.
+   */
+  async checkReceipts(job) {
+    const { tickets = [] } = job.payload;
+
+    const result = await this.post(config.push.receiptsUrl, {
+      ids: tickets.map((ticket) => ticket.id),
+    });
+    const receipts = result.data || {};
+
+    const unregistered = [];
+    for (const { id, token } of tickets) {
+      const receipt = receipts[id];
+      if (!receipt || receipt.status === 'ok') continue;
+
+      if (receipt.details?.error === 'DeviceNotRegistered') {
+        unregistered.push(token);
+      } else {
+        console.error(`📱 Push to ${token.slice(0, 30)}... not delivered:`, receipt.message);
+      }
+    }
+
+    await this.removeTokens(unregistered);
+  }
+
+  /**
+   * Delete push tokens that no longer reach a device
+   * @param {string[]} tokens - Expo push tokens
+   */
+  async removeTokens(tokens) {
+    if (tokens.length === 0) return;
+
+    await Promise.all([
+      DeviceToken.deleteMany({ token: { $in: tokens } }),
+      User.updateMany(
+        { pushToken: { $in: tokens } },
+        { $unset: { pushToken: '', pushPlatform: '' } }
+      ),
+    ]);
+
+    console.log(`📱 Removed ${tokens.length} unregistered push token(s)`);
+  }
+
+  /**
+   * POST JSON to an Expo endpoint
+   * @throws {Error} If the request fails or Expo rejects it as a whole
+   */
+  async post(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Accept-Encoding': 'gzip, deflate',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || result.errors?.length) {
+      throw new Error(result.errors?.[0]?.message || `Expo responded with ${response.status}`);
+    }
+
+    return result;
+  }
+
+  // =====================
+  // Messages
+  // =====================
+  // Notification content for each kind of push, used by the convenience
+  // methods below and queued as-is by the notification outbox.
+
+  /**
+   * Booking confirmation
+   * @param {Object} booking - { id, salonName, date, time }
+   */
+  bookingConfirmationMessage(booking) {
+    return {
       title: '✅ Booking Confirmed!',
       body: `Your appointment at ${booking.salonName} on ${booking.date} at ${booking.time} is confirmed.`,
       data: {
@@ -169,14 +313,16 @@ class PushService {
         action: 'view_booking',
       },
       channelId: 'bookings',
-    });
+      category: 'bookingUpdates',
+    };
   }
 
   /**
-   * Send booking cancellation push notification
+   * Booking cancellation
+   * @param {Object} booking - { id, salonName, date }
    */
-  async sendBookingCancellation(userId, booking) {
-    return this.sendToUser(userId, {
+  bookingCancellationMessage(booking) {
+    return {
       title: '❌ Booking Cancelled',
       body: `Your appointment at ${booking.salonName} on ${booking.date} has been cancelled.`,
       data: {
@@ -185,18 +331,21 @@ class PushService {
         action: 'booking_cancelled',
       },
       channelId: 'bookings',
-    });
+      category: 'bookingUpdates',
+    };
   }
 
   /**
-   * Send booking reminder push notification
+   * Booking reminder
+   * @param {Object} booking - { id, salonName }
+   * @param {number} minutesBefore - Minutes before the appointment
    */
-  async sendBookingReminder(userId, booking, minutesBefore = 60) {
+  bookingReminderMessage(booking, minutesBefore = 60) {
     const timeText = minutesBefore >= 60 
       ? `${Math.floor(minutesBefore / 60)} hour${minutesBefore >= 120 ? 's' : ''}`
       : `${minutesBefore} minutes`;
 
-    return this.sendToUser(userId, {
+    return {
       title: '⏰ Appointment Reminder',
       body: `Your appointment at ${booking.salonName} is in ${timeText}.`,
       data: {
@@ -205,38 +354,85 @@ class PushService {
         action: 'view_booking',
       },
       channelId: 'bookings',
-    });
+      category: 'reminders',
+    };
   }
 
   /**
-   * Send promotional push notification
+   * Promotional offer
+   * @param {Object} promo - { title, message, code, campaignId }
    */
-  async sendPromoNotification(userIds, promo) {
-    return this.sendToUsers(userIds, {
+  promoMessage(promo) {
+    return {
       title: promo.title || '🎉 Special Offer!',
       body: promo.message,
       data: {
         type: 'promo',
         promoCode: promo.code,
+        // Sent back by the app when the notification is opened
+        campaignId: promo.campaignId,
         action: 'view_promo',
       },
       channelId: 'promos',
-    });
+      category: 'promos',
+    };
   }
 
   /**
-   * Send general notification
+   * General notification
+   * @param {string} category - Preference category (omit for account messages)
    */
-  async sendGeneralNotification(userId, title, body, data = {}) {
-    return this.sendToUser(userId, {
+  generalMessage(title, body, data = {}, category) {
+    return {
       title,
       body,
       data: { type: 'general', ...data },
-    });
+      category,
+    };
+  }
+
+  // =====================
+  // Convenience Methods
+  // =====================
+
+  /**
+   * Send booking confirmation push notification
+   */
+  async sendBookingConfirmation(userId, booking) {
+    return this.sendToUser(userId, this.bookingConfirmationMessage(booking));
+  }
+
+  /**
+   * Send booking cancellation push notification
+   */
+  async sendBookingCancellation(userId, booking) {
+    return this.sendToUser(userId, this.bookingCancellationMessage(booking));
+  }
+
+  /**
+   * Send booking reminder push notification
+   */
+  async sendBookingReminder(userId, booking, minutesBefore = 60) {
+    return this.sendToUser(userId, this.bookingReminderMessage(booking, minutesBefore));
+  }
+
+  /**
+   * Send promotional push notification
+   * Users in their quiet hours come back as `held` (see sendToUsers).
+   */
+  async sendPromoNotification(userIds, promo) {
+    return this.sendToUsers(userIds, this.promoMessage(promo));
+  }
+
+  /**
+   * Send general notification
+   * @param {string} category - Preference category (omit for account messages)
+   */
+  async sendGeneralNotification(userId, title, body, data = {}, category) {
+    return this.sendToUser(userId, this.generalMessage(title, body, data, category));
   }
 }
 
 // Export singleton instance
 const pushService = new PushService();
 export default pushService;
-
@@ -0,0 +1,92 @@
+import Report from '../models/Report.js';
+import { Short, ShortComment } from '../models/Short.js';
+import { SalonReview, ProviderReview } from '../models/Review.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import config from '../config/index.js';
+
+/**
+ * Report Service
+ *
+ * Handles user reports on shorts, comments and reviews.
+ * - Each user can report an item once (unique index on Report)
+ * - Every new report bumps the item's reportCount
+ * - Shorts and comments are hidden (isActive: false) once reportCount
+ *   reaches REPORT_HIDE_THRESHOLD; reviews are left for admins to act on
+ */
+
+const REPORT_TARGETS = {
+  short: { model: Short, label: 'Short', canHide: true },
+  comment: { model: ShortComment, label: 'Comment', canHide: true },
+  salon_review: { model: SalonReview, label: 'Review', canHide: false },
+  provider_review: { model: ProviderReview, label: 'Review', canHide: false },
+};
+
+class ReportService {
+  /**
+   * Submit a report
+   * @param {Object} params
+   * @param {ObjectId} params.reporter - Reporting user
+   * @param {string} params.targetType - short | comment | salon_review | provider_review
+   * @param {ObjectId} params.targetId - Reported item
+   * @param {string} params.reason - Report reason (see REPORT_REASONS)
+   * @param {string} params.details - Optional free text
+   * @returns {Promise<Object>} { report, hidden }
+   */
+  async submit({ reporter, targetType, targetId, reason, details }) {
+    const { model: Model, label, canHide } = REPORT_TARGETS[targetType];
+
+    const target = await Model.findById(targetId);
+    if (!target || target.isActive === false) {
+      throw new ApiError(404, `${label} not found`);
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        reporter,
+        targetType,
+        target: target._id,
+        reason,
+        details,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, `You have already reported this ${label.toLowerCase()}`);
+      }
+      throw error;
+    }
+
+    const updated = await Model.findByIdAndUpdate(
+      target._id,
+      { $inc: { reportCount: 1 } },
+      { new: true }
+    );
+
+    let hidden = false;
+    if (canHide && updated.isActive && updated.reportCount >= config.moderation.reportHideThreshold) {
+      hidden = await this.hide(targetType, updated);
+    }
+
+    return { report, hidden };
+  }
+
+  /**
+   * Hide a short or comment
+   * @returns {Promise<boolean>} true if this call hid the item
+   */
+  async hide(targetType, target) {
+    if (targetType === 'comment') {
+      return target.setActive(false);
+    }
+
+    const { modifiedCount } = await Short.updateOne(
+      { _id: target._id, isActive: true },
+      { isActive: false }
+    );
+    return modifiedCount > 0;
+  }
+}
+
+// Export singleton instance
+const reportService = new ReportService();
+export default reportService;
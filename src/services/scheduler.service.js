@@ -0,0 +1,195 @@
+import ScheduledJob from '../models/ScheduledJob.js';
+import config from '../config/index.js';
+
+/**
+ * Scheduler Service
+ *
+ * In-process job runner backed by the ScheduledJob collection, so jobs
+ * survive restarts and can run on any instance.
+ *
+ * - schedule() is idempotent on the job key (upsert with $setOnInsert)
+ * - Jobs are claimed atomically, so two instances never run the same job
+ * - Failed jobs are retried with backoff up to maxAttempts
+ * - Jobs stuck in 'running' (instance died mid-run) are reclaimed after
+ *   a timeout; handlers must be safe to run again
+ *
+ * Handlers are registered per job type and receive the job document.
+ */
+
+const RETRY_BACKOFF_MS = 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+class SchedulerService {
+  constructor() {
+    this.handlers = new Map();
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} jobType - Job type (see ScheduledJob JOB_TYPES)
+   * @param {Function} handler - async (job) => void
+   */
+  registerHandler(jobType, handler) {
+    this.handlers.set(jobType, handler);
+  }
+
+  /**
+   * Schedule a job (no-op if a job with the same key already exists)
+   * @param {string} jobType - Job type
+   * @param {Object} options
+   * @param {string} options.key - Idempotency key
+   * @param {Date} options.runAt - When to run
+   * @param {ObjectId} options.relatedBooking - Booking the job belongs to
+   * @param {Object} options.payload - Extra data for the handler
+   * @returns {Promise<Object>} The existing or newly created job
+   */
+  async schedule(jobType, { key, runAt, relatedBooking, payload = {} }) {
+    return ScheduledJob.findOneAndUpdate(
+      { key },
+      {
+        $setOnInsert: {
+          jobType,
+          key,
+          runAt,
+          relatedBooking,
+          payload,
+          status: 'pending',
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Cancel pending jobs for a booking
+   * @param {ObjectId} bookingId - Booking ID
+   * @param {string} jobType - Only cancel this job type (optional)
+   */
+  async cancelForBooking(bookingId, jobType) {
+    const query = { relatedBooking: bookingId, status: 'pending' };
+    if (jobType) query.jobType = jobType;
+
+    return ScheduledJob.updateMany(query, { status: 'cancelled' });
+  }
+
+  /**
+   * Cancel a pending job by key
+   * @param {string} key - Job key
+   */
+  async cancel(key) {
+    return ScheduledJob.updateOne({ key, status: 'pending' }, { status: 'cancelled' });
+  }
+
+  /**
+   * Atomically claim the next due job
+   * @returns {Promise<Object|null>} Claimed job
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return ScheduledJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      {
+        status: 'running',
+        lockedAt: now,
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { runAt: 1 } }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Claimed job document
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.jobType);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type '${job.jobType}'`);
+      }
+
+      await handler(job);
+
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lastError = undefined;
+    } catch (error) {
+      console.error(`⏱️  Job ${job.key} failed:`, error.message);
+
+      job.lastError = error.message;
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+      } else {
+        job.status = 'pending';
+        job.runAt = new Date(Date.now() + RETRY_BACKOFF_MS * 2 ** (job.attempts - 1));
+      }
+    }
+
+    job.lockedAt = undefined;
+    await job.save();
+  }
+
+  /**
+   * Run all due jobs (up to one batch)
+   * @returns {Promise<number>} Number of jobs run
+   */
+  async runDueJobs() {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let count = 0;
+    try {
+      while (count < BATCH_SIZE) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        await this.runJob(job);
+        count++;
+      }
+    } catch (error) {
+      console.error('⏱️  Scheduler poll failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return count;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runDueJobs(), config.jobs.pollIntervalMs);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+
+    console.log(`⏱️  Job scheduler started (every ${config.jobs.pollIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const schedulerService = new SchedulerService();
+export default schedulerService;
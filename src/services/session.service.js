@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session, { SESSION_PLATFORMS } from '../models/Session.js';
+import User from '../models/User.js';
+import { generateTokens, verifyRefreshToken } from '../middleware/auth.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * Session Service
+ *
+ * Manages per-device login sessions and refresh-token rotation.
+ * - Logging in creates a session for the device (replacing an older
+ *   session on the same device)
+ * - Every refresh issues a new refresh token and invalidates the old one
+ * - Presenting an already-rotated refresh token revokes the session,
+ *   since it means the token was copied
+ */
+
+class SessionService {
+  /**
+   * Read device details from the request
+   * The app sends a stable deviceId (body or X-Device-Id header);
+   * without one every login gets its own session.
+   */
+  getDeviceInfo(req) {
+    const { deviceId, deviceName, platform } = req.body || {};
+
+    return {
+      deviceId: deviceId || req.headers['x-device-id'] || crypto.randomUUID(),
+      deviceName,
+      platform: SESSION_PLATFORMS.includes(platform) ? platform : 'unknown',
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    };
+  }
+
+  /**
+   * Issue tokens for a session and extend it to the refresh token's expiry
+   */
+  async issueTokens(userId, session) {
+    const tokens = generateTokens(userId, session);
+    session.expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+    await session.save();
+    return tokens;
+  }
+
+  /**
+   * Start a new session for a user on the requesting device
+   * @param {Object} user - User document
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { session, tokens }
+   */
+  async createSession(user, req) {
+    const device = this.getDeviceInfo(req);
+
+    // Logging in again on a device replaces its previous session
+    await Session.updateMany(
+      { user: user._id, deviceId: device.deviceId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'replaced' }
+    );
+
+    const session = new Session({
+      user: user._id,
+      ...device,
+      family: crypto.randomUUID(),
+      tokenId: crypto.randomUUID(),
+      expiresAt: new Date(),
+    });
+
+    const tokens = await this.issueTokens(user._id, session);
+
+    return { session, tokens };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { session, tokens }
+   */
+  async rotate(refreshToken, req) {
+    const decoded = verifyRefreshToken(refreshToken);
+
+    // Tokens issued before sessions existed must log in again
+    if (!decoded.sid) {
+      throw new ApiError(401, 'Invalid refresh token');
+    }
+
+    const session = await Session.findById(decoded.sid);
+
+    if (
+      !session
+      || session.revokedAt
+      || session.family !== decoded.fam
+      || session.user.toString() !== decoded.id
+    ) {
+      throw new ApiError(401, 'Invalid refresh token');
+    }
+
+    // Only the latest token of the family may be exchanged
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenId: decoded.jti, revokedAt: null },
+      {
+        tokenId: crypto.randomUUID(),
+        lastUsedAt: new Date(),
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip,
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await session.revoke('token_reuse');
+      throw new ApiError(401, 'Refresh token has already been used, please log in again');
+    }
+
+    const user = await User.findById(decoded.id).select('isActive');
+    if (!user?.isActive) {
+      await rotated.revoke('user_revoked');
+      throw new ApiError(401, 'Account is deactivated');
+    }
+
+    const tokens = await this.issueTokens(user._id, rotated);
+
+    return { session: rotated, tokens };
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {ObjectId} userId - User ID
+   */
+  async listSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort('-lastUsedAt');
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @returns {Promise<Object|null>} The revoked session, or null if not found
+   */
+  async revokeSession(userId, sessionId, reason = 'user_revoked') {
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+    if (!session) return null;
+
+    await session.revoke(reason);
+    return session;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {ObjectId} userId - User ID
+   * @param {Object} options
+   * @param {ObjectId} options.except - Session to keep (e.g. the current one)
+   * @param {string} options.reason - Why the sessions ended
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(userId, { except, reason = 'user_revoked' } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (except) query._id = { $ne: except };
+
+    const { modifiedCount } = await Session.updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    });
+    return modifiedCount;
+  }
+}
+
+// Export singleton instance
+const sessionService = new SessionService();
+export default sessionService;
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import sessionService from './session.service.js';
+import config from '../config/index.js';
+
+/**
+ * Social Auth Service
+ *
+ * Verifies Google / Apple ID tokens from the mobile app and finds, links
+ * or creates the matching user.
+ * - Signing keys are fetched from the provider's JWKS endpoint and cached
+ *   (for the response's max-age, else SOCIAL_JWKS_CACHE_SECONDS). An
+ *   unknown key ID triggers one refetch, since providers rotate keys.
+ * - SOCIAL_JWKS_FILE points all providers at a local JWKS file instead
+ *   (tests / offline development).
+ * - A provider email that matches an existing account links the identity
+ *   to that account, but only when the provider has verified the email.
+ */
+
+const PROVIDERS = {
+  google: {
+    label: 'Google',
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    clientIds: () => config.social.googleClientIds,
+  },
+  apple: {
+    label: 'Apple',
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    clientIds: () => config.social.appleClientIds,
+  },
+};
+
+// Don't refetch keys more often than this when an unknown key ID shows up
+const MIN_REFETCH_MS = 60 * 1000;
+
+class SocialAuthService {
+  constructor() {
+    // provider -> { keys: Map(kid -> KeyObject), fetchedAt, expiresAt }
+    this.keyCache = new Map();
+  }
+
+  /**
+   * Load a provider's JWKS
+   * @returns {Promise<Object>} { keys, maxAgeSeconds }
+   */
+  async loadJwks(provider) {
+    if (config.social.jwksFile) {
+      const jwks = JSON.parse(await readFile(config.social.jwksFile, 'utf8'));
+      return { keys: jwks.keys || [], maxAgeSeconds: config.social.jwksCacheSeconds };
+    }
+
+    const response = await fetch(PROVIDERS[provider].jwksUri);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+
+    const jwks = await response.json();
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+
+    return {
+      keys: jwks.keys || [],
+      maxAgeSeconds: maxAge ? parseInt(maxAge[1], 10) : config.social.jwksCacheSeconds,
+    };
+  }
+
+  /**
+   * Fetch and cache a provider's signing keys
+   */
+  async refreshKeys(provider) {
+    const { keys, maxAgeSeconds } = await this.loadJwks(provider);
+
+    const entry = {
+      keys: new Map(keys
+        .filter((jwk) => jwk.kid && jwk.kty === 'RSA')
+        .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+      fetchedAt: Date.now(),
+      expiresAt: Date.now() + maxAgeSeconds * 1000,
+    };
+
+    this.keyCache.set(provider, entry);
+    return entry;
+  }
+
+  /**
+   * Get the public key a token was signed with
+   * @param {string} provider - google | apple
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<KeyObject|undefined>}
+   */
+  async getSigningKey(provider, kid) {
+    let entry = this.keyCache.get(provider);
+
+    try {
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entry = await this.refreshKeys(provider);
+      } else if (!entry.keys.has(kid) && Date.now() - entry.fetchedAt > MIN_REFETCH_MS) {
+        entry = await this.refreshKeys(provider);
+      }
+    } catch (error) {
+      console.error(`Failed to load ${PROVIDERS[provider].label} signing keys:`, error.message);
+      // Keep using stale keys rather than failing every sign-in
+      if (!entry) {
+        throw new ApiError(503, `${PROVIDERS[provider].label} sign-in is temporarily unavailable`);
+      }
+    }
+
+    return entry.keys.get(kid);
+  }
+
+  /**
+   * Verify an ID token and return the identity it asserts
+   * @param {string} provider - google | apple
+   * @param {string} idToken - ID token from the provider's SDK
+   * @param {Object} options
+   * @param {string} options.nonce - Nonce the app sent with the sign-in request (if any)
+   * @returns {Promise<Object>} { provider, subject, email, emailVerified, firstName, lastName, avatar }
+   */
+  async verifyIdToken(provider, idToken, { nonce } = {}) {
+    const { label, issuers, clientIds } = PROVIDERS[provider];
+
+    if (!clientIds().length) {
+      throw new ApiError(400, `${label} sign-in is not enabled`);
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw new ApiError(401, `Invalid ${label} ID token`);
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+    if (!key) {
+      throw new ApiError(401, `Invalid ${label} ID token`);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer: issuers,
+        audience: clientIds(),
+      });
+    } catch (error) {
+      throw new ApiError(401, error.name === 'TokenExpiredError'
+        ? `${label} ID token has expired`
+        : `Invalid ${label} ID token`);
+    }
+
+    if (nonce && claims.nonce !== nonce) {
+      throw new ApiError(401, `Invalid ${label} ID token`);
+    }
+
+    return {
+      provider,
+      subject: claims.sub,
+      email: claims.email?.toLowerCase(),
+      // Apple sends "true"/"false" strings
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      avatar: claims.picture,
+    };
+  }
+
+  /**
+   * Find, link or create the user for a verified identity
+   * @param {Object} profile - Result of verifyIdToken
+   * @param {Object} names - { firstName, lastName } sent by the app
+   *   (Apple only shares the name with the app, on the first sign-in)
+   * @returns {Promise<Object>} { user, isNewUser, linked }
+   */
+  async findOrCreateUser(profile, { firstName, lastName } = {}) {
+    const { provider, subject, email, emailVerified } = profile;
+    const identityQuery = { socialIdentities: { $elemMatch: { provider, subject } } };
+    const identity = { provider, subject, email, linkedAt: new Date() };
+
+    // Returning user
+    let user = await User.findOne(identityQuery);
+    if (user) {
+      return { user, isNewUser: false, linked: false };
+    }
+
+    // Existing account with the same email
+    if (email) {
+      user = await User.findOne({ email }).select('+password');
+
+      if (user) {
+        if (!emailVerified) {
+          throw new ApiError(409, `An account with this email already exists. Sign in with your password instead.`);
+        }
+
+        // The password was set by someone who never proved they own the
+        // email; the provider just did, so drop it and end their sessions
+        if (!user.isEmailVerified && user.password) {
+          user.password = undefined;
+          await sessionService.revokeAll(user._id, { reason: 'account_linked' });
+        }
+
+        user.isEmailVerified = true;
+        user.socialIdentities.push(identity);
+        await user.save();
+
+        return { user, isNewUser: false, linked: true };
+      }
+    }
+
+    try {
+      user = await User.create({
+        username: `user_${crypto.randomBytes(5).toString('hex')}`,
+        // Unverified emails aren't stored, so they can't block the real owner
+        email: emailVerified ? email : undefined,
+        isEmailVerified: Boolean(email && emailVerified),
+        firstName: firstName || profile.firstName,
+        lastName: lastName || profile.lastName,
+        avatar: profile.avatar,
+        socialIdentities: [identity],
+      });
+    } catch (error) {
+      // A parallel sign-in with the same token created the account first
+      if (error.code === 11000) {
+        user = await User.findOne(identityQuery);
+        if (user) return { user, isNewUser: false, linked: false };
+      }
+      throw error;
+    }
+
+    return { user, isNewUser: true, linked: false };
+  }
+}
+
+// Export singleton instance
+const socialAuthService = new SocialAuthService();
+export default socialAuthService;
@@ -0,0 +1,158 @@
+import { EMAIL_TEMPLATES, EMAIL_LAYOUT, SMS_TEMPLATES, SAMPLE_VARIABLES } from '../templates/index.js';
+import { LANGUAGES } from '../models/User.js';
+
+/**
+ * Template Service
+ *
+ * Renders the email and SMS templates in src/templates for a language.
+ * - {{name}} inserts a value (HTML-escaped in email HTML), {{{name}}}
+ *   inserts it as-is, and dotted names reach into objects
+ * - {{#name}}...{{/name}} is kept when the value is set, once per item
+ *   for arrays (item fields become placeholders); {{^name}}...{{/name}}
+ *   is kept when it is not set
+ * - Missing languages fall back to English; emails without HTML are
+ *   rendered from their text into the standard layout
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const CHANNELS = {
+  email: EMAIL_TEMPLATES,
+  sms: SMS_TEMPLATES,
+};
+
+const SECTION = /{{([#^])\s*([\w.]+)\s*}}([\s\S]*?){{\/\s*\2\s*}}/g;
+const TAG = /{{{\s*([\w.]+)\s*}}}|{{\s*([\w.]+)\s*}}/g;
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const lookup = (variables, name) => name
+  .split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+const isSet = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+class TemplateService {
+  /**
+   * Fill in a template string
+   * @param {string} template - Template text
+   * @param {Object} variables - Placeholder values
+   * @param {Object} options
+   * @param {boolean} options.html - Escape values for HTML
+   * @returns {string}
+   */
+  interpolate(template, variables, { html = false } = {}) {
+    const withSections = template.replace(SECTION, (match, type, name, inner) => {
+      const value = lookup(variables, name);
+
+      if (type === '^') {
+        return isSet(value) ? '' : this.interpolate(inner, variables, { html });
+      }
+      if (!isSet(value)) return '';
+
+      if (Array.isArray(value)) {
+        return value
+          .map((item) => this.interpolate(inner, { ...variables, ...item }, { html }))
+          .join('');
+      }
+      return this.interpolate(inner, variables, { html });
+    });
+
+    return withSections.replace(TAG, (match, raw, name) => {
+      const value = lookup(variables, raw || name);
+      const text = value == null ? '' : String(value);
+      return html && !raw ? escapeHtml(text) : text;
+    });
+  }
+
+  /**
+   * Whether a template exists for a channel
+   */
+  has(name, channel) {
+    return Boolean(CHANNELS[channel]?.[name]);
+  }
+
+  /**
+   * Pick a template in the requested language (English if missing)
+   * @returns {{ template: *, locale: string }}
+   */
+  resolve(name, channel, locale) {
+    const templates = CHANNELS[channel]?.[name];
+    if (!templates) {
+      throw new Error(`No ${channel} template named '${name}'`);
+    }
+
+    const resolved = templates[locale] ? locale : DEFAULT_LANGUAGE;
+    return { template: templates[resolved], locale: resolved };
+  }
+
+  /**
+   * Render a template
+   * @param {string} name - Template name, e.g. booking_confirmation
+   * @param {string} channel - email | sms
+   * @param {string} locale - en | te | hi
+   * @param {Object} variables - Placeholder values
+   * @returns {Object} email: { subject, text, html, locale }; sms: { text, locale }
+   */
+  render(name, channel, locale = DEFAULT_LANGUAGE, variables = {}) {
+    const { template, locale: resolved } = this.resolve(name, channel, locale);
+    const values = { year: new Date().getFullYear(), ...variables, locale: resolved };
+
+    if (channel === 'sms') {
+      return { text: this.interpolate(template, values), locale: resolved };
+    }
+
+    const subject = this.interpolate(template.subject, values);
+    const text = this.interpolate(template.text, values);
+
+    // Text fallback: wrap the text in the standard layout
+    const html = template.html
+      ? this.interpolate(template.html, values, { html: true })
+      : this.interpolate(EMAIL_LAYOUT, {
+        ...values,
+        subject,
+        content: text
+          .split(/\n{2,}/)
+          .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+          .join('\n'),
+      }, { html: true });
+
+    return { subject, text, html, locale: resolved };
+  }
+
+  /**
+   * Render a template with sample booking and promo data
+   */
+  preview(name, channel, locale) {
+    return this.render(name, channel, locale, SAMPLE_VARIABLES);
+  }
+
+  /**
+   * List templates with the languages they exist in
+   * @returns {Object[]} { name, channels: { email: ['en', ...], sms: [...] } }
+   */
+  list() {
+    const names = new Set(Object.values(CHANNELS).flatMap((templates) => Object.keys(templates)));
+
+    return [...names].sort().map((name) => ({
+      name,
+      channels: Object.fromEntries(
+        Object.entries(CHANNELS)
+          .filter(([, templates]) => templates[name])
+          .map(([channel, templates]) => [
+            channel,
+            LANGUAGES.filter((locale) => templates[name][locale]),
+          ])
+      ),
+    }));
+  }
+}
+
+// Export singleton instance
+const templateService = new TemplateService();
+export default templateService;
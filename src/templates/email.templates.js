@@ -0,0 +1,388 @@
+import SMS_TEMPLATES from './sms.templates.js';
+
+/**
+ * Email Templates
+ *
+ * Each template has a subject and a plain-text body per language, and
+ * optionally a full HTML document. Emails without HTML are rendered from
+ * their text into EMAIL_LAYOUT. Placeholders work as in the SMS templates;
+ * in HTML, {{name}} is escaped and {{{name}}} is inserted as-is.
+ * Languages that are missing fall back to English.
+ */
+
+// Layout for emails that only have a text body
+export const EMAIL_LAYOUT = `
+<!DOCTYPE html>
+<html lang="{{locale}}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{subject}}</title>
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    <tr>
+      <td style="padding: 40px 30px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
+        <h1 style="color: #ffffff; margin: 0; font-size: 28px;">✨ Stylio</h1>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 40px 30px; color: #333; font-size: 16px; line-height: 1.6;">
+        {{{content}}}
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px; background-color: #f8f9fa; text-align: center; border-top: 1px solid #eee;">
+        <p style="color: #888; font-size: 12px; margin: 0;">
+          © {{year}} Stylio. All rights reserved.
+        </p>
+      </td>
+    </tr>
+  </table>
+  {{#openUrl}}<img src="{{openUrl}}" width="1" height="1" alt="" style="display: none;">{{/openUrl}}
+</body>
+</html>
+`.trim();
+
+const EMAIL_TEMPLATES = {
+  otp: {
+    en: {
+      subject: 'Your Stylio Verification Code: {{otp}}',
+      text: `
+Hello {{userName}},
+
+Your verification code is: {{otp}}
+
+This code will expire in {{expiresMinutes}} minutes.
+
+If you didn't request this code, please ignore this email.
+
+Best regards,
+The Stylio Team
+      `.trim(),
+      html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verification Code</title>
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    <tr>
+      <td style="padding: 40px 30px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
+        <h1 style="color: #ffffff; margin: 0; font-size: 28px;">✨ Stylio</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 14px;">Your Beauty & Salon Booking App</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 40px 30px;">
+        <h2 style="color: #333; margin: 0 0 20px 0; font-size: 22px;">Hello {{userName}}! 👋</h2>
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 30px 0;">
+          You requested a verification code for your Stylio account. Here's your code:
+        </p>
+        
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 12px; padding: 30px; text-align: center; margin: 0 0 30px 0;">
+          <p style="color: rgba(255,255,255,0.9); margin: 0 0 10px 0; font-size: 14px; text-transform: uppercase; letter-spacing: 2px;">Your Verification Code</p>
+          <h1 style="color: #ffffff; margin: 0; font-size: 42px; letter-spacing: 8px; font-weight: bold;">{{otp}}</h1>
+        </div>
+        
+        <p style="color: #888; font-size: 14px; margin: 0 0 20px 0;">
+          ⏱️ This code expires in <strong>{{expiresMinutes}} minutes</strong>
+        </p>
+        
+        <p style="color: #888; font-size: 14px; margin: 0;">
+          If you didn't request this code, you can safely ignore this email.
+        </p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px; background-color: #f8f9fa; text-align: center; border-top: 1px solid #eee;">
+        <p style="color: #888; font-size: 12px; margin: 0;">
+          © {{year}} Stylio. All rights reserved.<br>
+          This is an automated email, please do not reply.
+        </p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+      `.trim(),
+    },
+    te: {
+      subject: 'మీ Stylio ధృవీకరణ కోడ్: {{otp}}',
+      text: `
+నమస్తే {{userName}},
+
+మీ ధృవీకరణ కోడ్: {{otp}}
+
+ఈ కోడ్ {{expiresMinutes}} నిమిషాల్లో గడువు ముగుస్తుంది.
+
+మీరు ఈ కోడ్‌ను అభ్యర్థించకపోతే, ఈ ఇమెయిల్‌ను పట్టించుకోకండి.
+
+శుభాకాంక్షలతో,
+Stylio బృందం
+      `.trim(),
+    },
+    hi: {
+      subject: 'आपका Stylio सत्यापन कोड: {{otp}}',
+      text: `
+नमस्ते {{userName}},
+
+आपका सत्यापन कोड है: {{otp}}
+
+यह कोड {{expiresMinutes}} मिनट में समाप्त हो जाएगा।
+
+अगर आपने यह कोड नहीं मांगा है, तो इस ईमेल को अनदेखा करें।
+
+धन्यवाद,
+Stylio टीम
+      `.trim(),
+    },
+  },
+
+  booking_confirmation: {
+    en: {
+      subject: 'Booking Confirmed! #{{bookingNumber}} - Stylio',
+      text: `
+Your booking is confirmed!
+
+Booking Number: #{{bookingNumber}}
+Salon: {{salonName}}
+Date: {{date}}
+Time: {{time}}
+
+Services:
+{{#services}}• {{name}}\n{{/services}}
+Total: ₹{{totalAmount}}
+
+We look forward to seeing you!
+
+Best regards,
+The Stylio Team
+      `.trim(),
+      html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    <tr>
+      <td style="padding: 40px 30px; text-align: center; background: linear-gradient(135deg, #10b981 0%, #059669 100%);">
+        <h1 style="color: #ffffff; margin: 0; font-size: 28px;">✅ Booking Confirmed!</h1>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 40px 30px;">
+        <div style="background: #f8f9fa; border-radius: 12px; padding: 20px; margin-bottom: 20px;">
+          <p style="color: #888; margin: 0 0 5px 0; font-size: 12px; text-transform: uppercase;">Booking Number</p>
+          <p style="color: #333; margin: 0; font-size: 24px; font-weight: bold;">#{{bookingNumber}}</p>
+        </div>
+        
+        <table width="100%" cellpadding="10" style="margin-bottom: 20px;">
+          <tr>
+            <td style="color: #888; font-size: 14px;">Salon</td>
+            <td style="color: #333; font-size: 14px; font-weight: 600; text-align: right;">{{salonName}}</td>
+          </tr>
+          <tr>
+            <td style="color: #888; font-size: 14px;">Date</td>
+            <td style="color: #333; font-size: 14px; font-weight: 600; text-align: right;">{{date}}</td>
+          </tr>
+          <tr>
+            <td style="color: #888; font-size: 14px;">Time</td>
+            <td style="color: #333; font-size: 14px; font-weight: 600; text-align: right;">{{time}}</td>
+          </tr>
+          <tr>
+            <td colspan="2" style="border-top: 1px solid #eee; padding-top: 15px;">
+              <p style="color: #888; margin: 0 0 10px 0; font-size: 12px; text-transform: uppercase;">Services</p>
+              {{#services}}<p style="color: #333; margin: 5px 0; font-size: 14px;">• {{name}}</p>{{/services}}
+            </td>
+          </tr>
+        </table>
+        
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 12px; padding: 20px; text-align: center;">
+          <p style="color: rgba(255,255,255,0.9); margin: 0 0 5px 0; font-size: 12px;">Total Amount</p>
+          <p style="color: #fff; margin: 0; font-size: 28px; font-weight: bold;">₹{{totalAmount}}</p>
+        </div>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px; background-color: #f8f9fa; text-align: center; border-top: 1px solid #eee;">
+        <p style="color: #888; font-size: 12px; margin: 0;">
+          © {{year}} Stylio. All rights reserved.
+        </p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+      `.trim(),
+    },
+    te: {
+      subject: 'బుకింగ్ నిర్ధారించబడింది! #{{bookingNumber}} - Stylio',
+      text: `
+మీ బుకింగ్ నిర్ధారించబడింది!
+
+బుకింగ్ నంబర్: #{{bookingNumber}}
+సెలూన్: {{salonName}}
+తేదీ: {{date}}
+సమయం: {{time}}
+
+సేవలు:
+{{#services}}• {{name}}\n{{/services}}
+మొత్తం: ₹{{totalAmount}}
+
+మిమ్మల్ని కలవడానికి ఎదురుచూస్తున్నాము!
+
+శుభాకాంక్షలతో,
+Stylio బృందం
+      `.trim(),
+    },
+    hi: {
+      subject: 'बुकिंग कन्फ़र्म हो गई! #{{bookingNumber}} - Stylio',
+      text: `
+आपकी बुकिंग कन्फ़र्म हो गई है!
+
+बुकिंग नंबर: #{{bookingNumber}}
+सैलून: {{salonName}}
+तारीख: {{date}}
+समय: {{time}}
+
+सेवाएं:
+{{#services}}• {{name}}\n{{/services}}
+कुल: ₹{{totalAmount}}
+
+हम आपका इंतज़ार करेंगे!
+
+धन्यवाद,
+Stylio टीम
+      `.trim(),
+    },
+  },
+
+  // Short booking updates reuse the SMS wording
+  booking_reminder: {
+    en: { subject: 'Reminder: Appointment #{{bookingNumber}}', text: SMS_TEMPLATES.booking_reminder.en },
+    te: { subject: 'రిమైండర్: అపాయింట్‌మెంట్ #{{bookingNumber}}', text: SMS_TEMPLATES.booking_reminder.te },
+    hi: { subject: 'रिमाइंडर: अपॉइंटमेंट #{{bookingNumber}}', text: SMS_TEMPLATES.booking_reminder.hi },
+  },
+
+  booking_cancellation: {
+    en: { subject: 'Booking Cancelled #{{bookingNumber}}', text: SMS_TEMPLATES.booking_cancellation.en },
+    te: { subject: 'బుకింగ్ రద్దు చేయబడింది #{{bookingNumber}}', text: SMS_TEMPLATES.booking_cancellation.te },
+    hi: { subject: 'बुकिंग रद्द #{{bookingNumber}}', text: SMS_TEMPLATES.booking_cancellation.hi },
+  },
+
+  booking_rescheduled: {
+    en: { subject: 'Booking Rescheduled #{{bookingNumber}}', text: SMS_TEMPLATES.booking_rescheduled.en },
+    te: { subject: 'బుకింగ్ సమయం మార్చబడింది #{{bookingNumber}}', text: SMS_TEMPLATES.booking_rescheduled.te },
+    hi: { subject: 'बुकिंग का समय बदला गया #{{bookingNumber}}', text: SMS_TEMPLATES.booking_rescheduled.hi },
+  },
+
+  password_reset: {
+    en: {
+      subject: 'Reset Your Stylio Password',
+      text: `
+Hello {{userName}},
+
+You requested to reset your password. Click the link below to reset it:
+
+{{resetUrl}}
+
+This link will expire in 1 hour.
+
+If you didn't request this, please ignore this email.
+
+Best regards,
+The Stylio Team
+      `.trim(),
+      html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    <tr>
+      <td style="padding: 40px 30px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
+        <h1 style="color: #ffffff; margin: 0; font-size: 28px;">🔐 Password Reset</h1>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 40px 30px; text-align: center;">
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello {{userName}}!</h2>
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 30px 0;">
+          You requested to reset your password. Click the button below to create a new password.
+        </p>
+        
+        <a href="{{resetUrl}}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 15px 40px; border-radius: 8px; font-size: 16px; font-weight: 600;">
+          Reset Password
+        </a>
+        
+        <p style="color: #888; font-size: 14px; margin: 30px 0 0 0;">
+          ⏱️ This link expires in <strong>1 hour</strong>
+        </p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px; background-color: #f8f9fa; text-align: center; border-top: 1px solid #eee;">
+        <p style="color: #888; font-size: 12px; margin: 0;">
+          If you didn't request this, you can safely ignore this email.
+        </p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+      `.trim(),
+    },
+    te: {
+      subject: 'మీ Stylio పాస్‌వర్డ్‌ను రీసెట్ చేయండి',
+      text: `
+నమస్తే {{userName}},
+
+మీరు మీ పాస్‌వర్డ్‌ను రీసెట్ చేయమని అభ్యర్థించారు. రీసెట్ చేయడానికి కింది లింక్‌ను క్లిక్ చేయండి:
+
+{{resetUrl}}
+
+ఈ లింక్ 1 గంటలో గడువు ముగుస్తుంది.
+
+మీరు దీన్ని అభ్యర్థించకపోతే, ఈ ఇమెయిల్‌ను పట్టించుకోకండి.
+
+శుభాకాంక్షలతో,
+Stylio బృందం
+      `.trim(),
+    },
+    hi: {
+      subject: 'अपना Stylio पासवर्ड रीसेट करें',
+      text: `
+नमस्ते {{userName}},
+
+आपने अपना पासवर्ड रीसेट करने का अनुरोध किया है। रीसेट करने के लिए नीचे दिए गए लिंक पर क्लिक करें:
+
+{{resetUrl}}
+
+यह लिंक 1 घंटे में समाप्त हो जाएगा।
+
+अगर आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।
+
+धन्यवाद,
+Stylio टीम
+      `.trim(),
+    },
+  },
+
+  promo: {
+    en: { subject: '{{title}}', text: '{{message}}{{#promoCode}}\n\nUse code {{promoCode}} at checkout{{#validUntil}} before {{validUntil}}{{/validUntil}}.{{/promoCode}}' },
+    te: { subject: '{{title}}', text: '{{message}}{{#promoCode}}\n\nచెకౌట్‌లో కోడ్ {{promoCode}} ఉపయోగించండి{{#validUntil}} ({{validUntil}} లోపు){{/validUntil}}.{{/promoCode}}' },
+    hi: { subject: '{{title}}', text: '{{message}}{{#promoCode}}\n\nचेकआउट पर कोड {{promoCode}} इस्तेमाल करें{{#validUntil}} ({{validUntil}} से पहले){{/validUntil}}।{{/promoCode}}' },
+  },
+};
+
+export default EMAIL_TEMPLATES;
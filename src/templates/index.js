@@ -0,0 +1,26 @@
+// Export all message templates from a single entry point
+export { default as EMAIL_TEMPLATES, EMAIL_LAYOUT } from './email.templates.js';
+export { default as SMS_TEMPLATES } from './sms.templates.js';
+
+// Sample booking and promo data used to preview templates
+export const SAMPLE_VARIABLES = {
+  userName: 'Priya',
+  otp: '482913',
+  expiresMinutes: 15,
+  resetUrl: 'https://stylio.app/reset-password?token=sample-token',
+  bookingNumber: 'BK240815001',
+  salonName: 'Glow Studio, Banjara Hills',
+  date: 'Friday, 16 August 2024',
+  time: '11:30',
+  previousDate: 'Thu, 15 Aug',
+  previousTime: '16:00',
+  services: [{ name: 'Haircut & Styling' }, { name: 'Head Massage' }],
+  totalAmount: 1250,
+  isTomorrow: true,
+  reason: 'Stylist unavailable',
+  fee: 250,
+  title: 'Weekend Glow Offer',
+  message: 'Get 20% off all facials this weekend.',
+  promoCode: 'GLOW20',
+  validUntil: 'Sun, 18 Aug',
+};
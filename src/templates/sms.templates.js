@@ -0,0 +1,48 @@
+/**
+ * SMS Templates
+ *
+ * One string per template and language. Placeholders use {{name}};
+ * {{#name}}...{{/name}} is only kept when the value is set and
+ * {{^name}}...{{/name}} only when it is not. Languages that are missing
+ * fall back to English.
+ */
+
+const SMS_TEMPLATES = {
+  otp: {
+    en: 'Your Stylio verification code is: {{otp}}. Valid for {{expiresMinutes}} minutes.',
+    te: 'మీ Stylio ధృవీకరణ కోడ్: {{otp}}. ఇది {{expiresMinutes}} నిమిషాల పాటు చెల్లుతుంది.',
+    hi: 'आपका Stylio सत्यापन कोड है: {{otp}}. यह {{expiresMinutes}} मिनट तक मान्य है।',
+  },
+
+  booking_confirmation: {
+    en: 'Booking Confirmed! #{{bookingNumber}} at {{salonName}} on {{date}}. See you soon! - Stylio',
+    te: 'బుకింగ్ నిర్ధారించబడింది! #{{bookingNumber}} - {{salonName}}, {{date}}. త్వరలో కలుద్దాం! - Stylio',
+    hi: 'बुकिंग कन्फ़र्म! #{{bookingNumber}} - {{salonName}}, {{date}}. जल्द मिलते हैं! - Stylio',
+  },
+
+  booking_reminder: {
+    en: 'Reminder: Your appointment at {{salonName}} is {{#isTomorrow}}tomorrow{{/isTomorrow}}{{^isTomorrow}}today{{/isTomorrow}} at {{time}}. Booking #{{bookingNumber}} - Stylio',
+    te: 'రిమైండర్: {{salonName}}లో మీ అపాయింట్‌మెంట్ {{#isTomorrow}}రేపు{{/isTomorrow}}{{^isTomorrow}}ఈరోజు{{/isTomorrow}} {{time}}కి ఉంది. బుకింగ్ #{{bookingNumber}} - Stylio',
+    hi: 'रिमाइंडर: {{salonName}} में आपका अपॉइंटमेंट {{#isTomorrow}}कल{{/isTomorrow}}{{^isTomorrow}}आज{{/isTomorrow}} {{time}} बजे है। बुकिंग #{{bookingNumber}} - Stylio',
+  },
+
+  booking_cancellation: {
+    en: 'Your booking #{{bookingNumber}} has been cancelled.{{#reason}} Reason: {{reason}}{{/reason}}{{#fee}} Cancellation fee: ₹{{fee}}.{{/fee}} - Stylio',
+    te: 'మీ బుకింగ్ #{{bookingNumber}} రద్దు చేయబడింది.{{#reason}} కారణం: {{reason}}{{/reason}}{{#fee}} రద్దు రుసుము: ₹{{fee}}.{{/fee}} - Stylio',
+    hi: 'आपकी बुकिंग #{{bookingNumber}} रद्द कर दी गई है।{{#reason}} कारण: {{reason}}{{/reason}}{{#fee}} रद्दीकरण शुल्क: ₹{{fee}}.{{/fee}} - Stylio',
+  },
+
+  booking_rescheduled: {
+    en: 'Booking #{{bookingNumber}} at {{salonName}} has moved from {{previousDate}} {{previousTime}} to {{date}} {{time}}. - Stylio',
+    te: '{{salonName}}లో బుకింగ్ #{{bookingNumber}} {{previousDate}} {{previousTime}} నుండి {{date}} {{time}}కి మార్చబడింది. - Stylio',
+    hi: '{{salonName}} में बुकिंग #{{bookingNumber}} {{previousDate}} {{previousTime}} से {{date}} {{time}} पर बदल दी गई है। - Stylio',
+  },
+
+  promo: {
+    en: '{{title}}: {{message}}{{#promoCode}} Use code {{promoCode}}{{#validUntil}} by {{validUntil}}{{/validUntil}}.{{/promoCode}} - Stylio',
+    te: '{{title}}: {{message}}{{#promoCode}} కోడ్ {{promoCode}} ఉపయోగించండి{{#validUntil}} ({{validUntil}} వరకు){{/validUntil}}.{{/promoCode}} - Stylio',
+    hi: '{{title}}: {{message}}{{#promoCode}} कोड {{promoCode}} इस्तेमाल करें{{#validUntil}} ({{validUntil}} तक){{/validUntil}}।{{/promoCode}} - Stylio',
+  },
+};
+
+export default SMS_TEMPLATES;
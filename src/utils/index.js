@@ -14,6 +14,7 @@ export {
   
   // Filter builders
   buildSalonFilter,
+  buildOpenNowConditions,
   buildServiceFilter,
   
   // Geo query builders
@@ -29,3 +30,5 @@ export {
   formatServiceResponse,
 } from './searchHelpers.js';
 
+
+export { normalizePhone } from './phone.js';
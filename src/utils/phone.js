@@ -0,0 +1,28 @@
+/**
+ * Phone Number Helpers
+ */
+
+import config from '../config/index.js';
+
+/**
+ * Normalize a phone number to E.164 (e.g. +919876543210)
+ * Spaces, dashes, dots and brackets are ignored. Numbers without a
+ * country code get the configured default (OTP_DEFAULT_COUNTRY_CODE).
+ * @param {string} phone - Phone number as typed
+ * @returns {string|null} Normalized number, or null if it is not valid
+ */
+export const normalizePhone = (phone) => {
+  if (typeof phone !== 'string') return null;
+
+  let digits = phone.trim().replace(/[\s\-.()]/g, '');
+
+  if (digits.startsWith('00')) {
+    digits = `+${digits.slice(2)}`;
+  }
+
+  if (!digits.startsWith('+')) {
+    digits = `${config.otp.defaultCountryCode}${digits.replace(/^0+/, '')}`;
+  }
+
+  return /^\+[1-9]\d{7,13}$/.test(digits) ? digits : null;
+};
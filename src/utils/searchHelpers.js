@@ -88,6 +88,7 @@ export const buildSalonFilter = (params) => {
     hasParking,
     hasWifi,
     hasAc,
+    openNow,
   } = params;
 
   const filter = { isActive: true };
@@ -134,9 +135,73 @@ export const buildSalonFilter = (params) => {
   if (hasWifi) filter['features.hasWifi'] = true;
   if (hasAc) filter['features.hasAc'] = true;
 
+  // Open-now filter
+  if (openNow) {
+    filter.$and = buildOpenNowConditions();
+  }
+
   return filter;
 };
 
+/**
+ * Build conditions matching salons that are open at a moment
+ * Mirrors availabilityService.getSalonWindows: a dated override covering
+ * the day replaces the regular hours; otherwise weeklyHours (with breaks)
+ * apply, or openingTime/closingTime for salons without weeklyHours.
+ * Uses server local time, like the rest of the scheduling code.
+ * @param {Date} at - Moment to check (default now)
+ * @returns {Object[]} Conditions for a MongoDB $and
+ */
+export const buildOpenNowConditions = (at = new Date()) => {
+  const dayOfWeek = at.getDay();
+  const time = `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+  const today = new Date(at);
+  today.setHours(0, 0, 0, 0);
+
+  const coversToday = { startDate: { $lte: today }, endDate: { $gte: today } };
+  const containsNow = { startTime: { $lte: time }, endTime: { $gt: time } };
+
+  const regularHoursOpen = {
+    $or: [
+      {
+        weeklyHours: {
+          $elemMatch: {
+            dayOfWeek,
+            isClosed: { $ne: true },
+            openingTime: { $lte: time },
+            closingTime: { $gt: time },
+            breaks: { $not: { $elemMatch: containsNow } },
+          },
+        },
+      },
+      {
+        'weeklyHours.0': { $exists: false },
+        openingTime: { $lte: time },
+        closingTime: { $gt: time },
+        ...(dayOfWeek === 0 && { isOpenSunday: true }),
+      },
+    ],
+  };
+
+  return [{
+    $or: [
+      {
+        availabilityOverrides: { $not: { $elemMatch: coversToday } },
+        ...regularHoursOpen,
+      },
+      {
+        availabilityOverrides: {
+          $elemMatch: {
+            ...coversToday,
+            type: 'custom_hours',
+            windows: { $elemMatch: containsNow },
+          },
+        },
+      },
+    ],
+  }];
+};
+
 /**
  * Build base filter object for services
  * @param {Object} params - Query parameters
@@ -0,0 +1,225 @@
+import { z } from 'zod';
+import { REPORT_TARGET_TYPES, REPORT_STATUSES } from '../models/Report.js';
+import { OUTBOX_CHANNELS, OUTBOX_STATUSES } from '../models/OutboxMessage.js';
+import { LANGUAGES } from '../models/User.js';
+import { CAMPAIGN_CHANNELS, CAMPAIGN_STATUSES, CAMPAIGN_GENDERS } from '../models/Campaign.js';
+
+/**
+ * Admin Moderation Validation Schemas
+ *
+ * These schemas validate requests for the admin moderation, notification
+ * outbox, template preview and promo campaign endpoints.
+ */
+
+// =====================
+// COMMON ENUMS & TYPES
+// =====================
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID');
+const booleanQuery = z.enum(['true', 'false']).transform((value) => value === 'true');
+const reviewTypeEnum = z.enum(['salon', 'provider']);
+
+const paginationFields = {
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+};
+
+// At least one field must be sent on updates
+const hasAnyField = (data) => Object.values(data).some((value) => value !== undefined);
+
+// =====================
+// LIST QUERY SCHEMAS
+// =====================
+
+export const listShortsQuerySchema = z.object({
+  ...paginationFields,
+  flagged: booleanQuery.optional(),
+  isActive: booleanQuery.optional(),
+  isFeatured: booleanQuery.optional(),
+  isVerified: booleanQuery.optional(),
+  q: z.string().trim().max(200).optional(),
+});
+
+export const listCommentsQuerySchema = z.object({
+  ...paginationFields,
+  flagged: booleanQuery.optional(),
+  isActive: booleanQuery.optional(),
+  short: objectId.optional(),
+  user: objectId.optional(),
+});
+
+export const listReviewsQuerySchema = z.object({
+  ...paginationFields,
+  type: reviewTypeEnum.default('salon'),
+  flagged: booleanQuery.optional(),
+  isActive: booleanQuery.optional(),
+  salon: objectId.optional(),
+  provider: objectId.optional(),
+  maxRating: z.coerce.number().int().min(1).max(5).optional(),
+});
+
+export const listReportsQuerySchema = z.object({
+  ...paginationFields,
+  status: z.enum(REPORT_STATUSES).default('open'),
+  targetType: z.enum(REPORT_TARGET_TYPES).optional(),
+  target: objectId.optional(),
+});
+
+// Dead-letter list by default
+export const listOutboxQuerySchema = z.object({
+  ...paginationFields,
+  status: z.enum(OUTBOX_STATUSES).default('failed'),
+  channel: z.enum(OUTBOX_CHANNELS).optional(),
+  purpose: z.string().trim().max(50).optional(),
+  user: objectId.optional(),
+});
+
+export const templatePreviewQuerySchema = z.object({
+  channel: z.enum(['email', 'sms']).default('email'),
+  locale: z.enum(LANGUAGES).default('en'),
+});
+
+export const listCampaignsQuerySchema = z.object({
+  ...paginationFields,
+  status: z.enum(CAMPAIGN_STATUSES).optional(),
+});
+
+// =====================
+// MODERATION SCHEMAS
+// =====================
+
+export const moderateShortSchema = z.object({
+  isActive: z.boolean().optional(),
+  isFeatured: z.boolean().optional(),
+  isVerified: z.boolean().optional(),
+}).strict()
+  .refine(hasAnyField, { message: 'Provide isActive, isFeatured or isVerified' });
+
+export const moderateCommentSchema = z.object({
+  isActive: z.boolean(),
+}).strict();
+
+export const moderateReviewSchema = z.object({
+  isActive: z.boolean(),
+}).strict();
+
+export const updateReportSchema = z.object({
+  status: z.enum(['resolved', 'dismissed']),
+}).strict();
+
+export const reviewParamsSchema = z.object({
+  type: reviewTypeEnum,
+  id: objectId,
+});
+
+// =====================
+// CAMPAIGN SCHEMAS
+// =====================
+
+const idList = z.array(objectId).max(100);
+
+export const campaignAudienceSchema = z.object({
+  cities: idList.optional(),
+  areas: idList.optional(),
+  genders: z.array(z.enum(CAMPAIGN_GENDERS)).optional(),
+  bookedAtSalons: idList.optional(),
+  favoritedSalons: idList.optional(),
+  inactiveDays: z.number().int().min(1).max(3650).optional(),
+}).strict();
+
+const campaignFields = {
+  name: z.string().trim().min(1).max(100),
+  title: z.string().trim().min(1).max(100),
+  message: z.string().trim().min(1).max(500),
+  channels: z.array(z.enum(CAMPAIGN_CHANNELS)).min(1)
+    .transform((channels) => [...new Set(channels)]),
+  audience: campaignAudienceSchema,
+  scheduledFor: z.coerce.date()
+    .refine((date) => date > new Date(), { message: 'Schedule time must be in the future' }),
+};
+
+// Without scheduledFor the campaign starts right away
+export const createCampaignSchema = z.object({
+  ...campaignFields,
+  promoCode: objectId.optional(),
+  channels: campaignFields.channels.default(['push']),
+  audience: campaignAudienceSchema.default({}),
+  scheduledFor: campaignFields.scheduledFor.optional(),
+}).strict();
+
+// Audience replaces the whole audience; promoCode: null unlinks the code
+export const updateCampaignSchema = z.object({
+  name: campaignFields.name.optional(),
+  title: campaignFields.title.optional(),
+  message: campaignFields.message.optional(),
+  promoCode: objectId.nullable().optional(),
+  channels: campaignFields.channels.optional(),
+  audience: campaignFields.audience.optional(),
+  scheduledFor: campaignFields.scheduledFor.optional(),
+}).strict()
+  .refine(hasAnyField, { message: 'Provide at least one field to update' });
+
+// =====================
+// VALIDATION MIDDLEWARE HELPERS
+// =====================
+
+export const validateListShorts = {
+  query: listShortsQuerySchema,
+};
+
+export const validateListComments = {
+  query: listCommentsQuerySchema,
+};
+
+export const validateListReviews = {
+  query: listReviewsQuerySchema,
+};
+
+export const validateListReports = {
+  query: listReportsQuerySchema,
+};
+
+export const validateListOutbox = {
+  query: listOutboxQuerySchema,
+};
+
+export const validateTemplatePreview = {
+  query: templatePreviewQuerySchema,
+};
+
+export const validateListCampaigns = {
+  query: listCampaignsQuerySchema,
+};
+
+export const validateCreateCampaign = {
+  body: createCampaignSchema,
+};
+
+export const validateUpdateCampaign = {
+  body: updateCampaignSchema,
+};
+
+export const validateCampaignAudience = {
+  body: campaignAudienceSchema,
+};
+
+export const validateUpdateReport = {
+  body: updateReportSchema,
+};
+
+export const validateModerateShort = {
+  body: moderateShortSchema,
+};
+
+export const validateModerateComment = {
+  body: moderateCommentSchema,
+};
+
+export const validateModerateReview = {
+  params: reviewParamsSchema,
+  body: moderateReviewSchema,
+};
+
+export const validateReviewParams = {
+  params: reviewParamsSchema,
+};
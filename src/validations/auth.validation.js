@@ -0,0 +1,105 @@
+import { z } from 'zod';
+import { normalizePhone } from '../utils/phone.js';
+import { SOCIAL_PROVIDERS } from '../models/User.js';
+
+/**
+ * Auth Validation Schemas
+ *
+ * These schemas validate request bodies for the phone OTP, social
+ * sign-in and push token endpoints.
+ */
+
+// =====================
+// COMMON ENUMS & TYPES
+// =====================
+
+// Accepts local or international formats and normalizes to E.164
+const phoneNumber = z.string()
+  .transform((value, ctx) => {
+    const phone = normalizePhone(value);
+    if (!phone) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid phone number' });
+      return z.NEVER;
+    }
+    return phone;
+  });
+
+const deviceFields = {
+  deviceId: z.string().trim().max(200).optional(),
+  deviceName: z.string().trim().max(200).optional(),
+  platform: z.enum(['ios', 'android', 'web']).optional(),
+};
+
+// =====================
+// PHONE OTP SCHEMAS
+// =====================
+
+export const requestPhoneOtpSchema = z.object({
+  phone: phoneNumber,
+});
+
+export const verifyPhoneOtpSchema = z.object({
+  phone: phoneNumber,
+  otp: z.string().trim().regex(/^\d{6}$/, 'OTP must be 6 digits'),
+  // Used only when the phone login creates a new account
+  firstName: z.string().trim().max(50).optional(),
+  lastName: z.string().trim().max(50).optional(),
+  ...deviceFields,
+});
+
+// =====================
+// SOCIAL SIGN-IN SCHEMAS
+// =====================
+
+export const socialSignInSchema = z.object({
+  provider: z.enum(SOCIAL_PROVIDERS),
+  idToken: z.string().trim().min(1, 'ID token is required'),
+  // Raw nonce the app passed to the provider (checked against the token)
+  nonce: z.string().trim().max(200).optional(),
+  // Apple only gives the user's name to the app, on the first sign-in
+  firstName: z.string().trim().max(50).optional(),
+  lastName: z.string().trim().max(50).optional(),
+  ...deviceFields,
+});
+
+// =====================
+// PUSH TOKEN SCHEMAS
+// =====================
+
+const expoPushToken = z.string().trim().startsWith('ExponentPushToken[', 'Invalid Expo push token');
+
+export const pushTokenSchema = z.object({
+  pushToken: expoPushToken,
+  platform: deviceFields.platform,
+  appVersion: z.string().trim().max(50).optional(),
+  deviceId: deviceFields.deviceId,
+});
+
+// Without a token, every device of the user is removed
+export const removePushTokenSchema = z.object({
+  pushToken: expoPushToken.optional(),
+});
+
+// =====================
+// VALIDATION MIDDLEWARE HELPERS
+// =====================
+
+export const validateRequestPhoneOtp = {
+  body: requestPhoneOtpSchema,
+};
+
+export const validateVerifyPhoneOtp = {
+  body: verifyPhoneOtpSchema,
+};
+
+export const validateSocialSignIn = {
+  body: socialSignInSchema,
+};
+
+export const validatePushToken = {
+  body: pushTokenSchema,
+};
+
+export const validateRemovePushToken = {
+  body: removePushTokenSchema,
+};
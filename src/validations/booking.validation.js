@@ -0,0 +1,38 @@
+import { z } from 'zod';
+
+/**
+ * Booking Validation Schemas
+ *
+ * These schemas validate request bodies for booking changes.
+ */
+
+// =====================
+// COMMON ENUMS & TYPES
+// =====================
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID');
+const timeString = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format');
+
+// =====================
+// RESCHEDULE SCHEMAS
+// =====================
+
+// Fields that are left out keep their current value
+export const rescheduleBookingSchema = z.object({
+  bookingDate: z.coerce.date().optional(),
+  bookingTime: timeString.optional(),
+  provider: objectId.optional(),
+  reason: z.string().trim().max(500).optional(),
+})
+  .refine(
+    (data) => data.bookingDate || data.bookingTime || data.provider,
+    { message: 'Provide a new bookingDate, bookingTime or provider' }
+  );
+
+// =====================
+// VALIDATION MIDDLEWARE HELPERS
+// =====================
+
+export const validateRescheduleBooking = {
+  body: rescheduleBookingSchema,
+};
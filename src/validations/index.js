@@ -13,3 +13,106 @@ export {
   validateUnifiedSearch,
 } from './search.validation.js';
 
+export {
+  createSalonSchema,
+  updateSalonSchema,
+  updateHoursSchema,
+  galleryImageSchema,
+  salonOverrideSchema,
+  clashingBookingsQuerySchema,
+  bookingPolicySchema,
+  reviewReplyParamsSchema,
+  reviewReplySchema,
+  validateCreateSalon,
+  validateUpdateSalon,
+  validateUpdateHours,
+  validateGalleryImage,
+  validateUpdateGalleryImage,
+  validateSalonOverride,
+  validateClashingBookings,
+  validateBookingPolicy,
+  validateReviewReply,
+  validateReviewReplyParams,
+} from './owner.validation.js';
+
+export {
+  listShortsQuerySchema,
+  listCommentsQuerySchema,
+  listReviewsQuerySchema,
+  listReportsQuerySchema,
+  listOutboxQuerySchema,
+  templatePreviewQuerySchema,
+  listCampaignsQuerySchema,
+  campaignAudienceSchema,
+  createCampaignSchema,
+  updateCampaignSchema,
+  updateReportSchema,
+  moderateShortSchema,
+  moderateCommentSchema,
+  moderateReviewSchema,
+  reviewParamsSchema,
+  validateListShorts,
+  validateListComments,
+  validateListReviews,
+  validateListReports,
+  validateListOutbox,
+  validateTemplatePreview,
+  validateListCampaigns,
+  validateCreateCampaign,
+  validateUpdateCampaign,
+  validateCampaignAudience,
+  validateUpdateReport,
+  validateModerateShort,
+  validateModerateComment,
+  validateModerateReview,
+  validateReviewParams,
+} from './admin.validation.js';
+
+export {
+  reportSchema,
+  validateReport,
+} from './report.validation.js';
+
+export {
+  requestPhoneOtpSchema,
+  verifyPhoneOtpSchema,
+  socialSignInSchema,
+  pushTokenSchema,
+  removePushTokenSchema,
+  validateRequestPhoneOtp,
+  validateVerifyPhoneOtp,
+  validateSocialSignIn,
+  validatePushToken,
+  validateRemovePushToken,
+} from './auth.validation.js';
+
+export {
+  updateProviderProfileSchema,
+  updateAvailabilitySchema,
+  timeOffSchema,
+  availabilityOverrideSchema,
+  addProviderGalleryImageSchema,
+  replaceProviderGallerySchema,
+  providerServiceSchema,
+  updateProviderServiceSchema,
+  providerBookingsQuerySchema,
+  validateUpdateProviderProfile,
+  validateUpdateAvailability,
+  validateTimeOff,
+  validateAvailabilityOverride,
+  validateAddProviderGalleryImage,
+  validateReplaceProviderGallery,
+  validateProviderService,
+  validateUpdateProviderService,
+  validateProviderBookings,
+} from './provider.validation.js';
+
+export {
+  notificationPreferencesSchema,
+  validateNotificationPreferences,
+} from './user.validation.js';
+
+export {
+  rescheduleBookingSchema,
+  validateRescheduleBooking,
+} from './booking.validation.js';
@@ -0,0 +1,223 @@
+import { z } from 'zod';
+import { availabilityOverrideSchema } from './provider.validation.js';
+
+/**
+ * Salon Owner Validation Schemas
+ *
+ * These schemas validate request bodies for the owner dashboard endpoints.
+ */
+
+// =====================
+// COMMON ENUMS & TYPES
+// =====================
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID');
+const timeString = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format');
+const modeEnum = z.enum(['toSalon', 'toHome', 'both']);
+const audienceEnum = z.enum(['men', 'women', 'kids', 'unisex']);
+
+const featuresSchema = z.object({
+  hasParking: z.boolean().optional(),
+  hasWifi: z.boolean().optional(),
+  hasAc: z.boolean().optional(),
+  acceptsCards: z.boolean().optional(),
+  homeServiceAvailable: z.boolean().optional(),
+}).strict();
+
+// =====================
+// SALON PROFILE SCHEMAS
+// =====================
+
+/**
+ * Editable salon profile fields
+ * Rating, popularity and verification fields are intentionally excluded.
+ */
+const salonProfileFields = {
+  name: z.string().trim().min(1).max(200),
+  description: z.string().trim().max(2000).optional(),
+  mode: modeEnum.optional(),
+  audience: z.array(audienceEnum).optional(),
+  area: objectId,
+  address: z.string().trim().min(1),
+  lat: z.coerce.number().min(-90).max(90).optional(),
+  lng: z.coerce.number().min(-180).max(180).optional(),
+  tags: z.array(z.string().trim().min(1).max(50)).max(30).optional(),
+  phone: z.string().trim().max(15).optional(),
+  mobile: z.string().trim().max(15).optional(),
+  email: z.string().trim().email().optional(),
+  website: z.string().trim().url().optional(),
+  coverImage: z.string().optional(),
+  logo: z.string().optional(),
+  thumbnailUrl: z.string().optional(),
+  priceLevel: z.coerce.number().int().min(1).max(4).optional(),
+  features: featuresSchema.optional(),
+};
+
+const breakSchema = z.object({
+  startTime: timeString,
+  endTime: timeString,
+})
+  .refine((b) => b.startTime < b.endTime, { message: 'Break startTime must be before endTime' });
+
+// Hours for one weekday; breaks must sit inside opening hours and not overlap
+const weeklyHoursSchema = z.object({
+  dayOfWeek: z.coerce.number().int().min(0).max(6),
+  isClosed: z.boolean().optional(),
+  openingTime: timeString.optional(),
+  closingTime: timeString.optional(),
+  breaks: z.array(breakSchema).max(4).optional(),
+})
+  .refine(
+    (day) => day.isClosed || (day.openingTime && day.closingTime && day.openingTime < day.closingTime),
+    { message: 'Open days need openingTime before closingTime' }
+  )
+  .refine(
+    (day) => day.isClosed || (day.breaks || []).every(
+      (b) => b.startTime > day.openingTime && b.endTime < day.closingTime
+    ),
+    { message: 'Breaks must be inside opening hours', path: ['breaks'] }
+  )
+  .refine(
+    (day) => (day.breaks || []).every((b, i, all) => all.every((other, j) => (
+      i === j || b.endTime <= other.startTime || other.endTime <= b.startTime
+    ))),
+    { message: 'Breaks must not overlap', path: ['breaks'] }
+  );
+
+const hoursFields = {
+  openingTime: timeString.optional(),
+  closingTime: timeString.optional(),
+  isOpenSunday: z.boolean().optional(),
+  // Empty array goes back to openingTime/closingTime every day
+  weeklyHours: z.array(weeklyHoursSchema).max(7)
+    .refine(
+      (days) => new Set(days.map((d) => d.dayOfWeek)).size === days.length,
+      { message: 'Each weekday can only appear once' }
+    )
+    .optional(),
+};
+
+// lat and lng must be sent together
+const hasCoordinatePair = (data) => (data.lat === undefined) === (data.lng === undefined);
+
+// Opening time must be before closing time when both are sent
+const hasValidHours = (data) => {
+  if (data.openingTime && data.closingTime) {
+    return data.openingTime < data.closingTime;
+  }
+  return true;
+};
+
+export const createSalonSchema = z.object({
+  ...salonProfileFields,
+  ...hoursFields,
+})
+  .refine(hasCoordinatePair, { message: 'Both lat and lng must be provided' })
+  .refine(hasValidHours, { message: 'openingTime must be before closingTime' });
+
+export const updateSalonSchema = z.object({
+  ...salonProfileFields,
+  name: salonProfileFields.name.optional(),
+  area: objectId.optional(),
+  address: salonProfileFields.address.optional(),
+})
+  .refine(hasCoordinatePair, { message: 'Both lat and lng must be provided' });
+
+export const updateHoursSchema = z.object(hoursFields)
+  .refine(hasValidHours, { message: 'openingTime must be before closingTime' });
+
+// =====================
+// GALLERY SCHEMAS
+// =====================
+
+export const galleryImageSchema = z.object({
+  image: z.string().min(1),
+  caption: z.string().max(200).optional(),
+  order: z.coerce.number().int().min(0).optional(),
+});
+
+export const updateGalleryImageSchema = galleryImageSchema.partial();
+
+// =====================
+// AVAILABILITY OVERRIDE SCHEMAS
+// =====================
+
+// Dated closures and special hours use the same shape as provider overrides
+export const salonOverrideSchema = availabilityOverrideSchema;
+
+export const clashingBookingsQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+})
+  .refine((data) => !data.from || !data.to || data.from <= data.to, { message: 'from must not be after to' });
+
+// =====================
+// BOOKING POLICY SCHEMAS
+// =====================
+
+export const bookingPolicySchema = z.object({
+  rescheduleCutoffHours: z.coerce.number().min(0).max(168).optional(),
+  maxReschedules: z.coerce.number().int().min(0).max(10).optional(),
+  freeCancellationHours: z.coerce.number().min(0).max(168).optional(),
+  cancellationFeePercent: z.coerce.number().min(0).max(100).optional(),
+  noShowFeePercent: z.coerce.number().min(0).max(100).optional(),
+})
+  .refine((data) => Object.keys(data).length > 0, { message: 'Nothing to update' });
+
+// =====================
+// REVIEW REPLY SCHEMAS
+// =====================
+
+export const reviewReplyParamsSchema = z.object({
+  type: z.enum(['salon', 'provider']),
+  id: objectId,
+});
+
+export const reviewReplySchema = z.object({
+  message: z.string().trim().min(1).max(1000),
+});
+
+// =====================
+// VALIDATION MIDDLEWARE HELPERS
+// =====================
+
+export const validateCreateSalon = {
+  body: createSalonSchema,
+};
+
+export const validateUpdateSalon = {
+  body: updateSalonSchema,
+};
+
+export const validateUpdateHours = {
+  body: updateHoursSchema,
+};
+
+export const validateGalleryImage = {
+  body: galleryImageSchema,
+};
+
+export const validateUpdateGalleryImage = {
+  body: updateGalleryImageSchema,
+};
+
+export const validateSalonOverride = {
+  body: salonOverrideSchema,
+};
+
+export const validateClashingBookings = {
+  query: clashingBookingsQuerySchema,
+};
+
+export const validateBookingPolicy = {
+  body: bookingPolicySchema,
+};
+
+export const validateReviewReply = {
+  params: reviewReplyParamsSchema,
+  body: reviewReplySchema,
+};
+
+export const validateReviewReplyParams = {
+  params: reviewReplyParamsSchema,
+};
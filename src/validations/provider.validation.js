@@ -0,0 +1,196 @@
+import { z } from 'zod';
+
+/**
+ * Provider Validation Schemas
+ *
+ * These schemas validate request bodies for the provider self-service
+ * endpoints (/api/provider/me).
+ */
+
+// =====================
+// COMMON ENUMS & TYPES
+// =====================
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID');
+const timeString = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format');
+
+// Local calendar day (YYYY-MM-DD), parsed to local midnight
+const dayString = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format')
+  .transform((value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  });
+
+// Longest single time-off entry
+const MAX_TIME_OFF_DAYS = 90;
+
+// Longest single availability override
+const MAX_OVERRIDE_DAYS = 365;
+
+// =====================
+// PROFILE SCHEMAS
+// =====================
+
+export const updateProviderProfileSchema = z.object({
+  bio: z.string().trim().max(1000).optional(),
+  isAvailable: z.boolean().optional(),
+  providesHomeService: z.boolean().optional(),
+  homeServiceAreas: z.array(objectId).max(50).optional(),
+  homeServiceFee: z.coerce.number().min(0).optional(),
+})
+  .refine((data) => Object.keys(data).length > 0, { message: 'Nothing to update' });
+
+// =====================
+// AVAILABILITY SCHEMAS
+// =====================
+
+const availabilitySlotSchema = z.object({
+  dayOfWeek: z.coerce.number().int().min(0).max(6),
+  startTime: timeString,
+  endTime: timeString,
+  isAvailable: z.boolean().optional(),
+})
+  .refine((slot) => slot.startTime < slot.endTime, { message: 'startTime must be before endTime' });
+
+// Working windows on the same day must not overlap
+const hasNoOverlaps = (slots) => slots.every((slot, i) => slots.every((other, j) => (
+  i === j
+  || slot.dayOfWeek !== other.dayOfWeek
+  || slot.endTime <= other.startTime
+  || other.endTime <= slot.startTime
+)));
+
+export const updateAvailabilitySchema = z.object({
+  availability: z.array(availabilitySlotSchema).max(28)
+    .refine(hasNoOverlaps, { message: 'Working hours on the same day must not overlap' }),
+});
+
+export const timeOffSchema = z.object({
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date(),
+  reason: z.string().trim().max(200).optional(),
+})
+  .refine((data) => data.startsAt < data.endsAt, { message: 'startsAt must be before endsAt' })
+  .refine((data) => data.endsAt > new Date(), { message: 'Time off must end in the future' })
+  .refine(
+    (data) => data.endsAt - data.startsAt <= MAX_TIME_OFF_DAYS * 24 * 60 * 60 * 1000,
+    { message: `Time off cannot be longer than ${MAX_TIME_OFF_DAYS} days` }
+  );
+
+const overrideWindowSchema = z.object({
+  startTime: timeString,
+  endTime: timeString,
+})
+  .refine((w) => w.startTime < w.endTime, { message: 'startTime must be before endTime' });
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// Closed or custom hours for a range of days (shared with salon overrides)
+export const availabilityOverrideSchema = z.object({
+  startDate: dayString,
+  endDate: dayString,
+  type: z.enum(['closed', 'custom_hours']),
+  windows: z.array(overrideWindowSchema).max(6).optional(),
+  reason: z.string().trim().max(200).optional(),
+})
+  .refine((data) => data.startDate <= data.endDate, { message: 'startDate must not be after endDate' })
+  .refine((data) => data.endDate >= startOfToday(), { message: 'Override must not be in the past' })
+  .refine(
+    (data) => data.endDate - data.startDate < MAX_OVERRIDE_DAYS * 24 * 60 * 60 * 1000,
+    { message: `Override cannot cover more than ${MAX_OVERRIDE_DAYS} days` }
+  )
+  .refine(
+    (data) => data.type === 'closed' || data.windows?.length > 0,
+    { message: 'custom_hours overrides need at least one window', path: ['windows'] }
+  )
+  .refine(
+    (data) => data.type === 'custom_hours' || !data.windows?.length,
+    { message: 'closed overrides cannot have windows', path: ['windows'] }
+  )
+  .refine(
+    (data) => hasNoOverlaps((data.windows || []).map((w) => ({ ...w, dayOfWeek: 0 }))),
+    { message: 'Windows must not overlap', path: ['windows'] }
+  );
+
+// =====================
+// GALLERY SCHEMAS
+// =====================
+
+const imageUrl = z.string().trim().min(1).max(2000);
+
+export const addProviderGalleryImageSchema = z.object({
+  image: imageUrl,
+});
+
+// Full ordered list; used to reorder or remove images
+export const replaceProviderGallerySchema = z.object({
+  images: z.array(imageUrl).max(30, 'Gallery cannot have more than 30 images'),
+});
+
+// =====================
+// SERVICE SCHEMAS
+// =====================
+
+export const providerServiceSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  price: z.coerce.number().min(0),
+  duration: z.coerce.number().int().min(5).max(600),
+});
+
+export const updateProviderServiceSchema = providerServiceSchema.partial()
+  .refine((data) => Object.keys(data).length > 0, { message: 'Nothing to update' });
+
+// =====================
+// BOOKING SCHEMAS
+// =====================
+
+export const providerBookingsQuerySchema = z.object({
+  status: z.enum(['pending', 'confirmed', 'in_progress']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+});
+
+// =====================
+// VALIDATION MIDDLEWARE HELPERS
+// =====================
+
+export const validateUpdateProviderProfile = {
+  body: updateProviderProfileSchema,
+};
+
+export const validateUpdateAvailability = {
+  body: updateAvailabilitySchema,
+};
+
+export const validateTimeOff = {
+  body: timeOffSchema,
+};
+
+export const validateAvailabilityOverride = {
+  body: availabilityOverrideSchema,
+};
+
+export const validateAddProviderGalleryImage = {
+  body: addProviderGalleryImageSchema,
+};
+
+export const validateReplaceProviderGallery = {
+  body: replaceProviderGallerySchema,
+};
+
+export const validateProviderService = {
+  body: providerServiceSchema,
+};
+
+export const validateUpdateProviderService = {
+  body: updateProviderServiceSchema,
+};
+
+export const validateProviderBookings = {
+  query: providerBookingsQuerySchema,
+};
@@ -0,0 +1,21 @@
+import { z } from 'zod';
+import { REPORT_REASONS } from '../models/Report.js';
+
+/**
+ * Report Validation Schemas
+ *
+ * These schemas validate user reports on shorts, comments and reviews.
+ */
+
+export const reportSchema = z.object({
+  reason: z.enum(REPORT_REASONS),
+  details: z.string().trim().max(500).optional(),
+});
+
+// =====================
+// VALIDATION MIDDLEWARE HELPERS
+// =====================
+
+export const validateReport = {
+  body: reportSchema,
+};
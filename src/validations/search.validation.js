@@ -74,6 +74,10 @@ export const salonSearchSchema = z.object({
   hasAc: z.coerce.boolean().optional(),
   serviceType: z.string().optional()
     .describe('Filter by service type slug'),
+
+  // Opening hours filter
+  openNow: z.enum(['true', 'false']).optional()
+    .describe('Only salons open right now (overrides and breaks included)'),
   
   // Pagination
   page: z.coerce.number().int().min(1).default(1),
@@ -0,0 +1,63 @@
+import { z } from 'zod';
+import { LANGUAGES } from '../models/User.js';
+
+/**
+ * User Validation Schemas
+ *
+ * These schemas validate request bodies for the user settings endpoints.
+ */
+
+// =====================
+// COMMON ENUMS & TYPES
+// =====================
+
+const timeString = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format');
+
+// IANA time zone name, e.g. Asia/Kolkata
+const timezone = z.string().refine((value) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}, { message: 'Unknown time zone' });
+
+// =====================
+// NOTIFICATION PREFERENCE SCHEMAS
+// =====================
+
+const channelPreferencesSchema = z.object({
+  email: z.boolean().optional(),
+  sms: z.boolean().optional(),
+  push: z.boolean().optional(),
+}).strict();
+
+const quietHoursSchema = z.object({
+  enabled: z.boolean().optional(),
+  start: timeString.optional(),
+  end: timeString.optional(),
+}).strict()
+  .refine((data) => !data.start || !data.end || data.start !== data.end, {
+    message: 'Quiet hours start and end must differ',
+  });
+
+// Partial update; categories and channels that are left out keep their value
+export const notificationPreferencesSchema = z.object({
+  bookingUpdates: channelPreferencesSchema.optional(),
+  reminders: channelPreferencesSchema.optional(),
+  promos: channelPreferencesSchema.optional(),
+  social: channelPreferencesSchema.optional(),
+  quietHours: quietHoursSchema.optional(),
+  timezone: timezone.optional(),
+  language: z.enum(LANGUAGES).optional(),
+}).strict()
+  .refine((data) => Object.keys(data).length > 0, { message: 'Nothing to update' });
+
+// =====================
+// VALIDATION MIDDLEWARE HELPERS
+// =====================
+
+export const validateNotificationPreferences = {
+  body: notificationPreferencesSchema,
+};
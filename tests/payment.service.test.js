@@ -0,0 +1,284 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../src/models/Payment.js';
+import Booking from '../src/models/Booking.js';
+import FakeGateway from '../src/services/gateways/fake.gateway.js';
+import paymentService from '../src/services/payment.service.js';
+
+/**
+ * Payment lifecycle against the fake gateway.
+ * Model reads and writes are stubbed, so no database is needed.
+ */
+
+const gateway = new FakeGateway();
+
+const buildBooking = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'confirmed',
+  finalAmount: 499,
+  ...overrides,
+});
+
+// Minimal stand-in for a conditional findOneAndUpdate on the stored payment
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc.get(field) ?? null;
+  if (condition?.$in) return condition.$in.some((option) => String(option) === String(value));
+  return String(condition) === String(value);
+});
+
+const applyUpdate = (doc, update) => {
+  const { $set = {}, $push = {}, ...fields } = update;
+  Object.entries({ ...fields, ...$set }).forEach(([field, value]) => doc.set(field, value));
+  Object.entries($push).forEach(([field, value]) => doc.get(field).push(value));
+  return doc;
+};
+
+// Send a callback the way the gateway would: the signature covers the exact bytes
+const sendCallback = (body, { signature, rawBody } = {}) => {
+  const raw = rawBody ?? Buffer.from(JSON.stringify(body));
+  const headers = { 'x-fake-signature': signature ?? gateway.signPayload(raw) };
+  return paymentService.handleCallback('fake', headers, body, raw);
+};
+
+describe('payment service with the fake gateway', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = null;
+
+    jest.spyOn(Payment, 'findOne').mockImplementation(async () => stored);
+    jest.spyOn(Payment, 'create').mockImplementation(async (data) => {
+      stored = new Payment(data);
+      return stored;
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => (
+      stored && matches(stored, filter) ? applyUpdate(stored, update) : null
+    ));
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startPayment', () => {
+    test('creates a processing payment with a checkout for online methods', async () => {
+      const booking = buildBooking();
+
+      const { payment, checkout } = await paymentService.startPayment(booking, 'card');
+
+      expect(payment.status).toBe('processing');
+      expect(payment.amount).toBe(499);
+      expect(payment.paymentGateway).toBe('fake');
+      expect(payment.transactionId).toMatch(/^fake_txn_/);
+      expect(checkout).toMatchObject({ gateway: 'fake', transactionId: payment.transactionId, amount: 499 });
+      expect(Booking.updateOne).toHaveBeenCalledWith({ _id: booking._id }, { paymentStatus: 'processing' });
+    });
+
+    test('leaves cash payments pending until they are collected', async () => {
+      const { payment, checkout } = await paymentService.startPayment(buildBooking(), 'cash');
+
+      expect(payment.status).toBe('pending');
+      expect(payment.paymentGateway).toBe('cash');
+      expect(checkout).toBeNull();
+    });
+
+    test('returns the existing payment when a concurrent start wins the unique index', async () => {
+      const booking = buildBooking();
+      const existing = new Payment({ booking: booking._id, amount: 499, paymentMethod: 'card', status: 'processing' });
+
+      Payment.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+      Payment.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const result = await paymentService.startPayment(booking, 'card');
+
+      expect(result).toEqual({ payment: existing, checkout: null });
+      expect(Payment.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('refuses to restart a settled payment', async () => {
+      const booking = buildBooking();
+      stored = new Payment({ booking: booking._id, amount: 499, paymentMethod: 'card', status: 'completed' });
+
+      await expect(paymentService.startPayment(booking, 'card'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('refuses to pay for a cancelled booking', async () => {
+      await expect(paymentService.startPayment(buildBooking({ status: 'cancelled' }), 'card'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(Payment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleCallback', () => {
+    let payment;
+
+    beforeEach(async () => {
+      ({ payment } = await paymentService.startPayment(buildBooking(), 'upi'));
+      Booking.updateOne.mockClear();
+    });
+
+    test('completes the payment on a signed success callback', async () => {
+      const updated = await sendCallback({ transactionId: payment.transactionId, status: 'completed', amount: 499 });
+
+      expect(updated.status).toBe('completed');
+      expect(updated.paidAt).toBeInstanceOf(Date);
+      expect(Booking.updateOne).toHaveBeenCalledWith({ _id: payment.booking }, { paymentStatus: 'completed' });
+    });
+
+    test('fails the payment when the settled amount does not match', async () => {
+      const updated = await sendCallback({ transactionId: payment.transactionId, status: 'completed', amount: 1 });
+
+      expect(updated.status).toBe('failed');
+      expect(updated.failureReason).toMatch(/Amount mismatch/);
+    });
+
+    test('fails the payment on a failure callback', async () => {
+      const updated = await sendCallback({
+        transactionId: payment.transactionId,
+        status: 'failed',
+        failureReason: 'Card declined',
+      });
+
+      expect(updated.status).toBe('failed');
+      expect(updated.failureReason).toBe('Card declined');
+    });
+
+    test('settles only once when the gateway retries a callback', async () => {
+      const body = { transactionId: payment.transactionId, status: 'completed', amount: 499 };
+      await sendCallback(body);
+      Payment.prototype.save.mockClear();
+
+      const updated = await sendCallback({ ...body, status: 'failed' });
+
+      expect(updated.status).toBe('completed');
+      expect(Payment.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('rejects a callback whose signature does not match the body', async () => {
+      const body = { transactionId: payment.transactionId, status: 'completed', amount: 499 };
+
+      await expect(sendCallback(body, { signature: gateway.signPayload('{"status":"completed"}') }))
+        .rejects.toMatchObject({ statusCode: 401 });
+      expect(payment.status).toBe('processing');
+    });
+
+    test('rejects a signature made over a different serialization of the same body', async () => {
+      const body = { transactionId: payment.transactionId, status: 'completed', amount: 499 };
+      const rawBody = Buffer.from(JSON.stringify(body, null, 2));
+
+      await expect(sendCallback(body, { rawBody, signature: gateway.signPayload(JSON.stringify(body)) }))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('rejects a callback without a signature or raw body', async () => {
+      const body = { transactionId: payment.transactionId, status: 'completed', amount: 499 };
+      const raw = Buffer.from(JSON.stringify(body));
+
+      await expect(paymentService.handleCallback('fake', {}, body, raw))
+        .rejects.toMatchObject({ statusCode: 401 });
+      await expect(paymentService.handleCallback('fake', { 'x-fake-signature': gateway.signPayload(raw) }, body))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('rejects callbacks for an unknown gateway', async () => {
+      await expect(paymentService.handleCallback('unknown', {}, {}, Buffer.from('{}')))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('refund', () => {
+    let payment;
+
+    beforeEach(async () => {
+      ({ payment } = await paymentService.startPayment(buildBooking(), 'card'));
+      await sendCallback({ transactionId: payment.transactionId, status: 'completed', amount: 499 });
+    });
+
+    test('refunds part of the payment, then the rest', async () => {
+      await paymentService.refund(payment, { amount: 100, reason: 'Late start' });
+
+      expect(payment.status).toBe('partially_refunded');
+      expect(payment.refundedAmount).toBe(100);
+      expect(payment.refunds[0].refundId).toMatch(/^fake_rfnd_/);
+
+      await paymentService.refund(payment, { reason: 'Cancelled' });
+
+      expect(payment.status).toBe('refunded');
+      expect(payment.refundedAmount).toBe(499);
+      expect(payment.refundableAmount).toBe(0);
+    });
+
+    test('refunds only once when two refunds of the same payment race', async () => {
+      jest.spyOn(FakeGateway.prototype, 'refund');
+      // Each request loads its own copy of the payment
+      const first = Payment.hydrate(stored.toObject());
+      const second = Payment.hydrate(stored.toObject());
+
+      const results = await Promise.allSettled([
+        paymentService.refund(first, { amount: 300, reason: 'First' }),
+        paymentService.refund(second, { amount: 300, reason: 'Second' }),
+      ]);
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(results[1].reason).toMatchObject({ statusCode: 409 });
+      expect(FakeGateway.prototype.refund).toHaveBeenCalledTimes(1);
+      expect(stored.refundedAmount).toBe(300);
+      expect(stored.refunds).toHaveLength(1);
+      expect(stored.status).toBe('partially_refunded');
+    });
+
+    test('releases the reserved amount when the gateway refuses the refund', async () => {
+      jest.spyOn(FakeGateway.prototype, 'refund').mockResolvedValue({ success: false, error: 'Declined' });
+
+      await expect(paymentService.refund(payment, { amount: 100, reason: 'Late start' }))
+        .rejects.toMatchObject({ statusCode: 502 });
+      expect(Payment.updateOne).toHaveBeenCalledWith({ _id: payment._id }, expect.any(Array));
+      expect(payment.refunds).toHaveLength(0);
+    });
+
+    test('refuses to refund more than was paid', async () => {
+      await expect(paymentService.refund(payment, { amount: 500, reason: 'Too much' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(payment.status).toBe('completed');
+    });
+  });
+
+  describe('collectCash', () => {
+    let payment;
+    const collectedBy = new mongoose.Types.ObjectId();
+
+    beforeEach(async () => {
+      ({ payment } = await paymentService.startPayment(buildBooking(), 'cash'));
+      jest.spyOn(Booking, 'findById').mockReturnValue({
+        select: async () => ({ finalAmount: 499 }),
+      });
+    });
+
+    test('marks a pending cash payment as collected', async () => {
+      await paymentService.collectCash(payment, collectedBy);
+
+      expect(payment.status).toBe('completed');
+      expect(payment.paidAt).toBeInstanceOf(Date);
+      expect(String(payment.collectedBy)).toBe(String(collectedBy));
+    });
+
+    test('lets only one of two concurrent collections through', async () => {
+      const first = Payment.hydrate(stored.toObject());
+      const second = Payment.hydrate(stored.toObject());
+
+      const results = await Promise.allSettled([
+        paymentService.collectCash(first, collectedBy),
+        paymentService.collectCash(second, collectedBy),
+      ]);
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(results[1].reason).toMatchObject({ statusCode: 409 });
+    });
+  });
+});
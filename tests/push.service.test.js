@@ -0,0 +1,199 @@
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+
+/**
+ * Pruning of DeviceNotRegistered tokens, against a local server standing in
+ * for Expo's push and receipts endpoints (EXPO_PUSH_URL / EXPO_RECEIPTS_URL).
+ * Model writes and job scheduling are stubbed, so no database is needed.
+ */
+
+const GONE = 'ExponentPushToken[gone]';
+const ACTIVE = 'ExponentPushToken[active]';
+
+// What the stub Expo server answers; set per test
+const expo = {
+  requests: [],
+  receipts: {},
+  status: 200,
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    expo.requests.push({ url: req.url, payload });
+
+    let result;
+    if (expo.status !== 200) {
+      result = { errors: [{ code: 'INTERNAL_SERVER_ERROR', message: 'Expo is down' }] };
+    } else if (req.url === '/push/send') {
+      result = {
+        data: payload.map((message, index) => (message.to === GONE
+          ? {
+            status: 'error',
+            message: `"${message.to}" is not a registered push notification recipient`,
+            details: { error: 'DeviceNotRegistered' },
+          }
+          : { status: 'ok', id: `ticket-${index}` })),
+      };
+    } else {
+      result = { data: Object.fromEntries(payload.ids
+        .filter((id) => expo.receipts[id])
+        .map((id) => [id, expo.receipts[id]])) };
+    }
+
+    res.writeHead(expo.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+});
+
+let pushService;
+let schedulerService;
+let DeviceToken;
+let User;
+
+beforeAll(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Config is read when the service is first imported
+  process.env.EXPO_PUSH_URL = `${baseUrl}/push/send`;
+  process.env.EXPO_RECEIPTS_URL = `${baseUrl}/push/getReceipts`;
+
+  ({ default: pushService } = await import('../src/services/push.service.js'));
+  ({ default: schedulerService } = await import('../src/services/scheduler.service.js'));
+  ({ default: DeviceToken } = await import('../src/models/DeviceToken.js'));
+  ({ default: User } = await import('../src/models/User.js'));
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  expo.requests = [];
+  expo.receipts = {};
+  expo.status = 200;
+
+  jest.spyOn(schedulerService, 'schedule').mockResolvedValue({});
+  jest.spyOn(DeviceToken, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const expectRemoved = (tokens) => {
+  expect(DeviceToken.deleteMany).toHaveBeenCalledWith({ token: { $in: tokens } });
+  expect(User.updateMany).toHaveBeenCalledWith(
+    { pushToken: { $in: tokens } },
+    { $unset: { pushToken: '', pushPlatform: '' } }
+  );
+};
+
+describe('pushService.sendToTokens', () => {
+  test('deletes tokens whose ticket says DeviceNotRegistered', async () => {
+    const result = await pushService.sendToTokens([ACTIVE, GONE], { title: 'Hi', body: 'There' });
+
+    expect(result).toEqual({ success: true, sent: 1, total: 2 });
+    expectRemoved([GONE]);
+  });
+
+  test('schedules a receipt check for the accepted tickets only', async () => {
+    await pushService.sendToTokens([ACTIVE, GONE], { title: 'Hi', body: 'There' });
+
+    expect(schedulerService.schedule).toHaveBeenCalledWith('push_receipts', expect.objectContaining({
+      key: 'push_receipts:ticket-0',
+      payload: { tickets: [{ id: 'ticket-0', token: ACTIVE }] },
+    }));
+  });
+
+  test('keeps every token when Expo rejects the whole request', async () => {
+    expo.status = 500;
+
+    const result = await pushService.sendToTokens([ACTIVE, GONE], { title: 'Hi', body: 'There' });
+
+    expect(result).toEqual({ success: false, error: 'Expo is down' });
+    expect(DeviceToken.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('skips tokens that are not Expo tokens without calling Expo', async () => {
+    const result = await pushService.sendToTokens(['not-a-token'], { title: 'Hi', body: 'There' });
+
+    expect(result).toMatchObject({ sent: 0, reason: 'no_valid_tokens' });
+    expect(expo.requests).toHaveLength(0);
+  });
+});
+
+describe('pushService.sendToUsers', () => {
+  test('holds users in their quiet hours and returns when to send to them', async () => {
+    const awake = new User({ username: 'awake', pushToken: ACTIVE });
+    const asleep = new User({ username: 'asleep', pushToken: 'ExponentPushToken[asleep]' });
+    const retryAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => [awake, asleep] });
+    jest.spyOn(DeviceToken, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(awake, 'isInQuietHours').mockReturnValue(false);
+    jest.spyOn(asleep, 'isInQuietHours').mockReturnValue(true);
+    jest.spyOn(asleep, 'notifyAt').mockReturnValue(retryAt);
+
+    const result = await pushService.sendToUsers([awake._id, asleep._id], {
+      title: 'Weekend offer',
+      body: '20% off',
+      category: 'promos',
+    });
+
+    expect(result).toMatchObject({ success: true, sent: 1, held: [{ userId: asleep._id, retryAt }] });
+    expect(expo.requests).toHaveLength(1);
+    expect(expo.requests[0].payload.map((message) => message.to)).toEqual([ACTIVE]);
+  });
+});
+
+describe('pushService.checkReceipts', () => {
+  const job = {
+    payload: {
+      tickets: [
+        { id: 'ticket-1', token: ACTIVE },
+        { id: 'ticket-2', token: GONE },
+        { id: 'ticket-3', token: 'ExponentPushToken[pending]' },
+        { id: 'ticket-4', token: 'ExponentPushToken[too-big]' },
+      ],
+    },
+  };
+
+  test('deletes only the tokens whose receipt says DeviceNotRegistered', async () => {
+    expo.receipts = {
+      'ticket-1': { status: 'ok' },
+      'ticket-2': { status: 'error', message: 'Not registered', details: { error: 'DeviceNotRegistered' } },
+      'ticket-4': { status: 'error', message: 'Too big', details: { error: 'MessageTooBig' } },
+    };
+
+    await pushService.checkReceipts(job);
+
+    expect(expo.requests).toEqual([{
+      url: '/push/getReceipts',
+      payload: { ids: ['ticket-1', 'ticket-2', 'ticket-3', 'ticket-4'] },
+    }]);
+    expectRemoved([GONE]);
+  });
+
+  test('deletes nothing when every receipt is ok or not ready yet', async () => {
+    expo.receipts = { 'ticket-1': { status: 'ok' } };
+
+    await pushService.checkReceipts(job);
+
+    expect(DeviceToken.deleteMany).not.toHaveBeenCalled();
+    expect(User.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('throws when the receipts request fails so the job is retried', async () => {
+    expo.status = 500;
+
+    await expect(pushService.checkReceipts(job)).rejects.toThrow('Expo is down');
+    expect(DeviceToken.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import jwt from 'jsonwebtoken';
+
+/**
+ * ID-token verification against a local JWKS file (SOCIAL_JWKS_FILE),
+ * so no provider endpoint is called.
+ */
+
+const GOOGLE_CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const APPLE_CLIENT_ID = 'com.stylio.test';
+const KEY_ID = 'test-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+let tmpDir;
+let socialAuthService;
+
+const signToken = (claims = {}, { key = privateKey, kid = KEY_ID, ...options } = {}) => jwt.sign(
+  { sub: 'google-user-1', email: 'Jane@Example.com', email_verified: true, ...claims },
+  key,
+  {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: 'https://accounts.google.com',
+    audience: GOOGLE_CLIENT_ID,
+    expiresIn: '1h',
+    ...options,
+  }
+);
+
+beforeAll(async () => {
+  tmpDir = await mkdtemp(path.join(os.tmpdir(), 'stylio-jwks-'));
+  const jwksFile = path.join(tmpDir, 'jwks.json');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+  await writeFile(jwksFile, JSON.stringify({ keys: [jwk] }));
+
+  // Config is read when the service is first imported
+  process.env.SOCIAL_JWKS_FILE = jwksFile;
+  process.env.GOOGLE_CLIENT_IDS = GOOGLE_CLIENT_ID;
+  process.env.APPLE_CLIENT_IDS = APPLE_CLIENT_ID;
+
+  ({ default: socialAuthService } = await import('../src/services/socialAuth.service.js'));
+});
+
+afterAll(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('socialAuthService.verifyIdToken', () => {
+  test('returns the identity from a valid Google token', async () => {
+    const profile = await socialAuthService.verifyIdToken('google', signToken({
+      given_name: 'Jane',
+      family_name: 'Doe',
+    }));
+
+    expect(profile).toEqual({
+      provider: 'google',
+      subject: 'google-user-1',
+      email: 'jane@example.com',
+      emailVerified: true,
+      firstName: 'Jane',
+      lastName: 'Doe',
+      avatar: undefined,
+    });
+  });
+
+  test('accepts Apple tokens with a string email_verified claim', async () => {
+    const token = signToken({ sub: 'apple-user-1', email_verified: 'true' }, {
+      issuer: 'https://appleid.apple.com',
+      audience: APPLE_CLIENT_ID,
+    });
+
+    const profile = await socialAuthService.verifyIdToken('apple', token);
+
+    expect(profile).toMatchObject({ provider: 'apple', subject: 'apple-user-1', emailVerified: true });
+  });
+
+  test('rejects a token issued for another audience', async () => {
+    const token = signToken({}, { audience: 'someone-else.apps.googleusercontent.com' });
+
+    await expect(socialAuthService.verifyIdToken('google', token))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid Google ID token' });
+  });
+
+  test('rejects a token for one provider presented as the other', async () => {
+    const token = signToken({}, { issuer: 'https://appleid.apple.com', audience: APPLE_CLIENT_ID });
+
+    await expect(socialAuthService.verifyIdToken('google', token))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects a token from another issuer', async () => {
+    const token = signToken({}, { issuer: 'https://evil.example.com' });
+
+    await expect(socialAuthService.verifyIdToken('google', token))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid Google ID token' });
+  });
+
+  test('rejects an expired token', async () => {
+    const token = signToken({}, { expiresIn: -60 });
+
+    await expect(socialAuthService.verifyIdToken('google', token))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Google ID token has expired' });
+  });
+
+  test('rejects a token signed with a key that is not in the JWKS', async () => {
+    await expect(socialAuthService.verifyIdToken('google', signToken({}, { key: otherKey })))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(socialAuthService.verifyIdToken('google', signToken({}, { kid: 'unknown-key' })))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects a token without a key ID or that is not a JWT', async () => {
+    const token = jwt.sign({ sub: 'x' }, privateKey, { algorithm: 'RS256' });
+
+    await expect(socialAuthService.verifyIdToken('google', token))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(socialAuthService.verifyIdToken('google', 'not-a-token'))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('checks the nonce when the app sent one', async () => {
+    const token = signToken({ nonce: 'abc' });
+
+    await expect(socialAuthService.verifyIdToken('google', token, { nonce: 'abc' }))
+      .resolves.toMatchObject({ subject: 'google-user-1' });
+    await expect(socialAuthService.verifyIdToken('google', token, { nonce: 'xyz' }))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+});